@@ -0,0 +1,390 @@
+/**
+ * Evidence from generated test runs: screenshots after each `agent.act` step
+ * and on failure, optional video and a Playwright trace, saved under the
+ * output directory and uploaded as a workflow artifact.
+ */
+
+import * as core from "@actions/core";
+import * as fs from "fs";
+import * as path from "path";
+import { ArtifactClient, DefaultArtifactClient } from "@actions/artifact";
+import { CAPTURE_HOOKS } from "./test-protocol";
+
+export interface ArtifactOptions {
+  // Capture and upload artifacts at all
+  enabled: boolean;
+  video: boolean;
+  trace: boolean;
+  retentionDays: number;
+  // Upload budget; the least useful files are left out first
+  maxSizeMb: number;
+}
+
+export const DEFAULT_ARTIFACT_OPTIONS: ArtifactOptions = {
+  enabled: true,
+  video: false,
+  trace: true,
+  retentionDays: 14,
+  maxSizeMb: 100,
+};
+
+export type ArtifactKind = "failure-screenshot" | "screenshot" | "trace" | "video";
+
+export interface ArtifactFile {
+  // Relative to the artifact directory, with forward slashes
+  path: string;
+  kind: ArtifactKind;
+  // Bytes
+  size: number;
+}
+
+export interface UploadedArtifacts {
+  name: string;
+  // Where the files were saved on the runner
+  dir: string;
+  files: ArtifactFile[];
+  // Left out of the upload to stay under the size limit
+  omitted: ArtifactFile[];
+  size: number;
+  retentionDays: number;
+  // Missing when the upload failed, e.g. outside GitHub Actions
+  url?: string;
+  uploadError?: string;
+}
+
+// Kept when the upload budget runs out, in this order
+const KIND_PRIORITY: ArtifactKind[] = ["failure-screenshot", "screenshot", "trace", "video"];
+
+const FAILURE_SCREENSHOT = "failure.png";
+
+/**
+ * Directory-safe form of a test name or instruction. The capture script
+ * has its own copy; keep them in step.
+ */
+export function artifactSlug(text: string): string {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "step"
+  );
+}
+
+/**
+ * Where the capture script saves the screenshot of a test that failed.
+ */
+export function failureScreenshotPath(testName: string): string {
+  return `screenshots/${artifactSlug(testName)}/${FAILURE_SCREENSHOT}`;
+}
+
+/**
+ * Script preloaded with `--require` into the test process. It wraps
+ * magnitude-core's `startBrowserAgent` so every agent takes a screenshot
+ * after each `act` step, records a trace (and video when asked) of its
+ * browser context, and gives the test harness a hook to take a screenshot
+ * when a test fails. The test user's credentials are kept out of file names.
+ */
+export function captureScript(dir: string, options: { video?: boolean; trace?: boolean } = {}): string {
+  return `
+const fs = require("fs");
+const Module = require("module");
+const path = require("path");
+
+const CAPTURE_DIR = ${JSON.stringify(dir)};
+const RECORD_VIDEO = ${options.video === true};
+const RECORD_TRACE = ${options.trace === true};
+const FAILURE_SCREENSHOT = ${JSON.stringify(path.basename(FAILURE_SCREENSHOT, ".png"))};
+const SECRETS = [process.env.TEST_USER_EMAIL, process.env.TEST_USER_PASSWORD].filter(Boolean);
+const agents = [];
+let currentTest = null;
+let step = 0;
+
+function slug(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "step"
+  );
+}
+
+function stepName(instruction, suffix) {
+  let text = String(instruction);
+  for (const secret of SECRETS) {
+    text = text.split(secret).join("redacted");
+  }
+  step++;
+  return String(step).padStart(2, "0") + "-" + slug(text) + suffix;
+}
+
+async function screenshot(name) {
+  const agent = agents[agents.length - 1];
+  let page;
+  try {
+    page = agent && agent.page;
+  } catch {
+    // The browser has already been stopped
+  }
+  if (!page || typeof page.screenshot !== "function") {
+    return;
+  }
+  const dir = path.join(CAPTURE_DIR, "screenshots", currentTest ? slug(currentTest) : "setup");
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    await page.screenshot({ path: path.join(dir, name + ".png") });
+  } catch {
+    // A closed or navigating page must not fail the test
+  }
+}
+
+function browserContext(agent) {
+  try {
+    return agent.page && typeof agent.page.context === "function" ? agent.page.context() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function startCapture(agent) {
+  agents.push(agent);
+
+  const act = agent.act;
+  if (typeof act === "function") {
+    agent.act = async (instruction, ...rest) => {
+      try {
+        const result = await act.call(agent, instruction, ...rest);
+        await screenshot(stepName(instruction, ""));
+        return result;
+      } catch (error) {
+        await screenshot(stepName(instruction, "-failed"));
+        throw error;
+      }
+    };
+  }
+
+  const context = browserContext(agent);
+  const tracing = RECORD_TRACE && context && context.tracing;
+  if (tracing) {
+    try {
+      await tracing.start({ screenshots: true, snapshots: true });
+    } catch (error) {
+      console.warn("Could not start the Playwright trace: " + error.message);
+    }
+  }
+
+  const stop = agent.stop;
+  if (typeof stop === "function") {
+    agent.stop = async (...args) => {
+      if (tracing) {
+        const index = agents.indexOf(agent);
+        try {
+          await tracing.stop({ path: path.join(CAPTURE_DIR, index === 0 ? "trace.zip" : "trace-" + (index + 1) + ".zip") });
+        } catch (error) {
+          console.warn("Could not save the Playwright trace: " + error.message);
+        }
+      }
+      return stop.apply(agent, args);
+    };
+  }
+  return agent;
+}
+
+function withVideo(options) {
+  const browser = options.browser || {};
+  return {
+    ...options,
+    browser: {
+      ...browser,
+      contextOptions: { ...browser.contextOptions, recordVideo: { dir: path.join(CAPTURE_DIR, "videos") } },
+    },
+  };
+}
+
+globalThis[${JSON.stringify(CAPTURE_HOOKS)}] = {
+  testStarted(name) {
+    currentTest = name;
+    step = 0;
+  },
+  async testFailed() {
+    await screenshot(FAILURE_SCREENSHOT);
+  },
+};
+
+const wrapped = new WeakMap();
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  const exports = load.call(this, request, ...rest);
+  if (request !== "magnitude-core" || !exports || typeof exports.startBrowserAgent !== "function") {
+    return exports;
+  }
+  if (!wrapped.has(exports)) {
+    const startBrowserAgent = exports.startBrowserAgent;
+    wrapped.set(exports, {
+      ...exports,
+      startBrowserAgent: async (options = {}) =>
+        startCapture(await startBrowserAgent(RECORD_VIDEO ? withVideo(options) : options)),
+    });
+  }
+  return wrapped.get(exports);
+};
+`;
+}
+
+function artifactKind(file: string): ArtifactKind | null {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".zip") {
+    return "trace";
+  }
+  if (extension === ".webm") {
+    return "video";
+  }
+  if (extension === ".png") {
+    return path.basename(file) === FAILURE_SCREENSHOT || file.endsWith("-failed.png")
+      ? "failure-screenshot"
+      : "screenshot";
+  }
+  return null;
+}
+
+/**
+ * The screenshots, traces and videos under a directory, in path order.
+ */
+export function collectArtifacts(dir: string): ArtifactFile[] {
+  const files: ArtifactFile[] = [];
+
+  const walk = (current: string) => {
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+        continue;
+      }
+      const kind = artifactKind(entry.name);
+      if (entry.isFile() && kind) {
+        files.push({
+          path: path.relative(dir, fullPath).split(path.sep).join("/"),
+          kind,
+          size: fs.statSync(fullPath).size,
+        });
+      }
+    }
+  };
+
+  walk(dir);
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Splits files into those that fit in `maxBytes` and those left out.
+ * Failure screenshots are kept first, then step screenshots, traces and
+ * videos.
+ */
+export function withinSizeLimit(
+  files: ArtifactFile[],
+  maxBytes: number
+): { included: ArtifactFile[]; omitted: ArtifactFile[] } {
+  const included: ArtifactFile[] = [];
+  const omitted: ArtifactFile[] = [];
+  let total = 0;
+
+  const byPriority = [...files].sort(
+    (a, b) => KIND_PRIORITY.indexOf(a.kind) - KIND_PRIORITY.indexOf(b.kind)
+  );
+  for (const file of byPriority) {
+    if (total + file.size <= maxBytes) {
+      included.push(file);
+      total += file.size;
+    } else {
+      omitted.push(file);
+    }
+  }
+
+  const byPath = (a: ArtifactFile, b: ArtifactFile) => a.path.localeCompare(b.path);
+  return { included: included.sort(byPath), omitted: omitted.sort(byPath) };
+}
+
+/**
+ * Artifact names must be unique within a workflow run, so re-run attempts
+ * get their own.
+ */
+export function artifactName(prNumber: number, env: NodeJS.ProcessEnv = process.env): string {
+  const attempt = parseInt(env.GITHUB_RUN_ATTEMPT || "1", 10);
+  return `pr-${prNumber}-ui-tests${attempt > 1 ? `-attempt-${attempt}` : ""}`;
+}
+
+function artifactUrl(id: number, env: NodeJS.ProcessEnv): string | undefined {
+  if (!env.GITHUB_REPOSITORY || !env.GITHUB_RUN_ID) {
+    return undefined;
+  }
+  const serverUrl = env.GITHUB_SERVER_URL || "https://github.com";
+  return `${serverUrl}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}/artifacts/${id}`;
+}
+
+export function formatSize(bytes: number): string {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Uploads the artifacts under `dir` as one workflow artifact. Returns null
+ * when there is nothing to upload. Never throws: a failed upload is logged
+ * and reported with the files left on the runner.
+ */
+export async function uploadArtifacts(
+  dir: string,
+  options: { name: string; retentionDays: number; maxSizeMb: number },
+  client: ArtifactClient = new DefaultArtifactClient(),
+  env: NodeJS.ProcessEnv = process.env
+): Promise<UploadedArtifacts | null> {
+  const files = collectArtifacts(dir);
+  if (files.length === 0) {
+    core.info("📎 No screenshots, traces or videos were captured");
+    return null;
+  }
+
+  const { included, omitted } = withinSizeLimit(files, options.maxSizeMb * 1024 * 1024);
+  for (const file of omitted) {
+    core.warning(
+      `📎 Left ${file.path} (${formatSize(file.size)}) out of the upload to stay under ${options.maxSizeMb} MB`
+    );
+  }
+
+  const result: UploadedArtifacts = {
+    name: options.name,
+    dir,
+    files: included,
+    omitted,
+    size: included.reduce((total, file) => total + file.size, 0),
+    retentionDays: options.retentionDays,
+  };
+  if (included.length === 0) {
+    result.uploadError = `every file is larger than the ${options.maxSizeMb} MB limit`;
+    return result;
+  }
+
+  try {
+    core.info(`📎 Uploading ${included.length} file(s) (${formatSize(result.size)}) as ${options.name}...`);
+    const { id } = await client.uploadArtifact(
+      options.name,
+      included.map((file) => path.join(dir, file.path)),
+      dir,
+      { retentionDays: options.retentionDays }
+    );
+    result.url = id !== undefined ? artifactUrl(id, env) : undefined;
+    core.info(`📎 Uploaded ${options.name}${result.url ? `: ${result.url}` : ""}`);
+  } catch (error) {
+    result.uploadError = (error as Error).message;
+    core.warning(`📎 Failed to upload test artifacts: ${result.uploadError} - they are kept in ${dir}`);
+  }
+  return result;
+}
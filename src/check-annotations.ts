@@ -0,0 +1,119 @@
+import { PlanItem, PlanSource, TestResult, planItems, testNumber } from "./test-protocol";
+
+export interface CheckAnnotation {
+  path: string;
+  start_line: number;
+  end_line: number;
+  annotation_level: "notice" | "warning" | "failure";
+  title: string;
+  message: string;
+}
+
+interface PRFile {
+  filename: string;
+  patch?: string;
+}
+
+// GitHub truncates annotation messages above 64 KB; keep them readable
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Returns the new-side line numbers a unified diff adds or modifies.
+ */
+export function changedLines(patch?: string): number[] {
+  if (!patch) {
+    return [];
+  }
+
+  const lines: number[] = [];
+  let newLine = 0;
+
+  for (const line of patch.split("\n")) {
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      newLine = parseInt(hunk[1], 10);
+    } else if (line.startsWith("+")) {
+      lines.push(newLine++);
+    } else if (!line.startsWith("-") && !line.startsWith("\\")) {
+      newLine++;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Picks the changed file and line a plan item was derived from: the item's
+ * "(Source: file:line)" citation when it names a changed file, otherwise a
+ * changed file the item mentions, otherwise the first changed file. Lines
+ * fall back to the file's first changed line.
+ */
+function locatePlanItem(item: PlanItem | undefined, files: PRFile[]): { path: string; line: number } | null {
+  const candidates = files.filter((file) => file.patch);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const basename = (filename: string) => filename.split("/").pop() || filename;
+  let file: PRFile | undefined;
+  let line: number | undefined;
+
+  if (item?.source) {
+    const cited = item.source.path.replace(/^\.?\//, "");
+    file =
+      candidates.find((candidate) => candidate.filename === cited) ||
+      candidates.find((candidate) => candidate.filename.endsWith(`/${cited}`));
+    line = file ? item.source.line : undefined;
+  }
+
+  if (!file && item) {
+    file = candidates.find(
+      (candidate) =>
+        item.title.includes(candidate.filename) || item.title.includes(basename(candidate.filename))
+    );
+  }
+
+  file = file || candidates[0];
+  return { path: file.filename, line: line || changedLines(file.patch)[0] || 1 };
+}
+
+/**
+ * Builds one failure annotation per failed test, anchored on the changed
+ * file and line of the plan item the test implements.
+ */
+export function buildTestAnnotations(
+  testResults: TestResult[],
+  testPlan: PlanSource,
+  files: PRFile[]
+): CheckAnnotation[] {
+  const items = planItems(testPlan);
+  const annotations: CheckAnnotation[] = [];
+
+  for (const result of testResults) {
+    if (result.status !== "failed") {
+      continue;
+    }
+
+    const number = testNumber(result.name);
+    const item = items.find((planItem) => planItem.number === number);
+    const location = locatePlanItem(item, files);
+    if (!location) {
+      continue;
+    }
+
+    const message = result.error || "Test failed";
+    annotations.push({
+      path: location.path,
+      start_line: location.line,
+      end_line: location.line,
+      annotation_level: "failure",
+      title: result.name,
+      message:
+        message.length > MAX_MESSAGE_LENGTH
+          ? `${message.slice(0, MAX_MESSAGE_LENGTH)}...`
+          : message,
+    });
+  }
+
+  return annotations;
+}
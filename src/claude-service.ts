@@ -1,5 +1,38 @@
 import * as core from "@actions/core";
+import * as crypto from "crypto";
 import { testExample as TEST_EXAMPLE } from "./test-examples";
+import { TEST_HARNESS } from "./test-protocol";
+import { SourceRoute, routeForFile, routeMatchesPath } from "./source-routes";
+import { AffectedRoute } from "./import-graph";
+import {
+  LLMProvider,
+  ModelRole,
+  ModelSelection,
+  createProvider,
+  resolveModels,
+} from "./llm-provider";
+import RetryPolicy, { RetryExhaustedError } from "./retry-policy";
+import Redactor, { redactor } from "./redactor";
+import { UNTRUSTED_DATA_NOTICE, fenceUntrusted } from "./prompt-injection";
+import {
+  TEST_PLAN_EXAMPLE,
+  TestPlan,
+  TestPlanError,
+  formatTestPlan,
+  parseTestPlan,
+  testName,
+} from "./test-plan";
+import {
+  ANALYSIS_BUDGET,
+  ContextBudget,
+  DiffContext,
+  SITEMAP_CHECK_BUDGET,
+  UI_CHECK_BUDGET,
+  buildDiffContext,
+  describeDiffCoverage,
+  renderDiffContext,
+} from "./diff-context";
+import { GeneratedCodeError, cleanGeneratedCode, validateTestCode } from "./code-validation";
 
 const IMPORTS = `
 const { startBrowserAgent } = require("magnitude-core");
@@ -31,19 +64,118 @@ interface PRContext {
   pr: PR;
   previewUrls: string[];
   repoContext: Record<string, string>;
+  affectedRoutes?: AffectedRoute[];
+  // Routes the repository's path rules map the changed files to
+  scopedRoutes?: string[];
+  // Reviewer guidance from a `/ui-test focus` command
+  guidance?: string;
 }
 
-interface ClaudeResponse {
-  content: Array<{
-    text: string;
-  }>;
+interface ClaudeServiceOptions {
+  // Replaces the built-in Magnitude example shown to Claude
+  testExamples?: string;
+  maxTests?: number;
+  // Times invalid generated code is sent back to be fixed before giving up
+  repairRounds?: number;
+  // Defaults to the Anthropic API with `apiKey`
+  provider?: LLMProvider;
+  // Per-step models; unset roles use the provider's defaults
+  models?: Partial<ModelSelection>;
+  // Shared with GitHubService so retries are reported together
+  retryPolicy?: RetryPolicy;
+  // Scrubs secrets from prompts, e.g. keys pasted into the PR description
+  redactor?: Redactor;
 }
 
 class ClaudeService {
-  private claudeApiKey: string;
+  private provider: LLMProvider;
+  private models: ModelSelection;
+  private retryPolicy: RetryPolicy;
+  private testExample: string;
+  private maxTests: number;
+  private repairRounds: number;
+  private redactor: Redactor;
+
+  constructor(apiKey: string, options: ClaudeServiceOptions = {}) {
+    this.provider = options.provider || createProvider({ provider: "anthropic", apiKey });
+    this.models = resolveModels(this.provider.name, options.models);
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.testExample = options.testExamples || TEST_EXAMPLE;
+    this.maxTests = options.maxTests || 3;
+    this.repairRounds = options.repairRounds ?? 2;
+    this.redactor = options.redactor || redactor;
+  }
+
+  /**
+   * Sends `prompt`, with secrets redacted, to the model configured for
+   * `role`, retrying transient failures. Errors name the step so failures in
+   * the logs point at the right prompt.
+   */
+  private async complete(
+    role: ModelRole,
+    prompt: string,
+    maxTokens: number,
+    step: string = role,
+    json = false
+  ): Promise<string> {
+    const redacted = this.redactor.redact(prompt);
+    try {
+      return await this.retryPolicy.run(`LLM request (${step})`, (signal) =>
+        this.provider.complete({ model: this.models[role], prompt: redacted, maxTokens, json, signal })
+      );
+    } catch (error) {
+      if (error instanceof RetryExhaustedError) {
+        throw error;
+      }
+      throw new Error(`LLM request failed (${step}): ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Fingerprint of everything that shapes generated test code: the code
+   * preamble, the test harness, the example test and the prompt templates.
+   * Cached tests are only reused when this matches.
+   */
+  promptVersion(): string {
+    const emptyContext: PRContext = {
+      files: [],
+      pr: { title: "", body: null, author: "" },
+      previewUrls: [],
+      repoContext: {},
+    };
+    const emptyPlan: TestPlan = { tests: [] };
+
+    return crypto
+      .createHash("sha256")
+      .update(IMPORTS)
+      .update(TEST_HARNESS)
+      .update(this.testExample)
+      .update(this.models.generator)
+      .update(this.buildAnalysisPrompt(emptyContext))
+      .update(this.buildQAInstructionsPrompt(emptyPlan, emptyContext, null))
+      .update(this.buildCodePrompt(emptyPlan, emptyContext, ""))
+      .update(this.buildCodeRepairPrompt("", []))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  /**
+   * The changed files that fit `budget`, ranked so files on affected routes
+   * and UI files are the last to be cut.
+   */
+  diffContext(prContext: PRContext, budget: ContextBudget = ANALYSIS_BUDGET): DiffContext {
+    const affectedFiles = new Set(
+      (prContext.affectedRoutes || []).flatMap((route) => route.changedFiles)
+    );
+    return buildDiffContext(prContext.files, budget, affectedFiles);
+  }
 
-  constructor(apiKey: string) {
-    this.claudeApiKey = apiKey;
+  /**
+   * Report note naming the files the test plan was made without seeing in
+   * full, or null when the whole diff fit.
+   */
+  analysisCoverage(prContext: PRContext): string | null {
+    return describeDiffCoverage(this.diffContext(prContext, ANALYSIS_BUDGET));
   }
 
   async requiresUITesting(prContext: PRContext): Promise<boolean> {
@@ -57,32 +189,7 @@ class ClaudeService {
     const prompt = this.buildUIAnalysisPrompt(prContext);
 
     try {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": this.claudeApiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: "claude-3-haiku-20240307",
-          max_tokens: 10,
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-        }),
-      });
-
-      if (!response.ok) {
-        core.warning(`Claude API request failed: ${response.status}`);
-        return this.fallbackUIDetection(prContext);
-      }
-
-      const data = await response.json() as ClaudeResponse;
-      const result = data.content[0].text.trim().toUpperCase();
+      const result = (await this.complete("classifier", prompt, 10)).trim().toUpperCase();
 
       core.info(`Claude AI analysis result: ${result}`);
 
@@ -96,7 +203,6 @@ class ClaudeService {
             filename.includes("component") ||
             filename.includes("/pages/") ||
             filename.includes("/app/") ||
-            filename.includes("/src/") ||
             filename.endsWith(".jsx") ||
             filename.endsWith(".tsx") ||
             filename.endsWith(".css") ||
@@ -114,7 +220,6 @@ class ClaudeService {
               filename.includes("component") ||
               filename.includes("/pages/") ||
               filename.includes("/app/") ||
-              filename.includes("/src/") ||
               filename.endsWith(".jsx") ||
               filename.endsWith(".tsx") ||
               filename.endsWith(".css") ||
@@ -144,35 +249,20 @@ class ClaudeService {
       "🗺️ Analyzing PR changes against sitemap to determine relevance..."
     );
 
+    const coveredRoutes = this.changedRoutesInSitemap(prContext, sitemap);
+    if (coveredRoutes.length > 0) {
+      core.info(
+        `✅ Changed route files map to sitemap paths: ${coveredRoutes
+          .map((route) => `${route.file} → ${route.path}`)
+          .join(", ")}`
+      );
+      return true;
+    }
+
     const prompt = this.buildSitemapRelevancePrompt(prContext, sitemap);
 
     try {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": this.claudeApiKey,
-          "anthropic-version": "2023-06-01",
-        },
-        body: JSON.stringify({
-          model: "claude-3-haiku-20240307",
-          max_tokens: 10,
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-        }),
-      });
-
-      if (!response.ok) {
-        core.warning(`Claude API request failed: ${response.status}`);
-        return this.fallbackSitemapRelevance(prContext, sitemap);
-      }
-
-      const data = await response.json() as ClaudeResponse;
-      const result = data.content[0].text.trim().toUpperCase();
+      const result = (await this.complete("classifier", prompt, 10)).trim().toUpperCase();
 
       core.info(`Sitemap relevance analysis result: ${result}`);
 
@@ -203,6 +293,16 @@ class ClaudeService {
       `Changed files: ${prContext.files.map((f) => f.filename).join(", ")}`
     );
 
+    if (prContext.affectedRoutes && prContext.affectedRoutes.length > 0) {
+      core.info(
+        `🎨 Changes reach routes: ${prContext.affectedRoutes
+          .map((route) => route.path)
+          .join(", ")}`
+      );
+      core.info("Will run UI tests");
+      return true;
+    }
+
     const uiFilePatterns = [
       /\.(jsx?|tsx?)$/,
       /\.(vue|svelte)$/,
@@ -211,7 +311,6 @@ class ClaudeService {
       /\/components?\//,
       /\/pages?\//,
       /\/app\//,
-      /\/src\//,
       /\/views?\//,
       /\/layouts?\//,
       /\/templates?\//,
@@ -261,24 +360,35 @@ class ClaudeService {
       return true;
     }
 
-    // Extract all URLs/paths from sitemap structure
-    const sitemapPaths = this.extractPathsFromSitemap(sitemap);
-    core.debug(`Found sitemap paths: ${sitemapPaths.join(", ")}`); // Use the variable
+    // Route entry files (e.g. app/settings/page.tsx) map directly onto paths
+    const coveredRoutes = this.changedRoutesInSitemap(prContext, sitemap);
+    if (coveredRoutes.length > 0) {
+      core.info(
+        `🎯 Changed routes are covered by the sitemap: ${coveredRoutes
+          .map((route) => route.path)
+          .join(", ")}`
+      );
+      return true;
+    }
 
-    // Check if any changed files seem to correspond to sitemap areas
-    const changedFiles = prContext.files.map((f) => f.filename);
+    // Route files outside the sitemap are known to be out of scope; other pages
+    // frontend files (shared components, routers) may still affect mapped
+    // pages unless the import graph already resolved the routes they reach
+    const resolvedFiles = new Set(
+      (prContext.affectedRoutes || []).flatMap((route) => route.changedFiles)
+    );
+    const otherFiles = prContext.files
+      .map((f) => f.filename)
+      .filter((filename) => !routeForFile(filename) && !resolvedFiles.has(filename));
 
-    // Simple heuristic: if files seem to be in areas that could affect the sitemap
-    const couldAffectSitemap = changedFiles.some((filename) => {
-      // Check if it's a page/route file that might correspond to sitemap paths
+    const couldAffectSitemap = otherFiles.some((filename) => {
       return (
-        filename.includes("/pages/") ||
-        filename.includes("/app/") ||
-        filename.includes("/routes/") ||
         filename.includes("router") ||
         filename.includes("navigation") ||
         filename.endsWith(".tsx") ||
-        filename.endsWith(".jsx")
+        filename.endsWith(".jsx") ||
+        filename.endsWith(".vue") ||
+        filename.endsWith(".svelte")
       );
     });
 
@@ -291,6 +401,42 @@ class ClaudeService {
     }
   }
 
+  /**
+   * Routes defined by the PR's changed files, derived from framework
+   * file-system conventions (Next.js, SvelteKit, Nuxt), plus the routes whose
+   * entry files transitively import a changed file.
+   */
+  changedRoutes(prContext: PRContext): SourceRoute[] {
+    const routes = prContext.files
+      .map((file) => routeForFile(file.filename))
+      .filter((route): route is SourceRoute => route !== null);
+
+    for (const affected of prContext.affectedRoutes || []) {
+      if (!routes.some((route) => route.path === affected.path && route.file === affected.entryFile)) {
+        routes.push({
+          path: affected.path,
+          file: affected.entryFile,
+          framework: affected.framework,
+          kind: affected.kind,
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  changedRoutesInSitemap(prContext: PRContext, sitemap: any): SourceRoute[] {
+    const sitemapPaths = this.extractPathsFromSitemap(sitemap);
+    core.debug(`Found sitemap paths: ${sitemapPaths.join(", ")}`);
+
+    return this.changedRoutes(prContext).filter((route) =>
+      sitemapPaths.some(
+        (sitemapPath) =>
+          typeof sitemapPath === "string" && routeMatchesPath(route, sitemapPath)
+      )
+    );
+  }
+
   extractPathsFromSitemap(sitemap: any): string[] {
     const paths: string[] = [];
 
@@ -309,159 +455,100 @@ class ClaudeService {
     return paths;
   }
 
-  async analyzeAndPlan(prContext: PRContext): Promise<string> {
+  /**
+   * Asks the planner for a JSON test plan. A response that does not match
+   * the schema is sent back once with the validation errors to be repaired.
+   */
+  async analyzeAndPlan(prContext: PRContext): Promise<TestPlan> {
     const prompt = this.buildAnalysisPrompt(prContext);
+    const response = await this.complete("planner", prompt, 3000, "analysis", true);
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": this.claudeApiKey,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 2000,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Claude API error (analysis): ${response.status} ${response.statusText} - ${errorText}`
-      );
+    let issues: string[];
+    try {
+      return parseTestPlan(response);
+    } catch (error) {
+      if (!(error instanceof TestPlanError)) {
+        throw error;
+      }
+      core.warning(`⚠️ ${error.message} - asking the model to repair it`);
+      issues = error.issues;
     }
 
-    const data = await response.json() as ClaudeResponse;
-    return data.content[0].text;
+    const repairPrompt = this.buildPlanRepairPrompt(response, issues);
+    return parseTestPlan(await this.complete("planner", repairPrompt, 3000, "plan repair", true));
   }
 
-  async analyzeNavigationPaths(testPlan: string, prContext: PRContext): Promise<string> {
-    const prompt = this.buildNavigationPrompt(testPlan, prContext);
-
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": this.claudeApiKey,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 1024,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(
-        `Claude API request failed: ${response.status} ${response.statusText}`
-      );
-    }
+  async generateQAInstructions(testPlan: TestPlan, prContext: PRContext, sitemap: any): Promise<string> {
+    const prompt = this.buildQAInstructionsPrompt(testPlan, prContext, sitemap);
 
-    const data = await response.json() as ClaudeResponse;
-    return data.content[0].text;
+    return this.complete("planner", prompt, 2000, "QA instructions");
   }
 
-  async generateQAInstructions(testPlan: string, prContext: PRContext, sitemap: any): Promise<string> {
-    const prompt = this.buildQAInstructionsPrompt(testPlan, prContext, sitemap);
+  async generateTestCode(testPlan: TestPlan, prContext: PRContext, navigationPaths: string): Promise<string> {
+    const prompt = this.buildCodePrompt(testPlan, prContext, navigationPaths);
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": this.claudeApiKey,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 2000,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      }),
-    });
+    const preamble = IMPORTS + TEST_HARNESS;
+    let code = cleanGeneratedCode(await this.complete("generator", prompt, 4000, "code generation"));
+
+    for (let round = 1; ; round++) {
+      const diagnostics = validateTestCode(code, preamble);
+      if (diagnostics.length === 0) {
+        return preamble + code;
+      }
+      if (round > this.repairRounds) {
+        throw new GeneratedCodeError(diagnostics, this.repairRounds);
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Claude API error (QA instructions): ${response.status} ${response.statusText} - ${errorText}`
+      core.warning(
+        `🔧 Generated test code is invalid (${diagnostics.join("; ")}) - repair round ${round}/${this.repairRounds}`
       );
+      const repairPrompt = this.buildCodeRepairPrompt(code, diagnostics);
+      code = cleanGeneratedCode(await this.complete("generator", repairPrompt, 4000, `code repair ${round}`));
     }
-
-    const data = await response.json() as ClaudeResponse;
-    return data.content[0].text;
   }
 
-  async generateTestCode(testPlan: string, prContext: PRContext, navigationPaths: string): Promise<string> {
-    const prompt = this.buildCodePrompt(testPlan, prContext, navigationPaths);
-    console.log("buildCodePrompt", prompt);
-
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": this.claudeApiKey,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 4000,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      }),
-    });
+  buildCodeRepairPrompt(code: string, diagnostics: string[]): string {
+    return `The Magnitude test code below has problems that stop it from running.
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Claude API error (code generation): ${response.status} ${response.statusText} - ${errorText}`
-      );
-    }
+## Problems:
+${diagnostics.map((diagnostic) => `- ${diagnostic}`).join("\n")}
+
+## Code:
+${code}
 
-    const data = await response.json() as ClaudeResponse;
-    return IMPORTS + data.content[0].text;
+## Instructions:
+Fix the problems and keep everything else the same. The code runs after a preamble that already provides \`startBrowserAgent\`, \`z\` (from zod), dotenv and \`runTest\`, so do not add import or require statements for them. The code must start the browser agent with \`startBrowserAgent\` and call \`agent.stop()\` when the tests finish.
+
+Return ONLY the complete, corrected test code. No explanations or markdown formatting.`;
+  }
+
+  /**
+   * The PR title and description, fenced as untrusted data.
+   */
+  private prDetails(prContext: PRContext): string {
+    return `${fenceUntrusted("PR title", prContext.pr.title)}
+${fenceUntrusted("PR description", prContext.pr.body || "No description provided")}`;
+  }
+
+  private repoContextSection(prContext: PRContext, maxLength: number): string {
+    return Object.entries(prContext.repoContext)
+      .map(
+        ([file, content]) =>
+          `### ${file}\n${fenceUntrusted(file, `${content.slice(0, maxLength)}${content.length > maxLength ? "..." : ""}`)}\n`
+      )
+      .join("\n");
   }
 
   buildUIAnalysisPrompt(prContext: PRContext): string {
     return `Analyze the following Pull Request changes and determine if UI testing is necessary.
 
+${UNTRUSTED_DATA_NOTICE}
+
 ## PR Details:
-- **Title**: ${prContext.pr.title}
-- **Description**: ${prContext.pr.body || "No description provided"}
+${this.prDetails(prContext)}
 
 ## Changed Files:
-${prContext.files
-  .map(
-    (file) => `
-### ${file.filename} (${file.status})
-**Changes**: +${file.additions} -${file.deletions}
-\`\`\`diff
-${file.patch ? file.patch.slice(0, 1000) : "No patch available"}${
-      file.patch && file.patch.length > 1000 ? "\n...(truncated)" : ""
-    }
-\`\`\`
-`
-  )
-  .join("\n")}
+${fenceUntrusted("changed files", renderDiffContext(this.diffContext(prContext, UI_CHECK_BUDGET)))}
 
 ## UI Testing is REQUIRED for:
 - React/Next.js components (.jsx, .tsx, .js, .ts files in components/, pages/, app/, src/)
@@ -492,42 +579,38 @@ Respond with ONLY "YES" if UI testing is needed, or "NO" if UI testing is not ne
 
   buildSitemapRelevancePrompt(prContext: PRContext, sitemap: any): string {
     const sitemapPaths = this.extractPathsFromSitemap(sitemap);
+    const sitemapJson = JSON.stringify(sitemap, null, 2);
+    const changedRoutes = this.changedRoutes(prContext);
+    const routesSection =
+      changedRoutes.length > 0
+        ? `## Routes Defined by Changed Files:
+${changedRoutes
+  .map((route) => `- \`${route.file}\` → \`${route.path}\`${route.kind === "layout" ? " (layout for all nested routes)" : ""}`)
+  .join("\n")}
+
+`
+        : "";
 
     return `Analyze the following Pull Request changes and determine if they affect areas that are ACCESSIBLE through the provided sitemap.
 
+${UNTRUSTED_DATA_NOTICE}
+
 ## PR Details:
-- **Title**: ${prContext.pr.title}
-- **Description**: ${prContext.pr.body || "No description provided"}
+${this.prDetails(prContext)}
 
 ## Changed Files:
-${prContext.files
-  .map(
-    (file) => `
-### ${file.filename} (${file.status})
-**Changes**: +${file.additions} -${file.deletions}
-\`\`\`diff
-${file.patch ? file.patch.slice(0, 800) : "No patch available"}${
-      file.patch && file.patch.length > 800 ? "\n...(truncated)" : ""
-    }
-\`\`\`
-`
-  )
-  .join("\n")}
+${fenceUntrusted("changed files", renderDiffContext(this.diffContext(prContext, SITEMAP_CHECK_BUDGET)))}
 
-## Sitemap Coverage:
+${routesSection}## Sitemap Coverage:
 The sitemap provides navigation paths to these accessible areas:
 ${
   sitemapPaths.length > 0
-    ? sitemapPaths.map((path) => `- ${path}`).join("\n")
+    ? fenceUntrusted("sitemap paths", sitemapPaths.map((path) => `- ${path}`).join("\n"))
     : "No specific paths found in sitemap"
 }
 
 Full sitemap structure:
-\`\`\`json
-${JSON.stringify(sitemap, null, 2).slice(0, 1000)}${
-      JSON.stringify(sitemap, null, 2).length > 1000 ? "\n...(truncated)" : ""
-    }
-\`\`\`
+${fenceUntrusted("sitemap", `${sitemapJson.slice(0, 1000)}${sitemapJson.length > 1000 ? "\n...(truncated)" : ""}`)}
 
 ## Analysis Instructions:
 Determine if the PR changes affect UI/functionality that can be ACCESSED and TESTED through the sitemap paths.
@@ -557,10 +640,6 @@ Respond with ONLY "YES" if the changes affect areas ACCESSIBLE through the sitem
   }
 
   buildAnalysisPrompt(prContext: PRContext): string {
-    const changedFiles = prContext.files
-      .filter((file) => file.patch)
-      .slice(0, 10);
-
     const previewUrlsSection =
       prContext.previewUrls.length > 0
         ? `## Available Preview URLs:
@@ -568,40 +647,57 @@ ${prContext.previewUrls.map((url) => `- ${url}`).join("\n")}`
         : `## No Preview URLs Found
 Tests should target the main application functionality.`;
 
-    return `You are analyzing a GitHub Pull Request to determine what UI tests should be created.
-
-## Repository Context:
-${Object.entries(prContext.repoContext)
+    const affectedRoutes = prContext.affectedRoutes || [];
+    const affectedRoutesSection =
+      affectedRoutes.length > 0
+        ? `
+## Affected Routes:
+These routes render the changed files (directly or through imports). Target your tests at these pages:
+${affectedRoutes
   .map(
-    ([file, content]) =>
-      `### ${file}\n\`\`\`\n${content.slice(0, 500)}${
-        content.length > 500 ? "..." : ""
-      }\n\`\`\`\n`
+    (route) =>
+      `- \`${route.path}\`${route.kind === "layout" ? " and nested routes" : ""} (entry: \`${route.entryFile}\`, via ${route.changedFiles
+        .map((file) => `\`${file}\``)
+        .join(", ")})`
   )
   .join("\n")}
+`
+        : "";
 
-${previewUrlsSection}
+    const scopedRoutes = prContext.scopedRoutes || [];
+    const scopedRoutesSection =
+      scopedRoutes.length > 0
+        ? `
+## Routes in Scope:
+The repository's path rules map the changed files to these routes. Only create tests for these pages:
+${scopedRoutes.map((route) => `- \`${route}\``).join("\n")}
+`
+        : "";
+
+    const guidanceSection = prContext.guidance
+      ? `
+## Reviewer Guidance:
+A reviewer asked for the tests to focus on the following. Prioritise it when choosing what to test:
+> ${prContext.guidance.replace(/\n/g, "\n> ")}
+`
+      : "";
+
+    return `You are analyzing a GitHub Pull Request to determine what UI tests should be created.
+
+${UNTRUSTED_DATA_NOTICE}
+
+## Repository Context:
+${this.repoContextSection(prContext, 500)}
 
+${previewUrlsSection}
+${affectedRoutesSection}${scopedRoutesSection}${guidanceSection}
 ## Pull Request Details:
-- **Title**: ${prContext.pr.title}
 - **Author**: ${prContext.pr.author}
-- **Description**: ${prContext.pr.body || "No description provided"}
 - **Files Changed**: ${prContext.files.length}
+${this.prDetails(prContext)}
 
 ## Key Changes:
-${changedFiles
-  .map(
-    (file) => `
-### ${file.filename} (${file.status})
-**Changes**: +${file.additions} -${file.deletions}
-\`\`\`diff
-${file.patch ? file.patch.slice(0, 1500) : "No patch available"}${
-      file.patch && file.patch.length > 1500 ? "\n...(truncated)" : ""
-    }
-\`\`\`
-`
-  )
-  .join("\n")}
+${fenceUntrusted("changed files", renderDiffContext(this.diffContext(prContext, ANALYSIS_BUDGET)))}
 
 ## Your Task:
 Analyze the PR changes and create a SIMPLE, focused list of UI tests. 
@@ -616,67 +712,40 @@ Analyze the PR changes and create a SIMPLE, focused list of UI tests.
 - **NEVER test edge cases or error states**: Do not test error conditions, invalid inputs, network failures, or other edge cases that require special setup or non-standard user flows
 
 ## Test Planning Guidelines:
-- Make no more than 3 tests
+- Make no more than ${this.maxTests} tests
 - **Focus on**: Page loading, basic interactions, content presence, form submissions
 
 ## Output Format:
-Provide a numbered list of specific test scenarios in plain English. Each test should:
-- Be specific about what to test
-- Include expected outcomes`;
+Respond with ONLY a JSON object, without markdown or explanations, in this shape:
+${JSON.stringify(TEST_PLAN_EXAMPLE, null, 2)}
+
+- \`id\`: 1, 2, 3... in order
+- \`title\`: a short, specific description of what the test checks
+- \`route\`: the path to open first, e.g. "/settings" ("/" when unsure)
+- \`preconditions\`: state that must exist before the test starts, or []
+- \`steps\`: the user actions, one per entry
+- \`expectedOutcomes\`: what should be observable afterwards, one per entry
+- \`sourceFiles\`: the changed files the test covers, each with a line number from the new side of that file's diff
+- \`requiresAuth\`: true when the route needs a logged-in user
+
+If nothing in the PR is worth a UI test, respond with {"tests": []}.`;
   }
 
-  buildNavigationPrompt(testPlan: string, prContext: PRContext): string {
-    const previewUrlsSection =
-      prContext.previewUrls.length > 0
-        ? `## Base URL:
-${prContext.previewUrls.map((url) => `- ${url}`).join("\n")}`
-        : `## Base URL: ${process.env.LOCAL_DEV_TARGET_URL}.`;
+  buildPlanRepairPrompt(response: string, issues: string[]): string {
+    return `Your previous response was supposed to be a JSON test plan but it is not valid.
 
-    return `You are analyzing a test plan to determine the specific URL paths and navigation instructions needed for each test.
-${previewUrlsSection}
-## Repository Context:
-${Object.entries(prContext.repoContext)
-  .map(
-    ([file, content]) =>
-      `### ${file}\n\`\`\`\n${content.slice(0, 300)}${
-        content.length > 300 ? "..." : ""
-      }\n\`\`\`\n`
-  )
-  .join("\n")}
-## Pull Request Details:
-- **Title**: ${prContext.pr.title}
-- **Description**: ${prContext.pr.body || "No description provided"}
-## Test Plan:
-${testPlan}
-## Your Task:
-For each test in the test plan above, provide:
-1. The specific URL path to navigate to (e.g., "/dashboard", "/settings", "/login")
-2. Brief navigation instructions if the target UI element requires specific steps to reach
-**Important Guidelines:**
-- If a test mentions a specific page (e.g., "homepage", "dashboard", "settings"), provide the likely URL path
-- If a test is about a component that appears on multiple pages, suggest the most logical starting path
-- For authentication-protected areas, assume login will happen first and provide the post-login path
-- If unsure about exact paths, provide reasonable assumptions based on common web app conventions
-- Keep navigation instructions brief and focused
-## Output Format:
-For each test, provide:
-**Test 1**: [Brief test description]
-- **URL Path**: /path/to/page
-- **Navigation**: [Brief instructions if needed, or "Direct navigation to URL"]
-**Test 2**: [Brief test description]
-- **URL Path**: /different/path
-- **Navigation**: [Brief instructions if needed, or "Direct navigation to URL"]
-Example:
-**Test 1**: Navigate to the homepage and verify the title shows "New Title"
-- **URL Path**: /
-- **Navigation**: Direct navigation to URL
-**Test 2**: Navigate to the settings page and verify the new "Export Data" button is visible
-- **URL Path**: /settings
-- **Navigation**: Direct navigation to URL (may require authentication)
-Provide navigation details for each test in the plan.`;
+## Problems:
+${issues.map((issue) => `- ${issue}`).join("\n")}
+
+## Previous Response:
+${response}
+
+## Instructions:
+Fix the problems and respond with ONLY the corrected JSON object, in this shape:
+${JSON.stringify(TEST_PLAN_EXAMPLE, null, 2)}`;
   }
 
-  buildQAInstructionsPrompt(testPlan: string, prContext: PRContext, sitemap: any): string {
+  buildQAInstructionsPrompt(testPlan: TestPlan, prContext: PRContext, sitemap: any): string {
     const baseUrl =
       prContext.previewUrls.length > 0
         ? prContext.previewUrls[0]
@@ -684,16 +753,17 @@ Provide navigation details for each test in the plan.`;
 
     return `You are creating QA testing instructions for manual testing based on a Pull Request and discovered site navigation.
 
+${UNTRUSTED_DATA_NOTICE}
+
 ## Pull Request Context:
-- **Title**: ${prContext.pr.title}
-- **Description**: ${prContext.pr.body || "No description provided"}
+${this.prDetails(prContext)}
 - **Base URL**: ${baseUrl}
 
 ## Test Plan:
-${testPlan}
+${formatTestPlan(testPlan)}
 
 ## Site Navigation Map:
-${JSON.stringify(sitemap, null, 2)}
+${fenceUntrusted("sitemap", JSON.stringify(sitemap, null, 2))}
 
 ## Your Task:
 Generate clear, step-by-step instructions for QA testers to manually test the changes in this PR. Use the sitemap to provide specific navigation paths to reach the areas that need testing.
@@ -725,14 +795,14 @@ For each test scenario, provide:
 Provide comprehensive manual testing instructions based on the test plan and navigation map.`;
   }
 
-  buildCodePrompt(testPlan: string, prContext: PRContext, navigationPaths: string): string {
+  buildCodePrompt(testPlan: TestPlan, prContext: PRContext, navigationPaths: string): string {
     const authenticationSection =
       process.env.TEST_USER_EMAIL && process.env.TEST_USER_PASSWORD
         ? `
 ## Authentication Available:
-**Credentials**: Use these exact values in your tests:
-- Email: \`${process.env.TEST_USER_EMAIL}\`
-- Password: \`${process.env.TEST_USER_PASSWORD}\`
+**Credentials**: A test user is configured. Read its credentials from the environment at runtime and never write them into the code as literals:
+- Email: \`process.env.TEST_USER_EMAIL\`
+- Password: \`process.env.TEST_USER_PASSWORD\`
 
 **Smart Login Pattern**:
 \`\`\`javascript
@@ -741,8 +811,8 @@ const isLoggedIn = await agent.extract('Check if user is already logged in', z.b
 
 if (!isLoggedIn) {
   await agent.act('Navigate to login page');
-  await agent.act('Type email: ${process.env.TEST_USER_EMAIL}');
-  await agent.act('Type password: ${process.env.TEST_USER_PASSWORD}');
+  await agent.act('Type email: ' + process.env.TEST_USER_EMAIL);
+  await agent.act('Type password: ' + process.env.TEST_USER_PASSWORD);
   await agent.act('Click login button');
 }
 // Continue with tests...
@@ -766,7 +836,7 @@ Use: \`${process.env.LOCAL_DEV_TARGET_URL}`;
     const navigationSection = navigationPaths
       ? `
 ## Navigation Paths and Instructions:
-${navigationPaths}
+${fenceUntrusted("navigation notes", navigationPaths)}
 `
       : `
 ## Navigation Paths:
@@ -775,6 +845,8 @@ No specific navigation paths provided - use standard navigation patterns.
 
     return `Convert this test plan into executable Magnitude test code.
 
+${UNTRUSTED_DATA_NOTICE}
+
 ${authenticationSection}
 
 ${baseUrlSection}
@@ -782,10 +854,14 @@ ${baseUrlSection}
 ${navigationSection}
 
 ## Test Plan to Implement:
-${testPlan}
+\`\`\`json
+${JSON.stringify(testPlan, null, 2)}
+\`\`\`
+
+Each test's \`route\` is the page to start on, \`preconditions\` must hold before its \`steps\` run, and every entry in \`expectedOutcomes\` needs a check. Tests with \`requiresAuth\` must log in first.
 
 ## Test Framework Examples:
-${TEST_EXAMPLE}
+${this.testExample}
 
 ## Requirements:
 1. **Implement each test** from the test plan above
@@ -798,6 +874,10 @@ ${TEST_EXAMPLE}
 8. **DO NOT include any import statements** - startBrowserAgent, z (from zod), and dotenv are already available
 9. **NEVER test styling or CSS** - focus only on basic functionality like page loading and simple interactions
 10. **Keep tests simple and focused** - test only essential functionality, not complex edge cases
+11. **Wrap each test from the plan in \`await runTest(name, async () => { ... })\`** using exactly these names:
+${testPlan.tests.map((test) => `   - ${JSON.stringify(testName(test))}`).join("\n")}
+   \`runTest\` is already available and reports each test's result. A failing check should \`throw\` an Error with a clear message
+12. **Do not define \`runTest\` or \`reportTestEvent\` yourself** and do not catch errors inside a test body - let them propagate to \`runTest\`
 
 ## Output:
 Return ONLY the complete, executable test code. No explanations or markdown formatting.`;
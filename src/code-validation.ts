@@ -0,0 +1,129 @@
+import { AnyNode, Program, parse } from "acorn";
+
+// Modules the preamble already requires; generated code must not load them again
+const PREAMBLE_MODULES = ["magnitude-core", "zod", "dotenv"];
+
+export class GeneratedCodeError extends Error {
+  constructor(
+    public readonly diagnostics: string[],
+    public readonly repairRounds: number
+  ) {
+    super(
+      `Generated test code is invalid after ${repairRounds} repair round${
+        repairRounds === 1 ? "" : "s"
+      }:\n${diagnostics.map((diagnostic) => `- ${diagnostic}`).join("\n")}`
+    );
+    this.name = "GeneratedCodeError";
+  }
+}
+
+/**
+ * Removes what models add around code despite being told not to: markdown
+ * fences (and any prose outside them), import statements, and requires of
+ * modules the preamble already provides.
+ */
+export function cleanGeneratedCode(response: string): string {
+  const fenced = [...response.matchAll(/```[\w-]*[ \t]*\n([\s\S]*?)\n[ \t]*```/g)];
+  const code = fenced.length > 0 ? fenced.map((match) => match[1]).join("\n\n") : response;
+
+  const preambleRequire = new RegExp(
+    `^\\s*(?:(?:const|let|var)\\s+[^=]+=\\s*)?require\\(\\s*["'](?:${PREAMBLE_MODULES.join(
+      "|"
+    )})["']\\s*\\)(?:\\.config\\(\\))?;?\\s*$`
+  );
+
+  return code
+    .split("\n")
+    .filter((line) => !/^\s*import\s[^(]/.test(line) && !preambleRequire.test(line))
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Calls `visit` on `node` and each of its descendants, with the parent node.
+ */
+export function walkAst(
+  node: AnyNode,
+  visit: (node: AnyNode, parent: AnyNode | null) => void,
+  parent: AnyNode | null = null
+): void {
+  visit(node, parent);
+  for (const value of Object.values(node)) {
+    const children: unknown[] = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child === "object" && typeof (child as AnyNode).type === "string") {
+        walkAst(child as AnyNode, visit, node);
+      }
+    }
+  }
+}
+
+export function calleeName(node: AnyNode): string | null {
+  if (node.type !== "CallExpression") {
+    return null;
+  }
+  return node.callee.type === "Identifier" ? node.callee.name : null;
+}
+
+/**
+ * Checks generated test code, run after `preamble`: it must parse, start a
+ * browser agent and stop it. Returns one diagnostic per problem, with line
+ * numbers counted from the start of `code`.
+ */
+export function validateTestCode(code: string, preamble = ""): string[] {
+  const lineOffset = preamble.split("\n").length - 1;
+
+  let program: Program;
+  try {
+    program = parse(preamble + code, { ecmaVersion: "latest", sourceType: "script" });
+  } catch (error) {
+    const { loc } = error as { loc?: { line: number; column: number } };
+    const message = (error as Error).message.replace(/\s*\(\d+:\d+\)$/, "");
+    if (loc && loc.line <= lineOffset) {
+      return [`Code conflicts with the preamble: ${message}`];
+    }
+    return [loc ? `Syntax error at line ${loc.line - lineOffset}, column ${loc.column + 1}: ${message}` : message];
+  }
+
+  const agentNames = new Set<string>();
+  let startsAgent = false;
+  const stopped = new Set<string>();
+
+  walkAst(program, (node) => {
+    if (calleeName(node) === "startBrowserAgent") {
+      startsAgent = true;
+    }
+    // `const agent = await startBrowserAgent(...)` or `agent = await ...`
+    const [target, value] =
+      node.type === "VariableDeclarator"
+        ? [node.id, node.init]
+        : node.type === "AssignmentExpression"
+        ? [node.left, node.right]
+        : [null, null];
+    if (target?.type === "Identifier" && value) {
+      const call = value.type === "AwaitExpression" ? value.argument : value;
+      if (calleeName(call) === "startBrowserAgent") {
+        agentNames.add(target.name);
+      }
+    }
+    if (
+      node.type === "CallExpression" &&
+      node.callee.type === "MemberExpression" &&
+      node.callee.object.type === "Identifier" &&
+      node.callee.property.type === "Identifier" &&
+      node.callee.property.name === "stop"
+    ) {
+      stopped.add(node.callee.object.name);
+    }
+  });
+
+  const diagnostics: string[] = [];
+  if (!startsAgent) {
+    diagnostics.push("The code never calls startBrowserAgent(), so no browser is started");
+  } else if (![...agentNames].some((name) => stopped.has(name))) {
+    diagnostics.push(
+      `The browser agent is never stopped: call \`await ${[...agentNames][0] || "agent"}.stop()\` in a finally block`
+    );
+  }
+  return diagnostics;
+}
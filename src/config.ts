@@ -0,0 +1,443 @@
+import * as fs from "fs";
+import * as path from "path";
+import { parse as parseYaml } from "yaml";
+import { z } from "zod";
+import { FAIL_ON_MODES, FailOnMode } from "./gating";
+import { PathRule } from "./path-rules";
+import { PROVIDER_NAMES, ProviderName } from "./llm-provider";
+import { POLICY_MODES, PolicyMode } from "./safety-policy";
+import { INJECTION_GUARD_MODES, InjectionGuardMode } from "./prompt-injection";
+import { DEFAULT_ARTIFACT_OPTIONS } from "./artifacts";
+
+export const DEFAULT_CONFIG_FILE = ".github/pr-test-generator.yml";
+
+const ALTERNATE_CONFIG_FILES = [".github/pr-test-generator.yaml"];
+
+export type CommentStyle = "detailed" | "compact";
+
+/**
+ * Every setting the action understands, flattened. Each one can come from an
+ * action input, the repository config file or a built-in default, in that
+ * order of precedence.
+ */
+export interface ActionSettings {
+  testExamples?: string;
+  outputDir: string;
+  // Test execution timeout, in seconds
+  timeout: number;
+  commentOnPR: boolean;
+  commentStyle: CommentStyle;
+  baseUrl?: string;
+  waitForPreview: number;
+  // Newline-separated, as accepted by the preview-url-patterns input
+  previewUrlPatterns: string;
+  previewReadyTimeout: number;
+  previewReadyText?: string;
+  startCommand?: string;
+  buildCommand?: string;
+  workingDirectory?: string;
+  port: number;
+  readyUrl?: string;
+  startTimeout: number;
+  // Runner variables passed to build-command and start-command
+  devServerEnv: string[];
+  enableCaching: boolean;
+  cacheDir?: string;
+  failOn: FailOnMode;
+  includePaths: string[];
+  excludePaths: string[];
+  pathRules: PathRule[];
+  maxTests: number;
+  // Rounds of sending invalid generated code back to be fixed
+  codeRepairRounds: number;
+  llmProvider: ProviderName;
+  llmBaseUrl?: string;
+  // Name of the environment variable holding the provider's API key
+  llmApiKeyEnv?: string;
+  classifierModel?: string;
+  plannerModel?: string;
+  generatorModel?: string;
+  // Attempts per API call, including the first
+  apiMaxAttempts: number;
+  // Time budget for API retries across the whole run, in seconds
+  apiRetryDeadline: number;
+  // Names of environment variables holding the test user's credentials
+  authEmailEnv?: string;
+  authPasswordEnv?: string;
+  // Safety policy for generated code; the allow-lists extend the built-in ones
+  safetyMode: PolicyMode;
+  safetyAllowModules: string[];
+  safetyAllowHosts: string[];
+  safetyAllowEnv: string[];
+  // How untrusted PR content is handled in prompts; auto is strict for forks
+  injectionGuard: InjectionGuardMode;
+  // Screenshots, traces and video of each run, uploaded as a workflow artifact
+  uploadArtifacts: boolean;
+  recordVideo: boolean;
+  recordTrace: boolean;
+  artifactRetentionDays: number;
+  // Upload limit, in megabytes
+  artifactMaxSizeMb: number;
+}
+
+export const DEFAULT_SETTINGS: ActionSettings = {
+  outputDir: ".github/generated-tests",
+  timeout: 600,
+  commentOnPR: true,
+  commentStyle: "detailed",
+  waitForPreview: 60,
+  previewUrlPatterns: "",
+  previewReadyTimeout: 120,
+  port: 3000,
+  startTimeout: 300,
+  devServerEnv: [],
+  enableCaching: true,
+  failOn: "generation-error",
+  includePaths: [],
+  excludePaths: [],
+  pathRules: [],
+  maxTests: 3,
+  codeRepairRounds: 2,
+  llmProvider: "anthropic",
+  apiMaxAttempts: 4,
+  apiRetryDeadline: 600,
+  safetyMode: "block",
+  safetyAllowModules: [],
+  safetyAllowHosts: [],
+  safetyAllowEnv: [],
+  injectionGuard: "auto",
+  uploadArtifacts: DEFAULT_ARTIFACT_OPTIONS.enabled,
+  recordVideo: DEFAULT_ARTIFACT_OPTIONS.video,
+  recordTrace: DEFAULT_ARTIFACT_OPTIONS.trace,
+  artifactRetentionDays: DEFAULT_ARTIFACT_OPTIONS.retentionDays,
+  artifactMaxSizeMb: DEFAULT_ARTIFACT_OPTIONS.maxSizeMb,
+};
+
+const seconds = z.number().int().nonnegative();
+const globList = z.union([z.string(), z.array(z.string())]).transform((value) =>
+  Array.isArray(value) ? value : [value]
+);
+
+const pathRuleSchema = z
+  .object({
+    paths: globList,
+    action: z.enum(["always-test", "never-test"]).optional(),
+    route: z.string().startsWith("/").optional(),
+    reason: z.string().optional(),
+  })
+  .strict()
+  .refine((rule) => (rule.action === undefined) !== (rule.route === undefined), {
+    message: "Each rule needs exactly one of action or route",
+  });
+
+export const repoConfigSchema = z
+  .object({
+    paths: z
+      .object({
+        include: globList.optional(),
+        exclude: globList.optional(),
+        rules: z.array(pathRuleSchema).optional(),
+      })
+      .strict()
+      .optional(),
+    preview: z
+      .object({
+        "base-url": z.string().url().optional(),
+        wait: seconds.optional(),
+        "url-patterns": z.array(z.string()).optional(),
+        "ready-timeout": seconds.optional(),
+        "ready-text": z.string().optional(),
+        "dev-server": z
+          .object({
+            "start-command": z.string().min(1),
+            "build-command": z.string().optional(),
+            "working-directory": z.string().optional(),
+            port: z.number().int().min(1).max(65535).optional(),
+            "ready-url": z.string().url().optional(),
+            "start-timeout": seconds.optional(),
+            env: z.array(z.string().min(1)).optional(),
+          })
+          .strict()
+          .optional(),
+      })
+      .strict()
+      .optional(),
+    auth: z
+      .object({
+        "email-env": z.string().min(1).optional(),
+        "password-env": z.string().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+    llm: z
+      .object({
+        provider: z.enum(PROVIDER_NAMES as [ProviderName, ...ProviderName[]]).optional(),
+        "base-url": z.string().url().optional(),
+        "api-key-env": z.string().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+    api: z
+      .object({
+        "max-attempts": z.number().int().min(1).max(10).optional(),
+        "retry-deadline": seconds.optional(),
+      })
+      .strict()
+      .optional(),
+    models: z
+      .object({
+        classifier: z.string().min(1).optional(),
+        planner: z.string().min(1).optional(),
+        generator: z.string().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+    tests: z
+      .object({
+        "max-tests": z.number().int().min(1).max(20).optional(),
+        "repair-rounds": z.number().int().min(0).max(5).optional(),
+        timeout: seconds.optional(),
+        "output-dir": z.string().optional(),
+        examples: z.string().optional(),
+      })
+      .strict()
+      .optional(),
+    comment: z
+      .object({
+        enabled: z.boolean().optional(),
+        style: z.enum(["detailed", "compact"]).optional(),
+      })
+      .strict()
+      .optional(),
+    caching: z
+      .object({
+        enabled: z.boolean().optional(),
+        dir: z.string().optional(),
+      })
+      .strict()
+      .optional(),
+    gating: z
+      .object({
+        "fail-on": z.enum(FAIL_ON_MODES as [FailOnMode, ...FailOnMode[]]).optional(),
+      })
+      .strict()
+      .optional(),
+    safety: z
+      .object({
+        mode: z.enum(POLICY_MODES as [PolicyMode, ...PolicyMode[]]).optional(),
+        "allow-modules": z.array(z.string().min(1)).optional(),
+        "allow-hosts": z.array(z.string().min(1)).optional(),
+        "allow-env": z.array(z.string().min(1)).optional(),
+        "injection-guard": z
+          .enum(INJECTION_GUARD_MODES as [InjectionGuardMode, ...InjectionGuardMode[]])
+          .optional(),
+      })
+      .strict()
+      .optional(),
+    artifacts: z
+      .object({
+        enabled: z.boolean().optional(),
+        video: z.boolean().optional(),
+        trace: z.boolean().optional(),
+        "retention-days": z.number().int().min(1).max(90).optional(),
+        "max-size-mb": z.number().int().min(1).optional(),
+      })
+      .strict()
+      .optional(),
+  })
+  .strict();
+
+export type RepoConfig = z.infer<typeof repoConfigSchema>;
+
+export class ConfigError extends Error {
+  constructor(
+    public readonly file: string,
+    public readonly issues: string[]
+  ) {
+    super(`Invalid ${file}:\n${issues.map((issue) => `- ${issue}`).join("\n")}`);
+    this.name = "ConfigError";
+  }
+}
+
+/**
+ * Settings that loosen the safety policy, decide where secrets go, or pick
+ * the commands, code, hosts and paths the action runs and writes to. A PR
+ * from a fork must not be able to change them through its own copy of the
+ * config file.
+ */
+export const SECURITY_SETTINGS: (keyof ActionSettings)[] = [
+  "safetyMode",
+  "safetyAllowModules",
+  "safetyAllowHosts",
+  "safetyAllowEnv",
+  "injectionGuard",
+  "llmProvider",
+  "llmBaseUrl",
+  "llmApiKeyEnv",
+  "authEmailEnv",
+  "authPasswordEnv",
+  "devServerEnv",
+  "startCommand",
+  "buildCommand",
+  "baseUrl",
+  "cacheDir",
+  "outputDir",
+  "testExamples",
+];
+
+function configCandidates(configFile?: string): string[] {
+  return configFile ? [configFile] : [DEFAULT_CONFIG_FILE, ...ALTERNATE_CONFIG_FILES];
+}
+
+/**
+ * Reads and validates the repository config file. Returns null when the
+ * file does not exist; throws ConfigError when it is not valid YAML or does
+ * not match the schema.
+ */
+export function loadRepoConfig(
+  rootDir: string,
+  configFile?: string
+): { file: string; config: RepoConfig } | null {
+  const file = configCandidates(configFile).find((candidate) => fs.existsSync(path.join(rootDir, candidate)));
+  if (!file) {
+    if (configFile) {
+      throw new ConfigError(configFile, ["file not found"]);
+    }
+    return null;
+  }
+
+  return { file, config: parseRepoConfig(file, fs.readFileSync(path.join(rootDir, file), "utf8")) };
+}
+
+/**
+ * Like loadRepoConfig, but reads the file through `readFile`, e.g. from the
+ * base branch through the API. `readFile` resolves null for missing files.
+ */
+export async function loadRepoConfigWith(
+  readFile: (file: string) => Promise<string | null>,
+  configFile?: string
+): Promise<{ file: string; config: RepoConfig } | null> {
+  for (const file of configCandidates(configFile)) {
+    const text = await readFile(file);
+    if (text !== null) {
+      return { file, config: parseRepoConfig(file, text) };
+    }
+  }
+  return null;
+}
+
+function parseRepoConfig(file: string, text: string): RepoConfig {
+  let raw: unknown;
+  try {
+    raw = parseYaml(text);
+  } catch (error) {
+    throw new ConfigError(file, [(error as Error).message.split("\n")[0]]);
+  }
+
+  const result = repoConfigSchema.safeParse(raw ?? {});
+  if (!result.success) {
+    throw new ConfigError(
+      file,
+      result.error.issues.map(
+        (issue) => `${issue.path.length > 0 ? issue.path.join(".") : "(root)"}: ${issue.message}`
+      )
+    );
+  }
+
+  return result.data;
+}
+
+/**
+ * Replaces the security settings of `settings` with those of `trusted`,
+ * dropping any that `trusted` does not set so the defaults apply.
+ */
+export function withTrustedSecuritySettings(
+  settings: Partial<ActionSettings>,
+  trusted: Partial<ActionSettings>
+): Partial<ActionSettings> {
+  const result: Partial<ActionSettings> = { ...settings };
+  for (const key of SECURITY_SETTINGS) {
+    delete result[key];
+    if (trusted[key] !== undefined) {
+      (result as Record<string, unknown>)[key] = trusted[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Maps the nested config file layout onto flat settings, leaving out
+ * anything the file does not set.
+ */
+export function settingsFromRepoConfig(config: RepoConfig): Partial<ActionSettings> {
+  const devServer = config.preview?.["dev-server"];
+
+  return {
+    includePaths: config.paths?.include,
+    excludePaths: config.paths?.exclude,
+    pathRules: config.paths?.rules,
+    baseUrl: config.preview?.["base-url"],
+    waitForPreview: config.preview?.wait,
+    previewUrlPatterns: config.preview?.["url-patterns"]?.join("\n"),
+    previewReadyTimeout: config.preview?.["ready-timeout"],
+    previewReadyText: config.preview?.["ready-text"],
+    startCommand: devServer?.["start-command"],
+    buildCommand: devServer?.["build-command"],
+    workingDirectory: devServer?.["working-directory"],
+    port: devServer?.port,
+    readyUrl: devServer?.["ready-url"],
+    startTimeout: devServer?.["start-timeout"],
+    devServerEnv: devServer?.env,
+    authEmailEnv: config.auth?.["email-env"],
+    authPasswordEnv: config.auth?.["password-env"],
+    llmProvider: config.llm?.provider,
+    llmBaseUrl: config.llm?.["base-url"],
+    llmApiKeyEnv: config.llm?.["api-key-env"],
+    apiMaxAttempts: config.api?.["max-attempts"],
+    apiRetryDeadline: config.api?.["retry-deadline"],
+    classifierModel: config.models?.classifier,
+    plannerModel: config.models?.planner,
+    generatorModel: config.models?.generator,
+    maxTests: config.tests?.["max-tests"],
+    codeRepairRounds: config.tests?.["repair-rounds"],
+    timeout: config.tests?.timeout,
+    outputDir: config.tests?.["output-dir"],
+    testExamples: config.tests?.examples,
+    commentOnPR: config.comment?.enabled,
+    commentStyle: config.comment?.style,
+    enableCaching: config.caching?.enabled,
+    cacheDir: config.caching?.dir,
+    failOn: config.gating?.["fail-on"],
+    safetyMode: config.safety?.mode,
+    safetyAllowModules: config.safety?.["allow-modules"],
+    safetyAllowHosts: config.safety?.["allow-hosts"],
+    safetyAllowEnv: config.safety?.["allow-env"],
+    injectionGuard: config.safety?.["injection-guard"],
+    uploadArtifacts: config.artifacts?.enabled,
+    recordVideo: config.artifacts?.video,
+    recordTrace: config.artifacts?.trace,
+    artifactRetentionDays: config.artifacts?.["retention-days"],
+    artifactMaxSizeMb: config.artifacts?.["max-size-mb"],
+  };
+}
+
+function definedOnly<T extends object>(value: Partial<T>): Partial<T> {
+  return Object.fromEntries(
+    Object.entries(value).filter(([, entry]) => entry !== undefined && entry !== "")
+  ) as Partial<T>;
+}
+
+/**
+ * Resolves the effective settings: action inputs win over the config file,
+ * which wins over the built-in defaults.
+ */
+export function resolveSettings(
+  inputs: Partial<ActionSettings>,
+  fileSettings: Partial<ActionSettings> = {}
+): ActionSettings {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...definedOnly(fileSettings),
+    ...definedOnly(inputs),
+  };
+}
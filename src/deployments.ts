@@ -0,0 +1,89 @@
+import { Octokit } from "@octokit/rest";
+import * as core from "@actions/core";
+
+interface DeploymentStatusLike {
+  state: string;
+  environment_url?: string | null;
+  target_url?: string | null;
+}
+
+// Deployments older than this many per commit are not inspected
+const MAX_DEPLOYMENTS = 10;
+
+/**
+ * The URL a deployment status points at: `environment_url` is the deployed
+ * site, `target_url` the (older) catch-all that many providers still set.
+ */
+export function deploymentStatusUrl(status: DeploymentStatusLike): string | null {
+  const url = status.environment_url || status.target_url;
+  return url && /^https?:\/\//.test(url) ? url : null;
+}
+
+/**
+ * Returns the URLs of successful, non-production deployments of `sha`,
+ * newest first. Deployments whose latest status is not `success` (still
+ * pending, or failed) are skipped so callers can keep polling.
+ */
+export async function findDeploymentUrls(
+  github: Octokit,
+  owner: string,
+  repo: string,
+  sha: string
+): Promise<string[]> {
+  const { data: deployments } = await github.repos.listDeployments({
+    owner,
+    repo,
+    sha,
+    per_page: MAX_DEPLOYMENTS,
+  });
+
+  const urls: string[] = [];
+  for (const deployment of deployments) {
+    if (deployment.production_environment) {
+      continue;
+    }
+
+    const { data: statuses } = await github.repos.listDeploymentStatuses({
+      owner,
+      repo,
+      deployment_id: deployment.id,
+      per_page: 1,
+    });
+    const latest = statuses[0];
+    if (!latest) {
+      continue;
+    }
+
+    if (latest.state !== "success") {
+      core.debug(`Deployment ${deployment.id} (${deployment.environment}) is ${latest.state}`);
+      continue;
+    }
+
+    const url = deploymentStatusUrl(latest);
+    if (url && !urls.includes(url)) {
+      urls.push(url);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Finds the open pull request whose head is `sha`, for events such as
+ * `deployment_status` that only identify a commit.
+ */
+export async function findPullRequestForCommit(
+  github: Octokit,
+  owner: string,
+  repo: string,
+  sha: string
+): Promise<number | null> {
+  const { data: pulls } = await github.repos.listPullRequestsAssociatedWithCommit({
+    owner,
+    repo,
+    commit_sha: sha,
+  });
+
+  const pull = pulls.find((pr) => pr.state === "open" && pr.head.sha === sha);
+  return pull ? pull.number : null;
+}
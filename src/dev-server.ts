@@ -0,0 +1,243 @@
+import * as core from "@actions/core";
+import { ChildProcess, spawn } from "child_process";
+import * as path from "path";
+import { killProcessTree } from "./process-tree";
+import { waitForReady } from "./readiness-probe";
+
+export interface DevServerConfig {
+  // Shell command that starts the app, e.g. "npm run dev"
+  startCommand: string;
+  // Optional shell command run to completion first, e.g. "npm ci && npm run build"
+  buildCommand?: string;
+  // Relative to the repository root
+  workingDirectory?: string;
+  port?: number;
+  // Defaults to http://localhost:<port>
+  readyUrl?: string;
+  readyText?: string;
+  // Seconds to wait for the build and for the server to become ready, each
+  startTimeout?: number;
+  // Extra variables from the runner's environment the app needs, e.g. "DATABASE_URL"
+  allowEnv?: string[];
+}
+
+// Grace period between SIGTERM and SIGKILL when stopping the server
+const KILL_GRACE_PERIOD = 5000;
+
+// Server output kept for error messages when it fails to start
+const MAX_LOG_LENGTH = 4000;
+
+// Runner variables build tools and servers need to find node, caches and proxies
+const PASSTHROUGH_ENV = [
+  "PATH",
+  "HOME",
+  "USERPROFILE",
+  "TMPDIR",
+  "TEMP",
+  "TMP",
+  "CI",
+  "NODE_ENV",
+  "LANG",
+  "LC_ALL",
+  "TZ",
+  "SystemRoot",
+  "WINDIR",
+  "HTTP_PROXY",
+  "HTTPS_PROXY",
+  "NO_PROXY",
+  "http_proxy",
+  "https_proxy",
+  "no_proxy",
+  "NODE_EXTRA_CA_CERTS",
+];
+
+/**
+ * The environment for the build and start commands. They run the PR's own
+ * scripts, so the action's inputs (INPUT_*, which carry the API key) and
+ * tokens are never passed on, even when listed in `allowEnv`.
+ */
+export function buildServerEnv(
+  port: number,
+  allowEnv: string[] = [],
+  env: NodeJS.ProcessEnv = process.env
+): NodeJS.ProcessEnv {
+  const serverEnv: NodeJS.ProcessEnv = {};
+  for (const name of [...PASSTHROUGH_ENV, ...allowEnv]) {
+    if (env[name] !== undefined && !isActionSecret(name)) {
+      serverEnv[name] = env[name];
+    }
+  }
+  return { ...serverEnv, PORT: String(port), BROWSER: "none" };
+}
+
+function isActionSecret(name: string): boolean {
+  return (
+    name.toUpperCase().startsWith("INPUT_") ||
+    ["GITHUB_TOKEN", "GH_TOKEN", "ACTIONS_RUNTIME_TOKEN", "ACTIONS_ID_TOKEN_REQUEST_TOKEN"].includes(name)
+  );
+}
+
+/**
+ * Builds and starts the PR's app inside the runner so tests can target
+ * localhost when there is no preview deployment.
+ */
+class DevServer {
+  private config: DevServerConfig;
+  private cwd: string;
+  private port: number;
+  private startTimeout: number;
+  private child?: ChildProcess;
+  private exitCode?: number | null;
+  private log = "";
+
+  constructor(config: DevServerConfig) {
+    this.config = config;
+    this.cwd = path.resolve(process.cwd(), config.workingDirectory || ".");
+    this.port = config.port || 3000;
+    this.startTimeout = (config.startTimeout ?? 300) * 1000;
+  }
+
+  get url(): string {
+    return this.config.readyUrl || `http://localhost:${this.port}`;
+  }
+
+  /**
+   * Runs the build command (if any), starts the server and resolves with its
+   * URL once it answers. Throws, after stopping the server, when the build
+   * fails, the server exits early or it never becomes ready.
+   */
+  async start(): Promise<string> {
+    if (this.config.buildCommand) {
+      core.info(`🔨 Building app: ${this.config.buildCommand}`);
+      const exitCode = await this.runToCompletion(this.config.buildCommand);
+      if (exitCode !== 0) {
+        throw new Error(
+          `Build command failed with exit code ${exitCode}:\n${this.log.slice(-MAX_LOG_LENGTH)}`
+        );
+      }
+    }
+
+    core.info(`🖥️ Starting app: ${this.config.startCommand} (in ${this.cwd})`);
+    this.log = "";
+    this.child = this.spawnShell(this.config.startCommand);
+    this.child.on("exit", (code) => {
+      this.exitCode = code;
+    });
+    this.child.on("error", (error) => {
+      this.log += error.message;
+      this.exitCode = null;
+    });
+
+    try {
+      await this.waitUntilReady();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+
+    core.info(`✅ App is serving at ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Terminates the server and every process it spawned: SIGTERM to the
+   * process group, then SIGKILL if it is still running after a grace period.
+   */
+  async stop(): Promise<void> {
+    const child = this.child;
+    if (!child) {
+      return;
+    }
+    this.child = undefined;
+
+    if (this.exitCode === undefined) {
+      core.info("🛑 Stopping app...");
+      const exited = new Promise<void>((resolve) => child.once("exit", () => resolve()));
+      killProcessTree(child.pid, "SIGTERM");
+
+      let killTimer: NodeJS.Timeout | undefined;
+      const timedOut = new Promise<boolean>((resolve) => {
+        killTimer = setTimeout(() => resolve(true), KILL_GRACE_PERIOD);
+      });
+
+      if (await Promise.race([exited.then(() => false), timedOut])) {
+        killProcessTree(child.pid, "SIGKILL");
+        await exited;
+      }
+      clearTimeout(killTimer);
+    }
+
+    // Children can outlive the shell that started them; clear the whole group
+    killProcessTree(child.pid, "SIGKILL");
+  }
+
+  private async waitUntilReady(): Promise<void> {
+    const deadline = Date.now() + this.startTimeout;
+    let reason = "not started";
+
+    while (Date.now() < deadline) {
+      if (this.exitCode !== undefined) {
+        throw new Error(
+          `App exited with code ${this.exitCode} before it became ready:\n${this.log.slice(-MAX_LOG_LENGTH)}`
+        );
+      }
+
+      const result = await waitForReady(this.url, {
+        timeout: 0,
+        requestTimeout: 5000,
+        expectedText: this.config.readyText,
+      });
+      if (result.ready) {
+        return;
+      }
+      reason = result.reason || reason;
+
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(
+      `App did not become ready at ${this.url} within ${Math.round(this.startTimeout / 1000)}s (${reason}):\n${this.log.slice(-MAX_LOG_LENGTH)}`
+    );
+  }
+
+  private spawnShell(command: string): ChildProcess {
+    // Own process group so stop() can take down watchers and workers too
+    const child = spawn(command, {
+      cwd: this.cwd,
+      env: buildServerEnv(this.port, this.config.allowEnv),
+      shell: true,
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const capture = (data: Buffer) => {
+      const text = data.toString();
+      this.log = (this.log + text).slice(-MAX_LOG_LENGTH);
+      core.info(`[app] ${text.trimEnd()}`);
+    };
+    child.stdout?.on("data", capture);
+    child.stderr?.on("data", capture);
+
+    return child;
+  }
+
+  private runToCompletion(command: string): Promise<number | null> {
+    return new Promise((resolve) => {
+      const child = this.spawnShell(command);
+      const timer = setTimeout(() => {
+        core.warning(`⏱️ Build exceeded ${Math.round(this.startTimeout / 1000)}s - terminating`);
+        killProcessTree(child.pid, "SIGKILL");
+      }, this.startTimeout);
+
+      child.on("error", (error) => {
+        this.log += error.message;
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        resolve(code);
+      });
+    });
+  }
+}
+
+export default DevServer;
@@ -0,0 +1,242 @@
+import { routeForFile } from "./source-routes";
+
+export interface DiffFile {
+  filename: string;
+  status: string;
+  additions: number;
+  deletions: number;
+  patch?: string;
+}
+
+export interface ContextBudget {
+  // Token budget for the whole changed-files section
+  maxTokens: number;
+  // Cap for a single file's patch, so one huge file cannot crowd out the rest
+  maxFileTokens: number;
+}
+
+export interface IncludedFile {
+  file: DiffFile;
+  // The patch as sent, possibly cut down to whole hunks
+  patch: string;
+  truncated: boolean;
+  // Hunks left out of a truncated patch
+  omittedHunks: number;
+}
+
+export interface DiffContext {
+  // Files sent with their patch, most relevant first
+  included: IncludedFile[];
+  // Files listed by name and size only
+  summarized: DiffFile[];
+  // Files left out of the prompt entirely
+  omitted: DiffFile[];
+}
+
+// Per-prompt budgets, in estimated tokens
+export const ANALYSIS_BUDGET: ContextBudget = { maxTokens: 12000, maxFileTokens: 2500 };
+export const UI_CHECK_BUDGET: ContextBudget = { maxTokens: 6000, maxFileTokens: 1000 };
+export const SITEMAP_CHECK_BUDGET: ContextBudget = { maxTokens: 4000, maxFileTokens: 800 };
+
+// Budget kept for the list of summarised files once patches run out
+const SUMMARY_LINE_TOKENS = 20;
+
+const UI_EXTENSIONS = /\.(jsx|tsx|vue|svelte|astro|html?|css|scss|sass|less|ejs|hbs|pug)$/;
+const SCRIPT_EXTENSIONS = /\.(js|ts|mjs|cjs)$/;
+const UI_DIRECTORIES = /(^|\/)(components?|pages?|app|views?|layouts?|routes|templates?|styles?|public)\//;
+const NOISE_FILES =
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|.*\.min\.(js|css)|.*\.map|.*\.snap)$|(^|\/)(dist|build|vendor|__snapshots__)\//;
+
+/**
+ * Rough token count (about four characters per token for code and English).
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Relevance of a changed file to UI testing: files that render on affected
+ * routes and UI source files rank highest, larger changes rank above smaller
+ * ones, and lockfiles, build output and deletions rank last.
+ */
+export function scoreFile(file: DiffFile, affectedFiles: Set<string> = new Set()): number {
+  if (NOISE_FILES.test(file.filename)) {
+    return -10;
+  }
+
+  let score = 0;
+  if (affectedFiles.has(file.filename) || routeForFile(file.filename)) {
+    score += 6;
+  }
+  if (UI_EXTENSIONS.test(file.filename)) {
+    score += 4;
+  } else if (SCRIPT_EXTENSIONS.test(file.filename)) {
+    score += 1;
+  }
+  if (UI_DIRECTORIES.test(file.filename)) {
+    score += 2;
+  }
+  if (/(^|\/)(test|tests|__tests__|e2e)\/|\.(test|spec)\.[jt]sx?$/.test(file.filename)) {
+    score -= 3;
+  }
+  if (file.status === "removed") {
+    score -= 2;
+  }
+
+  // Favour bigger changes, with diminishing returns
+  return score + Math.min(3, Math.log10(1 + file.additions + file.deletions));
+}
+
+/**
+ * Splits a unified diff patch into hunks, each starting at its `@@` header.
+ */
+export function splitHunks(patch: string): string[] {
+  const hunks: string[] = [];
+  for (const line of patch.split("\n")) {
+    if (line.startsWith("@@") || hunks.length === 0) {
+      hunks.push(line);
+    } else {
+      hunks[hunks.length - 1] += `\n${line}`;
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Cuts a patch down to whole hunks that fit `maxTokens`. A first hunk that
+ * is too large on its own is cut at a line boundary instead.
+ */
+export function truncatePatch(
+  patch: string,
+  maxTokens: number
+): { patch: string; truncated: boolean; omittedHunks: number } {
+  if (estimateTokens(patch) <= maxTokens) {
+    return { patch, truncated: false, omittedHunks: 0 };
+  }
+
+  const hunks = splitHunks(patch);
+  const kept: string[] = [];
+  let used = 0;
+  for (const hunk of hunks) {
+    const tokens = estimateTokens(hunk) + 1;
+    if (used + tokens > maxTokens) {
+      break;
+    }
+    kept.push(hunk);
+    used += tokens;
+  }
+
+  if (kept.length === 0) {
+    const lines = hunks[0].slice(0, maxTokens * 4).split("\n");
+    return {
+      patch: lines.slice(0, Math.max(1, lines.length - 1)).join("\n"),
+      truncated: true,
+      omittedHunks: hunks.length - 1,
+    };
+  }
+
+  return { patch: kept.join("\n"), truncated: true, omittedHunks: hunks.length - kept.length };
+}
+
+function renderFile(entry: IncludedFile): string {
+  const { file } = entry;
+  const note = entry.truncated
+    ? `\n...(truncated${entry.omittedHunks > 0 ? `, ${entry.omittedHunks} more hunk${entry.omittedHunks === 1 ? "" : "s"}` : ""})`
+    : "";
+  return `
+### ${file.filename} (${file.status})
+**Changes**: +${file.additions} -${file.deletions}
+\`\`\`diff
+${entry.patch || "No patch available"}${note}
+\`\`\`
+`;
+}
+
+/**
+ * Selects what fits in a prompt: files are ranked by relevance and their
+ * patches added, whole hunks at a time, until the budget runs out. Files
+ * that no longer fit are listed by name and size, and any that do not fit
+ * even as a one-line summary are omitted.
+ */
+export function buildDiffContext(
+  files: DiffFile[],
+  budget: ContextBudget,
+  affectedFiles: Set<string> = new Set()
+): DiffContext {
+  const ranked = files
+    .map((file, index) => ({ file, index, score: scoreFile(file, affectedFiles) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((entry) => entry.file);
+
+  const context: DiffContext = { included: [], summarized: [], omitted: [] };
+  let remaining = budget.maxTokens;
+
+  for (const file of ranked) {
+    // Keep room to at least name every file that comes after this one
+    const reserve = (ranked.length - context.included.length - 1) * SUMMARY_LINE_TOKENS;
+    const available = Math.min(budget.maxFileTokens, remaining - reserve);
+    const header = estimateTokens(renderFile({ file, patch: "", truncated: false, omittedHunks: 0 }));
+
+    if (context.summarized.length === 0 && available - header >= 50) {
+      const { patch, truncated, omittedHunks } = file.patch
+        ? truncatePatch(file.patch, available - header)
+        : { patch: "", truncated: false, omittedHunks: 0 };
+      const entry = { file, patch, truncated, omittedHunks };
+      context.included.push(entry);
+      remaining -= estimateTokens(renderFile(entry));
+    } else if (remaining >= SUMMARY_LINE_TOKENS) {
+      context.summarized.push(file);
+      remaining -= SUMMARY_LINE_TOKENS;
+    } else {
+      context.omitted.push(file);
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Renders the selected files for a prompt, followed by the summarised files
+ * and a count of omitted ones.
+ */
+export function renderDiffContext(context: DiffContext): string {
+  let text = context.included.map(renderFile).join("\n");
+
+  if (context.summarized.length > 0) {
+    text += `
+### Other changed files (diff not shown)
+${context.summarized
+  .map((file) => `- ${file.filename} (${file.status}, +${file.additions} -${file.deletions})`)
+  .join("\n")}
+`;
+  }
+  if (context.omitted.length > 0) {
+    text += `\n...and ${context.omitted.length} more changed file${context.omitted.length === 1 ? "" : "s"} not listed\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Markdown note for reports listing the files the model did not see in
+ * full, or null when every patch was included.
+ */
+export function describeDiffCoverage(context: DiffContext): string | null {
+  const truncated = context.included.filter((entry) => entry.truncated);
+  if (truncated.length === 0 && context.summarized.length === 0 && context.omitted.length === 0) {
+    return null;
+  }
+
+  const list = (files: string[]) => files.map((file) => `\`${file}\``).join(", ");
+  const parts: string[] = [];
+  if (truncated.length > 0) {
+    parts.push(`truncated: ${list(truncated.map((entry) => entry.file.filename))}`);
+  }
+  if (context.summarized.length > 0) {
+    parts.push(`summarised without diff: ${list(context.summarized.map((file) => file.filename))}`);
+  }
+  if (context.omitted.length > 0) {
+    parts.push(`omitted: ${list(context.omitted.map((file) => file.filename))}`);
+  }
+  return `Large PR - some changes were not shown to the model in full (${parts.join("; ")})`;
+}
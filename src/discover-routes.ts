@@ -1,9 +1,418 @@
-export async function discoverRoutes(url: string): Promise<any> {
-  // Placeholder implementation - this would use magnitude-core to discover routes
-  // For now, return a simple structure
+import * as core from "@actions/core";
+import * as fs from "fs";
+import * as path from "path";
+import { SourceRoute, extractSourceRoutes } from "./source-routes";
+
+interface DiscoverRoutesOptions {
+  maxDepth?: number;
+  maxPages?: number;
+  requestTimeout?: number;
+  respectRobots?: boolean;
+  userAgent?: string;
+  // Checked-out repository to derive routes from (Next.js, SvelteKit, Nuxt, React Router)
+  rootDir?: string;
+}
+
+interface DiscoveredLink {
+  text: string;
+  href: string;
+}
+
+interface DiscoveredFormField {
+  name: string;
+  type: string;
+  label?: string;
+}
+
+interface DiscoveredForm {
+  id?: string;
+  action: string;
+  method: string;
+  fields: DiscoveredFormField[];
+}
+
+interface DiscoveredPage {
+  path: string;
+  title: string;
+  depth: number;
+  links: DiscoveredLink[];
+  forms: DiscoveredForm[];
+}
+
+interface DiscoveredSitemap {
+  baseUrl?: string;
+  discovered: boolean;
+  timestamp: string;
+  pages: DiscoveredPage[];
+  routes?: SourceRoute[];
+}
+
+interface RobotsRule {
+  allow: boolean;
+  pattern: string;
+}
+
+const DEFAULT_USER_AGENT = "pr-test-generator";
+
+const SKIPPED_EXTENSIONS =
+  /\.(css|js|mjs|map|json|xml|txt|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|eot|pdf|zip|gz|mp4|webm|mp3)$/i;
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function toText(html: string): string {
+  return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+function parseAttributes(source: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(
+      match[2] ?? match[3] ?? match[4] ?? ""
+    );
+  }
+
+  return attributes;
+}
+
+function parseForms(html: string): DiscoveredForm[] {
+  const forms: DiscoveredForm[] = [];
+  const formPattern = /<form\b([^>]*)>([\s\S]*?)<\/form>/gi;
+
+  let match: RegExpExecArray | null;
+  while ((match = formPattern.exec(html)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2];
+
+    const labels = new Map<string, string>();
+    const labelPattern = /<label\b([^>]*)>([\s\S]*?)<\/label>/gi;
+    let label: RegExpExecArray | null;
+    while ((label = labelPattern.exec(body)) !== null) {
+      const target = parseAttributes(label[1]).for;
+      if (target) {
+        labels.set(target, toText(label[2]).replace(/:$/, ""));
+      }
+    }
+
+    const fields: DiscoveredFormField[] = [];
+    const fieldPattern = /<(input|select|textarea)\b([^>]*)>/gi;
+    let field: RegExpExecArray | null;
+    while ((field = fieldPattern.exec(body)) !== null) {
+      const fieldAttributes = parseAttributes(field[2]);
+      const type =
+        field[1].toLowerCase() === "input"
+          ? (fieldAttributes.type || "text").toLowerCase()
+          : field[1].toLowerCase();
+      const name = fieldAttributes.name || fieldAttributes.id;
+
+      if (!name || type === "hidden") {
+        continue;
+      }
+
+      fields.push({
+        name,
+        type,
+        label:
+          labels.get(fieldAttributes.id) ||
+          fieldAttributes["aria-label"] ||
+          fieldAttributes.placeholder ||
+          undefined,
+      });
+    }
+
+    forms.push({
+      id: attributes.id,
+      action: attributes.action || "",
+      method: (attributes.method || "get").toUpperCase(),
+      fields,
+    });
+  }
+
+  return forms;
+}
+
+function parsePage(html: string): { title: string; links: DiscoveredLink[]; forms: DiscoveredForm[] } {
+  const content = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, "");
+
+  const titleMatch = content.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const headingMatch = content.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+
+  const links: DiscoveredLink[] = [];
+  const linkPattern = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match: RegExpExecArray | null;
+  while ((match = linkPattern.exec(content)) !== null) {
+    const href = parseAttributes(match[1]).href;
+    if (href) {
+      links.push({ text: toText(match[2]), href });
+    }
+  }
+
   return {
-    home: "/",
+    title: toText(titleMatch?.[1] || headingMatch?.[1] || ""),
+    links,
+    forms: parseForms(content),
+  };
+}
+
+function parseRobots(robotsTxt: string, userAgent: string): RobotsRule[] {
+  const groups: Array<{ agents: string[]; rules: RobotsRule[] }> = [];
+  let current: { agents: string[]; rules: RobotsRule[] } | null = null;
+
+  for (const rawLine of robotsTxt.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if ((field === "allow" || field === "disallow") && current) {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === "allow", pattern: value });
+      }
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const specific = groups.filter((group) =>
+    group.agents.some((name) => name !== "*" && agent.includes(name))
+  );
+  const selected =
+    specific.length > 0
+      ? specific
+      : groups.filter((group) => group.agents.includes("*"));
+
+  return selected.flatMap((group) => group.rules);
+}
+
+function robotsAllows(rules: RobotsRule[], pathname: string): boolean {
+  let best: RobotsRule | null = null;
+
+  for (const rule of rules) {
+    // "*" matches any sequence and a trailing "$" anchors the end
+    const source = rule.pattern
+      .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    if (!new RegExp(`^${source}`).test(pathname)) {
+      continue;
+    }
+
+    // Longest match wins; Allow wins ties
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+async function fetchWithTimeout(url: string, userAgent: string, timeout: number): Promise<Response> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, {
+      headers: { "User-Agent": userAgent, Accept: "text/html,*/*;q=0.8" },
+      redirect: "follow",
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function loadRobotsRules(origin: string, userAgent: string, timeout: number): Promise<RobotsRule[]> {
+  try {
+    const response = await fetchWithTimeout(`${origin}/robots.txt`, userAgent, timeout);
+    if (!response.ok) {
+      return [];
+    }
+    return parseRobots(await response.text(), userAgent);
+  } catch (error) {
+    core.debug(`robots.txt not available: ${(error as Error).message}`);
+    return [];
+  }
+}
+
+function normalizeUrl(href: string, base: string, origin: string): string | null {
+  let url: URL;
+  try {
+    url = new URL(href, base);
+  } catch {
+    return null;
+  }
+
+  if (
+    (url.protocol !== "http:" && url.protocol !== "https:") ||
+    url.origin !== origin ||
+    SKIPPED_EXTENSIONS.test(url.pathname)
+  ) {
+    return null;
+  }
+
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Crawls the site at `url` breadth-first over plain HTTP, staying on the same
+ * origin, and records each page's path, title, links and forms. Pages are
+ * listed under `pages[].path`, which is what extractPathsFromSitemap reads.
+ * Client-rendered content that needs JavaScript to appear is not discovered.
+ * With `rootDir`, routes declared in the source tree are added under `routes`.
+ */
+export async function discoverRoutes(
+  url?: string,
+  options: DiscoverRoutesOptions = {}
+): Promise<DiscoveredSitemap> {
+  const timestamp = new Date().toISOString();
+
+  let routes: SourceRoute[] | undefined;
+  if (options.rootDir) {
+    routes = extractSourceRoutes(options.rootDir);
+    core.info(`📂 Found ${routes.length} route(s) in the repository source`);
+  }
+
+  if (!url) {
+    core.info("🔍 No base URL available for route discovery - using the root route only");
+    return {
+      discovered: false,
+      timestamp,
+      pages: [{ path: "/", title: "Home", depth: 0, links: [], forms: [] }],
+      routes,
+    };
+  }
+
+  const maxDepth = options.maxDepth ?? 2;
+  const maxPages = options.maxPages ?? 25;
+  const requestTimeout = options.requestTimeout ?? 10000;
+  const userAgent = options.userAgent || DEFAULT_USER_AGENT;
+
+  const startUrl = new URL(url);
+  const origin = startUrl.origin;
+  const robotsRules =
+    options.respectRobots === false
+      ? []
+      : await loadRobotsRules(origin, userAgent, requestTimeout);
+
+  const pages: DiscoveredPage[] = [];
+  const seen = new Set<string>();
+  const queue: Array<{ url: string; depth: number }> = [];
+
+  const start = normalizeUrl(startUrl.toString(), origin, origin);
+  if (start) {
+    queue.push({ url: start, depth: 0 });
+    seen.add(start);
+  }
+
+  core.info(`🕷️ Crawling ${origin} (max depth ${maxDepth}, max pages ${maxPages})...`);
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url: pageUrl, depth } = queue.shift()!;
+    const { pathname, search } = new URL(pageUrl);
+
+    if (!robotsAllows(robotsRules, pathname)) {
+      core.debug(`Skipping ${pathname} - disallowed by robots.txt`);
+      continue;
+    }
+
+    let html: string;
+    let finalUrl: string;
+    try {
+      const response = await fetchWithTimeout(pageUrl, userAgent, requestTimeout);
+      const contentType = response.headers.get("content-type") || "";
+      if (!response.ok || !contentType.includes("html")) {
+        core.debug(`Skipping ${pathname} - ${response.status} ${contentType}`);
+        continue;
+      }
+      html = await response.text();
+      finalUrl = response.url || pageUrl;
+    } catch (error) {
+      core.debug(`Failed to fetch ${pageUrl}: ${(error as Error).message}`);
+      continue;
+    }
+
+    const page = parsePage(html);
+    pages.push({
+      path: pathname + search,
+      title: page.title,
+      depth,
+      links: page.links,
+      forms: page.forms,
+    });
+
+    if (depth >= maxDepth) {
+      continue;
+    }
+
+    for (const link of page.links) {
+      const next = normalizeUrl(link.href, finalUrl, origin);
+      if (next && !seen.has(next)) {
+        seen.add(next);
+        queue.push({ url: next, depth: depth + 1 });
+      }
+    }
+  }
+
+  core.info(`🗺️ Discovered ${pages.length} page(s)`);
+
+  return {
+    baseUrl: origin,
     discovered: true,
-    timestamp: new Date().toISOString()
+    timestamp,
+    pages,
+    routes,
   };
-}
\ No newline at end of file
+}
+
+// Allow running directly to generate a sitemap: node dist/discover-routes.js <url>
+if (require.main === module) {
+  const target = process.argv[2] || process.env.LOCAL_DEV_TARGET_URL;
+  discoverRoutes(target, { rootDir: process.cwd() })
+    .then((sitemap) => {
+      const outputPath = path.join(process.cwd(), "discovered-routes.json");
+      fs.writeFileSync(outputPath, JSON.stringify(sitemap, null, 2));
+      console.log(`✅ Saved ${sitemap.pages.length} page(s) to ${outputPath}`);
+    })
+    .catch((error) => {
+      console.error("❌ Route discovery failed:", error);
+      process.exit(1);
+    });
+}
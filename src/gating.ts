@@ -0,0 +1,105 @@
+import { TestResult } from "./test-protocol";
+
+/**
+ * When the action should fail the workflow:
+ * - never: report only, even when test generation errors
+ * - generation-error: only when tests could not be generated or run (default)
+ * - any-failure: also when any generated test fails or the run times out
+ * - flaky-excluded: like any-failure, but failed tests are re-run once and
+ *   those that pass on the retry are reported as flaky instead of failing
+ */
+export type FailOnMode = "never" | "generation-error" | "any-failure" | "flaky-excluded";
+
+export const FAIL_ON_MODES: FailOnMode[] = [
+  "never",
+  "generation-error",
+  "any-failure",
+  "flaky-excluded",
+];
+
+export const DEFAULT_FAIL_ON: FailOnMode = "generation-error";
+
+interface GatedReport {
+  success: boolean;
+  executionSkipped?: boolean;
+  errors?: string;
+  testResults?: TestResult[];
+  timedOut?: boolean;
+  exitCode?: number | null;
+}
+
+export function parseFailOnMode(value?: string): FailOnMode {
+  const mode = (value || "").trim().toLowerCase();
+  if (!mode) {
+    return DEFAULT_FAIL_ON;
+  }
+  if (!FAIL_ON_MODES.includes(mode as FailOnMode)) {
+    throw new Error(
+      `Invalid fail-on value "${value}". Expected one of: ${FAIL_ON_MODES.join(", ")}`
+    );
+  }
+  return mode as FailOnMode;
+}
+
+/**
+ * Folds a re-run of the failed tests into the original report: tests that
+ * pass on the retry become passed-but-flaky, the rest stay failed.
+ */
+export function markFlakyTests<T extends GatedReport>(report: T, rerun: GatedReport): T {
+  const passedOnRetry = new Set(
+    (rerun.testResults || [])
+      .filter((test) => test.status === "passed")
+      .map((test) => test.name)
+  );
+
+  const testResults = (report.testResults || []).map((test) =>
+    test.status === "failed" && passedOnRetry.has(test.name)
+      ? { ...test, status: "passed" as const, flaky: true }
+      : test
+  );
+  const failedTests = testResults.filter((test) => test.status === "failed");
+  const hadFailedTests = (report.testResults || []).some((test) => test.status === "failed");
+
+  return {
+    ...report,
+    testResults,
+    // A non-zero exit without failed tests means the process itself broke
+    success: !report.timedOut && failedTests.length === 0 && (report.success || hadFailedTests),
+    errors:
+      failedTests.length > 0
+        ? failedTests.map((test) => `${test.name}: ${test.error || "failed"}`).join("\n")
+        : hadFailedTests
+        ? undefined
+        : report.errors,
+  };
+}
+
+/**
+ * Returns a one-line reason to fail the workflow for a completed test run,
+ * or null when the chosen mode lets it pass. Generation errors surface as
+ * exceptions and are handled by the caller.
+ */
+export function evaluateGate(mode: FailOnMode, report?: GatedReport | null): string | null {
+  if (mode === "never" || mode === "generation-error" || !report || report.executionSkipped) {
+    return null;
+  }
+
+  if (report.timedOut) {
+    return "Generated test run timed out";
+  }
+
+  const results = report.testResults || [];
+  const failed = results.filter((test) => test.status === "failed");
+  if (failed.length > 0) {
+    return `${failed.length} of ${results.length} generated tests failed: ${failed
+      .map((test) => test.name)
+      .join(", ")}`;
+  }
+
+  if (!report.success) {
+    const detail = (report.errors || "").split("\n")[0].trim();
+    return `Generated test run failed${detail ? `: ${detail}` : ""}`;
+  }
+
+  return null;
+}
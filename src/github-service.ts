@@ -1,12 +1,44 @@
 import { Octokit } from "@octokit/rest";
 import * as core from "@actions/core";
 import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import { AffectedRoute } from "./import-graph";
+import { CheckAnnotation } from "./check-annotations";
+import { findDeploymentUrls } from "./deployments";
+import { CommentStyle, ConfigError, DEFAULT_CONFIG_FILE } from "./config";
+import RetryPolicy, { retryOctokitRequests } from "./retry-policy";
+import Redactor, { redactor } from "./redactor";
+import { TestPlan, formatTestPlan } from "./test-plan";
+import { PolicyViolation, PolicyViolationError, formatViolations } from "./safety-policy";
+import { BlockedRequest } from "./test-sandbox";
+import { InjectionDecision, PromptInjectionError, formatFindings } from "./prompt-injection";
+import { UploadedArtifacts, formatSize } from "./artifacts";
+import { FORCE_LABEL, SKIP_LABEL } from "./pr-controls";
+import {
+  PreviewUrlPatterns,
+  expandUrlTemplate,
+  matchPreviewUrls,
+  parsePreviewUrlPatterns,
+} from "./preview-urls";
 
 interface Config {
   githubToken: string;
   owner: string;
   repo: string;
   prNumber: number;
+  // Fingerprint of the prompts that produced cached code; changes invalidate the cache
+  promptVersion?: string;
+  // Optional directory for an on-disk copy of the cache (e.g. persisted with actions/cache)
+  cacheDir?: string;
+  previewUrlPatterns?: PreviewUrlPatterns;
+  commentStyle?: CommentStyle;
+  // Config file the run read, named in comments
+  configFile?: string;
+  // Retries transient API failures; shared with ClaudeService
+  retryPolicy?: RetryPolicy;
+  // Scrubs secrets from comments, check runs and the cache
+  redactor?: Redactor;
 }
 
 interface PRFile {
@@ -23,19 +55,52 @@ interface PR {
   head: string;
   base: string;
   author: string;
+  labels: string[];
+  // Head branch lives in another repository (or a deleted fork)
+  fromFork?: boolean;
+  // GitHub's author_association, e.g. "FIRST_TIME_CONTRIBUTOR"
+  authorAssociation?: string;
 }
 
-interface PRContext {
+export interface PRContext {
   pr: PR;
   files: PRFile[];
   repoContext: Record<string, string>;
   previewUrls: string[];
+  affectedRoutes?: AffectedRoute[];
+  scopedRoutes?: string[];
+  // Reviewer guidance from a `/ui-test focus` command
+  guidance?: string;
 }
 
 interface TestResult {
   name: string;
   status: "passed" | "failed" | "skipped";
   error?: string;
+  duration?: number;
+  flaky?: boolean;
+  screenshot?: string;
+}
+
+type RunStatus = "passed" | "failed" | "timed-out" | "not-executed" | "skipped" | "error";
+
+type CheckConclusion = "success" | "failure" | "neutral" | "skipped";
+
+interface RunSummary {
+  sha: string;
+  status: RunStatus;
+  timestamp: string;
+  // Milliseconds
+  duration?: number;
+}
+
+interface CachedTestData {
+  version: number;
+  promptVersion?: string;
+  changesHash: string;
+  testCode: string;
+  testPlan?: TestPlan;
+  timestamp: string;
 }
 
 interface TestReport {
@@ -43,22 +108,100 @@ interface TestReport {
   executionSkipped?: boolean;
   testResults?: TestResult[];
   errors?: string;
+  timedOut?: boolean;
+  duration?: number;
+  blockedRequests?: BlockedRequest[];
+}
+
+// Notes about how the tests came to be, shown under the report
+interface ReportDetails {
+  usedCache?: boolean;
+  // Path rule that forced the run
+  ruleReason?: string;
+  // Files left out of or cut from the test-planning prompt
+  contextNote?: string;
+  // The plan the tests implement
+  testPlan?: TestPlan;
+  // Safety policy violations let through in `warn` mode
+  policyViolations?: PolicyViolation[];
+  // Prompt injection guard mode and what it found
+  injection?: InjectionDecision;
+  // Screenshots, traces and videos of the runs
+  artifacts?: UploadedArtifacts;
 }
 
+// Bump when the cached payload format changes
+const CACHE_VERSION = 2;
+const CACHE_MARKER = "pr-test-generator-cache";
+
+// GitHub rejects comment bodies longer than this
+const MAX_COMMENT_LENGTH = 65536;
 
+// Credentials are never written to the cache; they are swapped for these
+// placeholders on write and restored from the environment on read
+const SENSITIVE_ENV_VARS = ["TEST_USER_EMAIL", "TEST_USER_PASSWORD"];
 
+// The sticky report comment and the run history it carries
+const REPORT_MARKER = "<!-- pr-test-generator-report -->";
+const HISTORY_MARKER = "pr-test-generator-history";
+const MAX_HISTORY_ENTRIES = 20;
+
+const RUN_STATUS_LABELS: Record<RunStatus, string> = {
+  passed: "✅ Passed",
+  failed: "❌ Failed",
+  "timed-out": "⏱️ Timed out",
+  "not-executed": "⏭️ Not executed",
+  skipped: "⚡ Skipped",
+  error: "💥 Error",
+};
+
+// Stable name so branch protection can require the check
+const CHECK_NAME = "PR Test Generator";
+
+// The Checks API accepts at most 50 annotations per request
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+
+const CHECK_CONCLUSIONS: Record<RunStatus, CheckConclusion> = {
+  passed: "success",
+  failed: "failure",
+  "timed-out": "failure",
+  "not-executed": "neutral",
+  skipped: "skipped",
+  error: "failure",
+};
+
+const COMMENT_FOOTER = `<sub>Generated by [PR Test Generator](https://github.com/ka-brian/self-testing-github-action)</sub>`;
 
 class GitHubService {
   private github: Octokit;
   private owner: string;
   private repo: string;
   private prNumber: number;
+  private promptVersion: string;
+  private cacheDir?: string;
+  private headSha?: string;
+  private headRef?: string;
+  private previewUrlPatterns: PreviewUrlPatterns;
+  private checkRunId?: number;
+  private commentStyle: CommentStyle;
+  private configFile: string;
+  private retryPolicy: RetryPolicy;
+  private redactor: Redactor;
+  // Account the action comments as; null when it cannot be determined
+  private login?: string | null;
 
   constructor(config: Config) {
-    this.github = new Octokit({ auth: config.githubToken });
+    this.retryPolicy = config.retryPolicy || new RetryPolicy();
+    this.redactor = config.redactor || redactor;
+    this.github = retryOctokitRequests(new Octokit({ auth: config.githubToken }), this.retryPolicy);
     this.owner = config.owner;
     this.repo = config.repo;
     this.prNumber = config.prNumber;
+    this.promptVersion = config.promptVersion || "";
+    this.cacheDir = config.cacheDir;
+    this.previewUrlPatterns = config.previewUrlPatterns || parsePreviewUrlPatterns();
+    this.commentStyle = config.commentStyle || "detailed";
+    this.configFile = config.configFile || DEFAULT_CONFIG_FILE;
   }
 
   async getPRContext(): Promise<PRContext> {
@@ -68,12 +211,17 @@ class GitHubService {
       pull_number: this.prNumber,
     });
 
-    const { data: files } = await this.github.pulls.listFiles({
+    // One page holds at most 100 files; GitHub lists up to 3000
+    const files = await this.github.paginate(this.github.pulls.listFiles, {
       owner: this.owner,
       repo: this.repo,
       pull_number: this.prNumber,
+      per_page: 100,
     });
 
+    this.headSha = pr.head.sha;
+    this.headRef = pr.head.ref;
+
     const repoContext = await this.getRepoContext();
     const previewUrls = await this.getPreviewUrls();
 
@@ -84,6 +232,9 @@ class GitHubService {
         head: pr.head.sha,
         base: pr.base.sha,
         author: pr.user?.login || "",
+        labels: pr.labels.map((label) => label.name || "").filter(Boolean),
+        fromFork: pr.head.repo?.full_name !== pr.base.repo.full_name,
+        authorAssociation: pr.author_association,
       },
       files: files.map((file) => ({
         filename: file.filename,
@@ -97,22 +248,45 @@ class GitHubService {
     };
   }
 
+  /**
+   * URLs of successful preview deployments of the PR head commit, as
+   * published through the Deployments API.
+   */
+  async getDeploymentUrls(): Promise<string[]> {
+    if (!this.headSha) {
+      return [];
+    }
+
+    try {
+      const urls = await findDeploymentUrls(this.github, this.owner, this.repo, this.headSha);
+      if (urls.length > 0) {
+        core.info(`🚀 Found deployment URLs: ${urls.join(", ")}`);
+      }
+      return urls;
+    } catch (error) {
+      core.warning(`Failed to get deployments: ${(error as Error).message}`);
+      return [];
+    }
+  }
+
   async getPreviewUrls(): Promise<string[]> {
+    const deploymentUrls = await this.getDeploymentUrls();
+
     try {
-      const { data: comments } = await this.github.issues.listComments({
-        owner: this.owner,
-        repo: this.repo,
-        issue_number: this.prNumber,
-      });
+      const comments = await this.listComments();
 
-      const previewUrls: string[] = [];
+      const previewUrls: string[] = [...deploymentUrls];
 
-      const patterns = [
-        /https:\/\/[a-zA-Z0-9-]+\.vercel\.app/g,
-        /https:\/\/[a-zA-Z0-9-]+\.netlify\.app/g,
-        /https:\/\/[a-zA-Z0-9-]+\.railway\.app/g,
-        /https:\/\/preview-[a-zA-Z0-9-]+\.[a-zA-Z0-9.-]+/g,
-      ];
+      for (const template of this.previewUrlPatterns.templates) {
+        const url = expandUrlTemplate(template, {
+          number: this.prNumber,
+          branch: this.headRef,
+          sha: this.headSha,
+        });
+        if (url) {
+          previewUrls.push(url);
+        }
+      }
 
       for (const comment of comments) {
         if (
@@ -124,12 +298,7 @@ class GitHubService {
         }
 
         if (comment.body) {
-          for (const pattern of patterns) {
-            const matches = comment.body.match(pattern);
-            if (matches) {
-              previewUrls.push(...matches);
-            }
-          }
+          previewUrls.push(...matchPreviewUrls(comment.body, this.previewUrlPatterns.patterns));
         }
       }
 
@@ -138,13 +307,13 @@ class GitHubService {
       if (uniqueUrls.length > 0) {
         core.info(`📍 Found preview URLs: ${uniqueUrls.join(", ")}`);
       } else {
-        core.info("📍 No preview URLs found in PR comments");
+        core.info("📍 No preview URLs found in deployments, URL templates or PR comments");
       }
 
       return uniqueUrls;
     } catch (error) {
       core.warning(`Failed to get preview URLs: ${(error as Error).message}`);
-      return [];
+      return deploymentUrls;
     }
   }
 
@@ -171,6 +340,45 @@ class GitHubService {
     return [];
   }
 
+  /**
+   * The PR's base branch, its head commit, and whether its head lives in
+   * another repository (or a deleted fork).
+   */
+  async getPRBase(): Promise<{ ref: string; headSha: string; fromFork: boolean }> {
+    const { data: pr } = await this.github.pulls.get({
+      owner: this.owner,
+      repo: this.repo,
+      pull_number: this.prNumber,
+    });
+    return {
+      ref: pr.base.ref,
+      headSha: pr.head.sha,
+      fromFork: pr.head.repo?.full_name !== pr.base.repo.full_name,
+    };
+  }
+
+  /**
+   * A file's text at `ref`, or null when it does not exist there.
+   */
+  async readFileAtRef(file: string, ref: string): Promise<string | null> {
+    try {
+      const { data } = await this.github.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: file,
+        ref,
+      });
+      return "content" in data && typeof data.content === "string"
+        ? Buffer.from(data.content, "base64").toString("utf8")
+        : null;
+    } catch (error) {
+      if ((error as { status?: number }).status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   async getRepoContext(): Promise<Record<string, string>> {
     const contextFiles = [
       "package.json",
@@ -205,16 +413,502 @@ class GitHubService {
     return context;
   }
 
-  async createComment(body: string): Promise<void> {
-    await this.github.issues.createComment({
+  /**
+   * The login of the account the token acts as, looked up once. Installation
+   * tokens such as GITHUB_TOKEN cannot read `/user`, so GraphQL's viewer is
+   * asked next; the author of the first comment created is used last.
+   */
+  async actionLogin(): Promise<string | null> {
+    if (this.login !== undefined) {
+      return this.login;
+    }
+    try {
+      const { data } = await this.github.users.getAuthenticated();
+      this.login = data.login;
+    } catch {
+      try {
+        const { viewer } = await this.github.graphql<{ viewer: { login: string } }>("query { viewer { login } }");
+        this.login = viewer.login;
+      } catch (error) {
+        core.warning(
+          `Could not determine the action's GitHub login (${(error as Error).message}) - matching report and cache comments written by any bot account instead`
+        );
+        this.login = null;
+      }
+    }
+    return this.login;
+  }
+
+  /**
+   * Comments posted by the action's own account, newest first. Markers alone
+   * are not trusted: anyone, including other bots, can write them. When the
+   * login is unknown, bot-authored comments are the best match left;
+   * ignoring them all would post a new report and miss the cache every run.
+   */
+  private async listOwnComments() {
+    const login = await this.actionLogin();
+    const comments = (await this.listComments()).reverse();
+    return comments.filter((comment) =>
+      login ? comment.user?.login === login : comment.user?.type === "Bot"
+    );
+  }
+
+  async listComments() {
+    return this.github.paginate(this.github.issues.listComments, {
       owner: this.owner,
       repo: this.repo,
       issue_number: this.prNumber,
-      body: body,
+      per_page: 100,
+    });
+  }
+
+  /**
+   * Hashes everything that influences the generated tests: the PR title and
+   * description, each changed file's status, counts and patch, and the
+   * prompt/cache versions. Files are sorted so API ordering cannot matter.
+   */
+  calculateChangesHash(prContext: PRContext): string {
+    const files = [...prContext.files]
+      .sort((a, b) => a.filename.localeCompare(b.filename))
+      .map((file) => [
+        file.filename,
+        file.status,
+        file.additions,
+        file.deletions,
+        file.patch || "",
+      ]);
+
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          cacheVersion: CACHE_VERSION,
+          promptVersion: this.promptVersion,
+          title: prContext.pr.title,
+          body: prContext.pr.body || "",
+          files,
+          // Path rule routes change the test plan, so they are part of the key
+          ...(prContext.scopedRoutes ? { scopedRoutes: prContext.scopedRoutes } : {}),
+          ...(prContext.guidance ? { guidance: prContext.guidance } : {}),
+        })
+      )
+      .digest("hex");
+  }
+
+  sanitizeSensitiveCredentials(testCode: string): string {
+    let sanitized = testCode;
+    for (const name of SENSITIVE_ENV_VARS) {
+      const value = process.env[name];
+      if (value) {
+        sanitized = sanitized.split(value).join(`{{${name}}}`);
+      }
+    }
+    return sanitized;
+  }
+
+  restoreSensitiveCredentials(testCode: string): string {
+    let restored = testCode;
+    for (const name of SENSITIVE_ENV_VARS) {
+      restored = restored.split(`{{${name}}}`).join(process.env[name] || "");
+    }
+    return restored;
+  }
+
+  async getCachedTestCode(): Promise<CachedTestData | null> {
+    const fromDisk = this.readCacheFile();
+    if (fromDisk) {
+      return fromDisk;
+    }
+
+    try {
+      const comment = await this.findCacheComment();
+      if (!comment?.body) {
+        return null;
+      }
+
+      const match = comment.body.match(
+        new RegExp(`<!-- ${CACHE_MARKER}:v(\\d+)\\s+([A-Za-z0-9+/=]+)\\s+-->`)
+      );
+      if (!match) {
+        return null;
+      }
+
+      return this.parseCachePayload(
+        parseInt(match[1], 10),
+        Buffer.from(match[2], "base64").toString("utf8")
+      );
+    } catch (error) {
+      core.warning(`Failed to read cached test code: ${(error as Error).message}`);
+      return null;
+    }
+  }
+
+  async cacheTestCode(testCode: string, changesHash: string, testPlan?: TestPlan): Promise<void> {
+    const data: CachedTestData = {
+      version: CACHE_VERSION,
+      promptVersion: this.promptVersion,
+      changesHash,
+      // Not redacted: the cache must serve exactly the code that ran
+      testCode: this.sanitizeSensitiveCredentials(testCode),
+      testPlan: testPlan
+        ? (JSON.parse(this.sanitizeSensitiveCredentials(JSON.stringify(testPlan))) as TestPlan)
+        : testPlan,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.writeCacheFile(data);
+
+    try {
+      const payload = Buffer.from(JSON.stringify(data), "utf8").toString("base64");
+      const marker = `<!-- ${CACHE_MARKER}:v${CACHE_VERSION}\n${payload}\n-->`;
+      const summary = `### 🗄️ Cached Test Code
+
+Generated tests for this PR are cached here and reused while the PR's changes stay the same (hash \`${changesHash.slice(0, 12)}\`). Delete this comment to force regeneration.`;
+      const codeBlock = `
+
+<details>
+<summary>Cached test code</summary>
+
+\`\`\`javascript
+${data.testCode}
+\`\`\`
+</details>`;
+
+      let body = `\n${summary}${codeBlock}\n\n---\n${COMMENT_FOOTER}`;
+      if (marker.length + body.length > MAX_COMMENT_LENGTH) {
+        body = `\n${summary}\n\n---\n${COMMENT_FOOTER}`;
+      }
+      if (marker.length + body.length > MAX_COMMENT_LENGTH) {
+        core.warning("⚠️ Generated test code is too large to cache in a PR comment");
+        return;
+      }
+
+      // Only the readable part is redacted; the marker carries the payload
+      const existing = await this.findCacheComment();
+      if (existing) {
+        await this.updateComment(existing.id, body, marker);
+      } else {
+        await this.createComment(body, marker);
+      }
+      core.info("💾 Cached generated test code in PR comment");
+    } catch (error) {
+      core.warning(`Failed to cache test code: ${(error as Error).message}`);
+    }
+  }
+
+  private async findCacheComment() {
+    // Only trust the action's own cache comments: the cached code gets executed
+    const comments = await this.listOwnComments();
+    return comments.find((comment) => comment.body?.includes(`<!-- ${CACHE_MARKER}:`));
+  }
+
+  private parseCachePayload(version: number, json: string): CachedTestData | null {
+    if (version !== CACHE_VERSION) {
+      core.info(`🗑️ Ignoring cache written by format v${version} (current v${CACHE_VERSION})`);
+      return null;
+    }
+
+    const data = JSON.parse(json) as CachedTestData;
+    if (typeof data.changesHash !== "string" || typeof data.testCode !== "string") {
+      core.warning("⚠️ Ignoring malformed test code cache");
+      return null;
+    }
+    return data;
+  }
+
+  private cacheFilePath(): string | null {
+    return this.cacheDir
+      ? path.join(this.cacheDir, `pr-${this.prNumber}.json`)
+      : null;
+  }
+
+  private readCacheFile(): CachedTestData | null {
+    const filePath = this.cacheFilePath();
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const json = fs.readFileSync(filePath, "utf8");
+      return this.parseCachePayload(JSON.parse(json).version, json);
+    } catch (error) {
+      core.warning(`Failed to read cache file ${filePath}: ${(error as Error).message}`);
+      return null;
+    }
+  }
+
+  private writeCacheFile(data: CachedTestData): void {
+    const filePath = this.cacheFilePath();
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+      core.info(`💾 Cached generated test code in ${filePath}`);
+    } catch (error) {
+      core.warning(`Failed to write cache file ${filePath}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Posts `body` with secrets redacted. `data` is machine-readable content,
+   * such as the cache payload, put in front of it verbatim.
+   */
+  async createComment(body: string, data = ""): Promise<void> {
+    const { data: comment } = await this.github.issues.createComment({
+      owner: this.owner,
+      repo: this.repo,
+      issue_number: this.prNumber,
+      body: data + this.redactor.redact(body),
+    });
+    if (!this.login && comment.user?.login) {
+      this.login = comment.user.login;
+    }
+  }
+
+  private async updateComment(commentId: number, body: string, data = ""): Promise<void> {
+    await this.github.issues.updateComment({
+      owner: this.owner,
+      repo: this.repo,
+      comment_id: commentId,
+      body: data + this.redactor.redact(body),
+    });
+  }
+
+  /**
+   * Publishes a run report in the PR's single sticky comment, editing it in
+   * place when it already exists. The run it replaces moves into a
+   * collapsible history section, which is carried between runs as base64 JSON
+   * in a hidden marker.
+   */
+  async upsertReportComment(report: string, status: RunStatus, duration?: number): Promise<void> {
+    const existing = await this.findReportComment();
+    const history = existing?.body ? this.parseRunHistory(existing.body) : [];
+    const run: RunSummary = {
+      sha: this.headSha || "",
+      status,
+      timestamp: new Date().toISOString(),
+      duration,
+    };
+    const runs = [run, ...history].slice(0, MAX_HISTORY_ENTRIES + 1);
+
+    let body = this.buildReportComment(report, runs);
+    while (body.length > MAX_COMMENT_LENGTH && runs.length > 1) {
+      runs.pop();
+      body = this.buildReportComment(report, runs);
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+      const overflow = body.length - MAX_COMMENT_LENGTH + 100;
+      body = this.buildReportComment(
+        `${report.slice(0, report.length - overflow)}\n\n*… report truncated*`,
+        runs
+      );
+    }
+
+    if (existing) {
+      await this.updateComment(existing.id, body);
+    } else {
+      await this.createComment(body);
+    }
+  }
+
+  private async findReportComment() {
+    const comments = await this.listOwnComments();
+    return comments.find((comment) => comment.body?.includes(REPORT_MARKER));
+  }
+
+  /**
+   * Returns every run recorded in a report comment, newest first. The run the
+   * comment currently shows is included.
+   */
+  parseRunHistory(body: string): RunSummary[] {
+    const match = body.match(
+      new RegExp(`<!-- ${HISTORY_MARKER}:([A-Za-z0-9+/=]+) -->`)
+    );
+    if (!match) {
+      return [];
+    }
+
+    try {
+      const runs = JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+      return Array.isArray(runs) ? runs : [];
+    } catch {
+      return [];
+    }
+  }
+
+  private buildReportComment(report: string, runs: RunSummary[]): string {
+    const payload = Buffer.from(JSON.stringify(runs), "utf8").toString("base64");
+    let historySection = "";
+
+    const previous = runs.slice(1);
+    if (previous.length > 0) {
+      const rows = previous.map((run) => {
+        const sha = run.sha ? `\`${run.sha.slice(0, 7)}\`` : "-";
+        const duration =
+          run.duration !== undefined ? `${(run.duration / 1000).toFixed(1)}s` : "-";
+        return `| ${run.timestamp} | ${sha} | ${RUN_STATUS_LABELS[run.status] || run.status} | ${duration} |`;
+      });
+
+      historySection = `
+
+<details>
+<summary>Previous runs (${previous.length})</summary>
+
+| Run | Commit | Result | Duration |
+| --- | ------ | ------ | -------- |
+${rows.join("\n")}
+</details>`;
+    }
+
+    return `${REPORT_MARKER}
+<!-- ${HISTORY_MARKER}:${payload} -->
+${report}${historySection}
+
+---
+${COMMENT_FOOTER}`;
+  }
+
+  /**
+   * Creates an in-progress Check Run on the PR head commit. Failures (for
+   * example a token without `checks: write`) are logged and otherwise ignored.
+   */
+  async startCheckRun(): Promise<void> {
+    if (!this.headSha) {
+      return;
+    }
+
+    try {
+      const { data } = await this.github.checks.create({
+        owner: this.owner,
+        repo: this.repo,
+        name: CHECK_NAME,
+        head_sha: this.headSha,
+        status: "in_progress",
+        started_at: new Date().toISOString(),
+        output: {
+          title: "Generating tests",
+          summary: "Analyzing the PR changes and generating UI tests...",
+        },
+      });
+      this.checkRunId = data.id;
+    } catch (error) {
+      core.warning(`Failed to create check run: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Completes the Check Run (creating it if `startCheckRun` did not) with a
+   * markdown summary and annotations. Annotations beyond the per-request
+   * limit are sent in follow-up updates, which GitHub appends.
+   */
+  async completeCheckRun(
+    status: RunStatus,
+    title: string,
+    summary: string,
+    annotations: CheckAnnotation[] = []
+  ): Promise<void> {
+    if (!this.headSha) {
+      return;
+    }
+
+    const batches: CheckAnnotation[][] = [];
+    for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+      batches.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+    }
+    const output = (batch: CheckAnnotation[] = []) => ({
+      title: this.redactor.redact(title),
+      summary: this.redactor.redact(
+        summary.length > MAX_COMMENT_LENGTH
+          ? `${summary.slice(0, MAX_COMMENT_LENGTH - 100)}\n\n*… summary truncated*`
+          : summary
+      ),
+      annotations: this.redactor.redactValue(batch),
     });
+
+    try {
+      const completion = {
+        owner: this.owner,
+        repo: this.repo,
+        status: "completed" as const,
+        conclusion: CHECK_CONCLUSIONS[status],
+        completed_at: new Date().toISOString(),
+        output: output(batches[0]),
+      };
+
+      if (this.checkRunId) {
+        await this.github.checks.update({ ...completion, check_run_id: this.checkRunId });
+      } else {
+        const { data } = await this.github.checks.create({
+          ...completion,
+          name: CHECK_NAME,
+          head_sha: this.headSha,
+        });
+        this.checkRunId = data.id;
+      }
+
+      for (const batch of batches.slice(1)) {
+        await this.github.checks.update({
+          owner: this.owner,
+          repo: this.repo,
+          check_run_id: this.checkRunId,
+          output: output(batch),
+        });
+      }
+    } catch (error) {
+      core.warning(`Failed to update check run: ${(error as Error).message}`);
+    }
+  }
+
+  async completeTestCheckRun(
+    testReport: TestReport,
+    annotations: CheckAnnotation[],
+    details: ReportDetails = {}
+  ): Promise<void> {
+    const results = testReport.testResults || [];
+    const failed = results.filter((test) => test.status === "failed").length;
+    const status = this.runStatus(testReport);
+    const titles: Record<RunStatus, string> = {
+      passed: `${results.length} test${results.length === 1 ? "" : "s"} passed`,
+      failed: `${failed} of ${results.length} tests failed`,
+      "timed-out": "Test run timed out",
+      "not-executed": "Tests generated but not executed",
+      skipped: "UI tests skipped",
+      error: "Test generation failed",
+    };
+
+    await this.completeCheckRun(
+      status,
+      titles[status],
+      this.buildGeneratedReport(testReport, details),
+      annotations
+    );
+  }
+
+  runStatus(testReport: TestReport): RunStatus {
+    if (testReport.executionSkipped) {
+      return "not-executed";
+    }
+    if (testReport.success) {
+      return "passed";
+    }
+    return testReport.timedOut ? "timed-out" : "failed";
+  }
+
+  async commentGenerated(testReport: TestReport, details: ReportDetails = {}): Promise<void> {
+    await this.upsertReportComment(
+      this.commentStyle === "compact"
+        ? this.buildCompactReport(testReport, details)
+        : this.buildGeneratedReport(testReport, details),
+      this.runStatus(testReport),
+      testReport.duration
+    );
   }
 
-  async commentGenerated(testReport: TestReport): Promise<void> {
+  buildGeneratedReport(testReport: TestReport, details: ReportDetails = {}): string {
+    const { usedCache, ruleReason, contextNote, testPlan, policyViolations = [], injection, artifacts } = details;
     const timestamp = new Date().toISOString();
 
     // Build test results section
@@ -229,47 +923,217 @@ class GitHubService {
             ? "❌"
             : "⚠️";
         testResultsSection += `${index + 1}. ${icon} **${test.name}**`;
+        if (test.duration !== undefined) {
+          testResultsSection += ` (${(test.duration / 1000).toFixed(1)}s)`;
+        }
+        if (test.status === "skipped") {
+          testResultsSection += " - skipped";
+        }
+        if (test.flaky) {
+          testResultsSection += " - ⚠️ flaky (failed once, passed on retry)";
+        }
         if (test.status === "failed" && test.error) {
           testResultsSection += `\n   - Error: ${test.error}`;
         }
+        if (test.status === "failed" && artifacts?.files.some((file) => file.path === test.screenshot)) {
+          testResultsSection += `\n   - Screenshot: \`${test.screenshot}\`${
+            artifacts.url ? ` in [${artifacts.name}](${artifacts.url})` : ""
+          }`;
+        }
         testResultsSection += "\n";
       });
     }
 
-    const comment = `## 🧪 Test Execution Report
-
-*Auto-generated tests for PR #${this.prNumber} • ${timestamp}*
-
-${testResultsSection}
-${
-  testReport.executionSkipped
-    ? `### Status:
-🚀 **Tests Executed Successfully**
-
-${testReport.errors ? `**Details**: ${testReport.errors}` : ""}`
-    : testReport.errors
-    ? `### Error Details:
+    let statusSection: string;
+    if (testReport.executionSkipped) {
+      statusSection = `### Status:
+⏭️ **Tests generated but not executed** (test dependencies not available)`;
+    } else if (testReport.success) {
+      statusSection = `### Status:
+✅ **All tests passed**`;
+    } else {
+      statusSection = `### Status:
+${testReport.timedOut ? "⏱️ **Test run timed out**" : "❌ **Tests failed**"}${
+        testReport.errors
+          ? `
+
+### Error Details:
 \`\`\`
 ${testReport.errors}
 \`\`\``
-    : ""
-}
+          : ""
+      }`;
+    }
+
+    const testPlanSection =
+      testPlan && testPlan.tests.length > 0
+        ? `
+<details>
+<summary>📋 Test plan (${testPlan.tests.length} test${testPlan.tests.length === 1 ? "" : "s"})</summary>
+
+${formatTestPlan(testPlan)}
+</details>
+`
+        : "";
+
+    const injectionSection =
+      injection && injection.findings.length > 0
+        ? `
+### 🧱 Suspicious Instructions:
+These lines in the PR look like instructions to the AI model. They were passed to it fenced as untrusted data, but check that the tests do what the PR needs:
+
+${formatFindings(injection.findings)}
+`
+        : "";
+
+    const blockedRequests = testReport.blockedRequests || [];
+    const blockedSection =
+      blockedRequests.length > 0
+        ? `
+### 🚧 Blocked Requests:
+The browser was limited to the preview, so these requests were refused. If the tests need one of these hosts, add it to \`safety.allow-hosts\` in the config file.
+
+| Host | Requests | Example |
+| --- | --- | --- |
+${blockedRequests
+  .map((blocked) => `| ${blocked.host} | ${blocked.count} | \`${blocked.url.replace(/[|`]/g, "")}\` |`)
+  .join("\n")}
+`
+        : "";
+
+    const policySection =
+      policyViolations.length > 0
+        ? `
+### 🛡️ Safety Policy Warnings:
+The generated code was run, but it does things the safety policy flags:
+
+${formatViolations(policyViolations)}
+`
+        : "";
+
+    return `## 🧪 Test Execution Report
+
+*Auto-generated tests for PR #${this.prNumber} • ${timestamp}*
 
+${testResultsSection}${testPlanSection}
+${statusSection}
+${artifacts ? this.artifactsSection(artifacts) : ""}${blockedSection}${policySection}${injectionSection}
 > **Note**: Tests were automatically generated${
       testReport.executionSkipped ? "" : " and executed"
-    } based on the PR changes.
+    } based on the PR changes.${
+      usedCache
+        ? "\n> ♻️ Test code was reused from the cache because the PR changes have not changed since it was generated."
+        : ""
+    }${ruleReason ? `\n> 📐 Tests ran because ${ruleReason}.` : ""}${
+      contextNote ? `\n> ✂️ ${contextNote}.` : ""
+    }${
+      injection ? `\n> 🧱 Prompt injection guard: ${injection.mode}, because ${injection.reason}.` : ""
+    }${this.retryNote()}`;
+  }
 
----
-<sub>Generated by [PR Test Generator](https://github.com/ka-brian/self-testing-github-action)</sub>`;
+  /**
+   * Where to find the screenshots, traces and videos of the runs.
+   */
+  private artifactsSection(artifacts: UploadedArtifacts): string {
+    const count = (kinds: string[]) => artifacts.files.filter((file) => kinds.includes(file.kind)).length;
+    const contents = (
+      [
+        ["screenshot", count(["screenshot", "failure-screenshot"])],
+        ["trace", count(["trace"])],
+        ["video", count(["video"])],
+      ] as [string, number][]
+    )
+      .filter(([, total]) => total > 0)
+      .map(([label, total]) => `${total} ${label}${total === 1 ? "" : "s"}`)
+      .join(", ");
+
+    const location = artifacts.url
+      ? `[${artifacts.name}](${artifacts.url}) (${formatSize(artifacts.size)}, kept for ${artifacts.retentionDays} days)`
+      : `Saved to \`${path.relative(process.cwd(), artifacts.dir) || "."}\` on the runner, not uploaded${
+          artifacts.uploadError ? ` (${artifacts.uploadError})` : ""
+        }`;
+    const traceHint =
+      count(["trace"]) > 0
+        ? "\nOpen `trace.zip` at https://trace.playwright.dev or with `npx playwright show-trace trace.zip` to step through the run."
+        : "";
+    const omitted =
+      artifacts.omitted.length > 0
+        ? `\nLeft out to stay under the size limit: ${artifacts.omitted
+            .map((file) => `\`${file.path}\` (${formatSize(file.size)})`)
+            .join(", ")}.`
+        : "";
+
+    return `
+### 📎 Artifacts:
+${location}: ${contents}.${traceHint}${omitted}
+`;
+  }
+
+  private retryNote(): string {
+    const summary = this.retryPolicy.summary();
+    return summary ? `\n> 🔁 ${summary}` : "";
+  }
+
+  /**
+   * One-line summary plus the failing tests, for repositories that find the
+   * detailed report too noisy (`comment.style: compact`).
+   */
+  buildCompactReport(testReport: TestReport, details: ReportDetails = {}): string {
+    const results = testReport.testResults || [];
+    const passed = results.filter((test) => test.status === "passed").length;
+    const status = this.runStatus(testReport);
+    const summaries: Record<RunStatus, string> = {
+      passed: `✅ ${passed}/${results.length} generated tests passed`,
+      failed: `❌ ${passed}/${results.length} generated tests passed`,
+      "timed-out": "⏱️ Generated test run timed out",
+      "not-executed": "⏭️ Tests generated but not executed",
+      skipped: "⏭️ UI tests skipped",
+      error: "❌ Test generation failed",
+    };
+
+    const failures = results
+      .filter((test) => test.status === "failed")
+      .map((test) => `- ❌ **${test.name}**${test.error ? `: ${test.error.split("\n")[0]}` : ""}`);
+
+    const artifactsLink = details.artifacts?.url ? `\n\n📎 [Test run artifacts](${details.artifacts.url})` : "";
 
-    await this.createComment(comment);
+    return `**🧪 ${summaries[status]}**${failures.length > 0 ? `\n\n${failures.join("\n")}` : ""}${artifactsLink}`;
   }
 
-  async commentSkippedTests(): Promise<void> {
+  /**
+   * Reports that UI tests were skipped. When a label or path rule made the
+   * decision, the comment names it and says how to undo it instead of
+   * describing the automatic analysis.
+   */
+  async commentSkippedTests(ruleReason?: string, source: "label" | "path-rules" = "path-rules"): Promise<void> {
     const timestamp = new Date().toISOString();
 
+    if (ruleReason) {
+      const note =
+        source === "label"
+          ? `Remove the \`${SKIP_LABEL}\` label to run UI tests again.`
+          : `Path rules are configured under \`paths.rules\` in \`${this.configFile}\`. Add the \`${FORCE_LABEL}\` label to run UI tests anyway.`;
+      try {
+        await this.upsertReportComment(`## ⚡ UI Tests Skipped
+
+*Auto-generated test analysis for PR #${this.prNumber} • ${timestamp}*
+
+### Reason:
+UI tests were skipped because ${ruleReason}.
+
+### Test Status:
+- **UI Tests**: ⏭️ Skipped (${source === "label" ? "by label" : "by configuration"})
+- **Overall Status**: ✅ Passed
+
+> **Note**: ${note}`, "skipped");
+      } catch (commentError) {
+        core.error(`Failed to comment skipped tests: ${(commentError as Error).message}`);
+      }
+      return;
+    }
+
     try {
-      await this.createComment(`## ⚡ UI Tests Skipped
+      await this.upsertReportComment(`## ⚡ UI Tests Skipped
 
 *Auto-generated test analysis for PR #${this.prNumber} • ${timestamp}*
 
@@ -286,10 +1150,7 @@ This PR appears to contain backend/infrastructure changes that don't require UI
 - **UI Tests**: ⏭️ Skipped (not needed)
 - **Overall Status**: ✅ Passed
 
-> **Note**: If this PR should have included UI tests, please add UI-related keywords to the PR description or ensure UI files are included in the changes.
-
----
-<sub>Generated by [PR Test Generator](https://github.com/ka-brian/self-testing-github-action)</sub>`);
+> **Note**: If this PR should have included UI tests, please add UI-related keywords to the PR description or ensure UI files are included in the changes.`, "skipped");
     } catch (commentError) {
       core.error(`Failed to comment skipped tests: ${(commentError as Error).message}`);
     }
@@ -298,7 +1159,7 @@ This PR appears to contain backend/infrastructure changes that don't require UI
   async commentSitemapIrrelevant(): Promise<void> {
     const timestamp = new Date().toISOString();
     try {
-      await this.createComment(`## 🗺️ UI Tests Skipped - Outside Sitemap Scope
+      await this.upsertReportComment(`## 🗺️ UI Tests Skipped - Outside Sitemap Scope
 
 *Auto-generated test analysis for PR #${this.prNumber} • ${timestamp}*
 
@@ -321,18 +1182,88 @@ This PR contains UI changes, but they appear to be in areas not covered by the p
 ### Next steps:
 - Review if manual testing is needed for the modified areas
 - Consider whether the sitemap should be expanded to cover these changes
-- If these changes should be testable, update \`sitemap.json\` to include relevant paths
+- If these changes should be testable, update \`sitemap.json\` to include relevant paths`, "skipped");
+    } catch (error) {
+      core.warning(`Failed to comment on PR: ${(error as Error).message}`);
+    }
+  }
 
----
-<sub>Generated by [PR Test Generator](https://github.com/ka-brian/self-testing-github-action)</sub>`);
+  async commentPathsExcluded(include: string[], exclude: string[]): Promise<void> {
+    const rules = [
+      ...include.map((glob) => `- include: \`${glob}\``),
+      ...exclude.map((glob) => `- exclude: \`${glob}\``),
+    ];
+
+    try {
+      await this.upsertReportComment(`## ⏭️ UI Tests Skipped - No Matching Paths
+
+None of the files changed in PR #${this.prNumber} match the configured path filters:
+
+${rules.join("\n")}`, "skipped");
     } catch (error) {
       core.warning(`Failed to comment on PR: ${(error as Error).message}`);
     }
   }
 
+  /**
+   * Explains why the repository config file was rejected, listing every
+   * validation issue so it can be fixed in one go.
+   */
+  async commentConfigError(error: ConfigError): Promise<void> {
+    try {
+      await this.upsertReportComment(`## ⚙️ Invalid Configuration
+
+\`${error.file}\` could not be loaded, so no tests were generated for PR #${this.prNumber}:
+
+${error.issues.map((issue) => `- ${issue}`).join("\n")}
+
+See the [configuration reference](https://github.com/ka-brian/self-testing-github-action#configuration-file) for the supported settings.`, "error");
+    } catch (commentError) {
+      core.error(`Failed to comment config error: ${(commentError as Error).message}`);
+    }
+  }
+
+  async commentPolicyViolations(error: PolicyViolationError): Promise<void> {
+    try {
+      await this.upsertReportComment(`## 🛡️ Generated Tests Blocked
+
+The tests generated for PR #${this.prNumber} were not run because the code breaks the safety policy:
+
+${formatViolations(error.violations)}
+
+Generated code runs with the API keys and test credentials in its environment, so it may only load allowed modules, read allowed environment variables, write to temporary directories and call the preview. Push a new commit or comment \`/ui-test regenerate\` to generate new tests, or extend the allow-lists under \`safety\` in the config file.${this.retryNote()}`, "error");
+    } catch (commentError) {
+      core.error(`Failed to comment policy violations: ${(commentError as Error).message}`);
+    }
+  }
+
+  async commentPromptInjection(error: PromptInjectionError): Promise<void> {
+    const { decision } = error;
+    try {
+      await this.upsertReportComment(`## 🧱 Test Generation Blocked
+
+No tests were generated for PR #${this.prNumber}: the prompt injection guard is in strict mode because ${decision.reason}, and these lines look like instructions to the AI model:
+
+${formatFindings(decision.findings)}
+
+PR content is passed to the model as untrusted data, but in strict mode suspicious instructions stop the run. If they are harmless, a maintainer can set the \`injection-guard\` input to \`standard\`, or the author can reword the text and push a new commit.${this.retryNote()}`, "error");
+    } catch (commentError) {
+      core.error(`Failed to comment prompt injection findings: ${(commentError as Error).message}`);
+    }
+  }
+
   async commentError(error: Error): Promise<void> {
+    if (error instanceof PolicyViolationError) {
+      await this.commentPolicyViolations(error);
+      return;
+    }
+    if (error instanceof PromptInjectionError) {
+      await this.commentPromptInjection(error);
+      return;
+    }
+
     try {
-      await this.createComment(`## ❌ Test Generation Failed
+      await this.upsertReportComment(`## ❌ Test Generation Failed
 
 An error occurred while generating tests for PR #${this.prNumber}:
 
@@ -345,19 +1276,11 @@ This might be due to:
 - Claude API rate limits or errors
 - Test execution environment issues
 
-Please check the action logs for more details.
-
----
-<sub>Generated by [PR Test Generator](https://github.com/ka-brian/self-testing-github-action)</sub>`);
+Please check the action logs for more details.${this.retryNote()}`, "error");
     } catch (commentError) {
       core.error(`Failed to comment error: ${(commentError as Error).message}`);
     }
   }
-
-
-
-
-
 }
 
 export default GitHubService;
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Minimal glob support for path filters: `**` matches any number of path
+ * segments, `*` and `?` stay within one segment and `{a,b}` matches either
+ * alternative. Patterns without a "/" match the file name at any depth, as
+ * in .gitignore.
+ */
+export function globToRegExp(glob: string): RegExp {
+  let pattern = glob.trim().replace(/^\.\//, "");
+  if (!pattern.includes("/")) {
+    pattern = `**/${pattern}`;
+  }
+  if (pattern.endsWith("/")) {
+    pattern += "**";
+  }
+
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      const atSegmentStart = i === 0 || pattern[i - 1] === "/";
+      const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === "/";
+      if (atSegmentStart && atSegmentEnd) {
+        // "**/" matches zero or more directories; a trailing "**" matches everything
+        if (pattern[i + 2] === "/") {
+          source += "(?:[^/]+/)*";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+        continue;
+      }
+      source += "[^/]*";
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesAnyGlob(filename: string, globs: string[]): boolean {
+  return globs.some((glob) => globToRegExp(glob).test(filename));
+}
+
+/**
+ * Keeps the files matched by `include` (all files when it is empty) that are
+ * not matched by `exclude`.
+ */
+export function filterPaths<T extends { filename: string }>(
+  files: T[],
+  include: string[],
+  exclude: string[]
+): T[] {
+  return files.filter(
+    (file) =>
+      (include.length === 0 || matchesAnyGlob(file.filename, include)) &&
+      !matchesAnyGlob(file.filename, exclude)
+  );
+}
@@ -0,0 +1,402 @@
+import * as fs from "fs";
+import * as path from "path";
+import {
+  SourceRoute,
+  extractSourceRoutes,
+  listSourceFiles,
+} from "./source-routes";
+
+export interface AffectedRoute {
+  path: string;
+  entryFile: string;
+  framework: SourceRoute["framework"];
+  kind: SourceRoute["kind"];
+  // The PR's changed files that reach this route's entry file
+  changedFiles: string[];
+}
+
+export interface ImportGraph {
+  // file -> files it imports
+  imports: Map<string, Set<string>>;
+  // file -> files that import it
+  importers: Map<string, Set<string>>;
+}
+
+interface PathAliases {
+  baseDir: string;
+  baseUrl?: string;
+  paths: Array<{ prefix: string; suffix: string; wildcard: boolean; targets: string[] }>;
+}
+
+const MODULE_EXTENSIONS = /\.(jsx?|tsx?|mjs|cjs|mts|cts|vue|svelte)$/;
+
+const RESOLVE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".vue",
+  ".svelte",
+];
+
+const IMPORT_PATTERNS = [
+  // import x from "y", import { a } from "y", export * from "y"
+  /\b(?:import|export)\b[^'"`;]*?\bfrom\s*["']([^"']+)["']/g,
+  // import "y"
+  /\bimport\s*["']([^"']+)["']/g,
+  // import("y"), require("y")
+  /\b(?:import|require)\s*\(\s*["']([^"']+)["']\s*\)/g,
+];
+
+// Upper bound on reverse-graph traversal per changed file
+const MAX_VISITED_FILES = 5000;
+
+/**
+ * Reads a tsconfig/jsconfig file, tolerating comments and trailing commas.
+ */
+function readJsonWithComments(filePath: string): any {
+  const source = fs.readFileSync(filePath, "utf8");
+  let output = "";
+  let inString = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      output += char;
+      if (char === "\\") {
+        output += source[++i] ?? "";
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      output += "\n";
+    } else if (char === "/" && source[i + 1] === "*") {
+      i += 2;
+      while (i < source.length && !(source[i] === "*" && source[i + 1] === "/")) i++;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+function loadAliases(rootDir: string, configFile: string): PathAliases | null {
+  try {
+    const config = readJsonWithComments(path.join(rootDir, configFile));
+    const options = config.compilerOptions || {};
+    const baseDir = path.posix.dirname(configFile) === "." ? "" : path.posix.dirname(configFile);
+    const baseUrl =
+      options.baseUrl !== undefined
+        ? path.posix.normalize(path.posix.join(baseDir, options.baseUrl))
+        : undefined;
+
+    const paths = Object.entries<string[]>(options.paths || {}).map(([pattern, targets]) => {
+      const star = pattern.indexOf("*");
+      return {
+        prefix: star === -1 ? pattern : pattern.slice(0, star),
+        suffix: star === -1 ? "" : pattern.slice(star + 1),
+        wildcard: star !== -1,
+        targets: targets.map((target) =>
+          path.posix.normalize(path.posix.join(baseUrl ?? baseDir, target))
+        ),
+      };
+    });
+
+    return { baseDir, baseUrl, paths };
+  } catch {
+    return null;
+  }
+}
+
+export function parseImportSpecifiers(source: string): string[] {
+  const specifiers = new Set<string>();
+
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(source)) !== null) {
+      specifiers.add(match[1]);
+    }
+  }
+
+  return [...specifiers];
+}
+
+class ModuleResolver {
+  private files: Set<string>;
+  private aliasConfigs: Map<string, PathAliases>;
+
+  constructor(rootDir: string, files: string[]) {
+    this.files = new Set(files);
+    this.aliasConfigs = new Map();
+
+    for (const file of files) {
+      if (/(^|\/)(tsconfig|jsconfig)\.json$/.test(file)) {
+        const aliases = loadAliases(rootDir, file);
+        const dir = path.posix.dirname(file) === "." ? "" : path.posix.dirname(file);
+        // tsconfig.json wins over jsconfig.json in the same directory
+        if (aliases && (!this.aliasConfigs.has(dir) || file.endsWith("tsconfig.json"))) {
+          this.aliasConfigs.set(dir, aliases);
+        }
+      }
+    }
+  }
+
+  resolve(specifier: string, importer: string): string | null {
+    const importerDir = path.posix.dirname(importer);
+
+    if (specifier.startsWith(".")) {
+      return this.resolveFile(path.posix.join(importerDir, specifier));
+    }
+
+    const aliases = this.nearestAliases(importerDir);
+    if (aliases) {
+      for (const alias of aliases.paths) {
+        const matches = alias.wildcard
+          ? specifier.startsWith(alias.prefix) && specifier.endsWith(alias.suffix)
+          : specifier === alias.prefix;
+        if (!matches) {
+          continue;
+        }
+        const captured = alias.wildcard
+          ? specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length)
+          : "";
+        for (const target of alias.targets) {
+          const resolved = this.resolveFile(target.replace("*", captured));
+          if (resolved) {
+            return resolved;
+          }
+        }
+      }
+
+      if (aliases.baseUrl !== undefined) {
+        const resolved = this.resolveFile(path.posix.join(aliases.baseUrl, specifier));
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+
+    // Framework defaults: SvelteKit's $lib, and the "@/" / "~/" source roots
+    // used by Nuxt, Vue CLI and create-next-app
+    const builtin = specifier.match(/^(\$lib|@|~)\/(.*)$/);
+    if (builtin) {
+      const base = aliases?.baseDir ?? "";
+      const roots =
+        builtin[1] === "$lib" ? ["src/lib"] : ["src", ""];
+      for (const root of roots) {
+        const resolved = this.resolveFile(path.posix.join(base, root, builtin[2]));
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  private nearestAliases(dir: string): PathAliases | undefined {
+    let current = dir === "." ? "" : dir;
+    for (;;) {
+      const aliases = this.aliasConfigs.get(current);
+      if (aliases) {
+        return aliases;
+      }
+      if (!current) {
+        return undefined;
+      }
+      const parent = path.posix.dirname(current);
+      current = parent === "." ? "" : parent;
+    }
+  }
+
+  private resolveFile(candidate: string): string | null {
+    const base = path.posix.normalize(candidate).replace(/\/$/, "");
+    if (base.startsWith("..")) {
+      return null;
+    }
+
+    if (this.files.has(base)) {
+      return base;
+    }
+
+    // ESM-style TypeScript imports reference the compiled ".js" name
+    const withoutJs = base.replace(/\.(m|c)?js$/, "");
+    for (const extension of RESOLVE_EXTENSIONS) {
+      if (this.files.has(withoutJs + extension)) {
+        return withoutJs + extension;
+      }
+    }
+
+    for (const extension of RESOLVE_EXTENSIONS) {
+      const indexFile = `${base}/index${extension}`;
+      if (this.files.has(indexFile)) {
+        return indexFile;
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Builds the import graph of the source tree under `rootDir`. Only imports
+ * that resolve to files inside the tree (relative paths and tsconfig/jsconfig
+ * `paths` aliases) become edges; packages are ignored.
+ */
+export function buildImportGraph(rootDir: string): ImportGraph {
+  const files = listSourceFiles(rootDir);
+  const resolver = new ModuleResolver(rootDir, files);
+  const imports = new Map<string, Set<string>>();
+  const importers = new Map<string, Set<string>>();
+
+  for (const file of files) {
+    if (!MODULE_EXTENSIONS.test(file)) {
+      continue;
+    }
+
+    let source: string;
+    try {
+      source = fs.readFileSync(path.join(rootDir, file), "utf8");
+    } catch {
+      continue;
+    }
+
+    const targets = new Set<string>();
+    for (const specifier of parseImportSpecifiers(source)) {
+      const resolved = resolver.resolve(specifier, file);
+      if (resolved && resolved !== file) {
+        targets.add(resolved);
+        if (!importers.has(resolved)) {
+          importers.set(resolved, new Set());
+        }
+        importers.get(resolved)!.add(file);
+      }
+    }
+    imports.set(file, targets);
+  }
+
+  return { imports, importers };
+}
+
+/**
+ * For React Router routes, finds the file that defines the routed component
+ * by following the router file's imports (static or `lazy(() => import())`).
+ */
+function componentEntryFile(route: SourceRoute, rootDir: string, graph: ImportGraph): string {
+  if (!route.component) {
+    return route.file;
+  }
+
+  let source: string;
+  try {
+    source = fs.readFileSync(path.join(rootDir, route.file), "utf8");
+  } catch {
+    return route.file;
+  }
+
+  const name = route.component.split(".")[0];
+  const patterns = [
+    new RegExp(`import\\s+${name}\\b[^'"\`;]*?from\\s*["']([^"']+)["']`),
+    new RegExp(`import\\s*\\{[^}]*\\b${name}\\b[^}]*\\}\\s*from\\s*["']([^"']+)["']`),
+    new RegExp(`\\b${name}\\s*=\\s*(?:React\\.)?lazy\\(\\s*\\(\\)\\s*=>\\s*import\\(\\s*["']([^"']+)["']`),
+  ];
+
+  const candidates = graph.imports.get(route.file) || new Set<string>();
+  for (const pattern of patterns) {
+    const match = source.match(pattern);
+    if (!match) {
+      continue;
+    }
+    const stem = path.posix.basename(match[1]).replace(/\.\w+$/, "");
+    const target = [...candidates].find(
+      (candidate) =>
+        path.posix.basename(candidate).replace(/\.\w+$/, "") === stem ||
+        path.posix.basename(path.posix.dirname(candidate)) === stem
+    );
+    if (target) {
+      return target;
+    }
+  }
+
+  return route.file;
+}
+
+/**
+ * Computes which routes each changed file can affect: a route is affected
+ * when its entry file (page, layout or routed component) is the changed
+ * file itself or transitively imports it.
+ */
+export function findAffectedRoutes(
+  rootDir: string,
+  changedFiles: string[],
+  graph: ImportGraph = buildImportGraph(rootDir),
+  routes: SourceRoute[] = extractSourceRoutes(rootDir)
+): AffectedRoute[] {
+  const routesByEntry = new Map<string, SourceRoute[]>();
+  for (const route of routes) {
+    const entry = componentEntryFile(route, rootDir, graph);
+    if (!routesByEntry.has(entry)) {
+      routesByEntry.set(entry, []);
+    }
+    routesByEntry.get(entry)!.push(route);
+  }
+
+  const affected = new Map<string, AffectedRoute>();
+
+  const record = (route: SourceRoute, entryFile: string, changedFile: string) => {
+    const key = `${route.path}|${entryFile}`;
+    const existing = affected.get(key);
+    if (existing) {
+      if (!existing.changedFiles.includes(changedFile)) {
+        existing.changedFiles.push(changedFile);
+      }
+    } else {
+      affected.set(key, {
+        path: route.path,
+        entryFile,
+        framework: route.framework,
+        kind: route.kind,
+        changedFiles: [changedFile],
+      });
+    }
+  };
+
+  for (const changedFile of changedFiles) {
+    // Editing a React Router config affects the routes it declares, but not
+    // everything the router file happens to import
+    for (const route of routes) {
+      if (route.framework === "react-router" && route.file === changedFile) {
+        record(route, route.file, changedFile);
+      }
+    }
+
+    const visited = new Set<string>([changedFile]);
+    const queue = [changedFile];
+
+    while (queue.length > 0 && visited.size <= MAX_VISITED_FILES) {
+      const file = queue.shift()!;
+
+      for (const route of routesByEntry.get(file) || []) {
+        record(route, file, changedFile);
+      }
+
+      for (const importer of graph.importers.get(file) || []) {
+        if (!visited.has(importer)) {
+          visited.add(importer);
+          queue.push(importer);
+        }
+      }
+    }
+  }
+
+  return [...affected.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -1,6 +1,39 @@
 import * as core from "@actions/core";
 import * as github from "@actions/github";
+import { Octokit } from "@octokit/rest";
 import PRTestGenerator from "./pr-test-generator";
+import { FailOnMode, evaluateGate, parseFailOnMode } from "./gating";
+import { deploymentStatusUrl, findPullRequestForCommit } from "./deployments";
+import { PreviewUrlPatterns, parsePreviewUrlPatterns } from "./preview-urls";
+import { DevServerConfig } from "./dev-server";
+import GitHubService from "./github-service";
+import { PathRule } from "./path-rules";
+import { ModelSelection, ProviderConfig, parseProviderName } from "./llm-provider";
+import RetryPolicy, { retryOctokitRequests } from "./retry-policy";
+import { POLICY_MODES, PolicyMode, SafetyPolicy } from "./safety-policy";
+import { INJECTION_GUARD_MODES, InjectionGuardMode } from "./prompt-injection";
+import { redactor } from "./redactor";
+import { ArtifactOptions } from "./artifacts";
+import {
+  FORCE_LABEL,
+  SKIP_LABEL,
+  SlashCommand,
+  canIssueCommands,
+  parseSlashCommand,
+  workspaceIsAtHead,
+} from "./pr-controls";
+import {
+  ActionSettings,
+  CommentStyle,
+  ConfigError,
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_SETTINGS,
+  loadRepoConfig,
+  loadRepoConfigWith,
+  resolveSettings,
+  settingsFromRepoConfig,
+  withTrustedSecuritySettings,
+} from "./config";
 
 interface Config {
   claudeApiKey: string;
@@ -9,12 +42,33 @@ interface Config {
   repo: string;
   prNumber: number;
   testExamples?: string;
-  outputDir?: string;
+  outputDir: string;
   timeout: number;
   commentOnPR: boolean;
+  commentStyle: CommentStyle;
   baseUrl?: string;
   waitForPreview: number;
   enableCaching: boolean;
+  cacheDir?: string;
+  configFile: string;
+  failOn: FailOnMode;
+  previewUrlPatterns: PreviewUrlPatterns;
+  previewReadyTimeout: number;
+  previewReadyText?: string;
+  devServer?: DevServerConfig;
+  includePaths: string[];
+  excludePaths: string[];
+  pathRules: PathRule[];
+  maxTests: number;
+  codeRepairRounds: number;
+  safetyPolicy: SafetyPolicy;
+  injectionGuard: InjectionGuardMode;
+  artifacts: ArtifactOptions;
+  llm: ProviderConfig;
+  models: Partial<ModelSelection>;
+  retry: { maxAttempts: number; deadline: number };
+  regenerate: boolean;
+  guidance?: string;
 }
 
 interface TestResults {
@@ -31,37 +85,319 @@ interface TestResults {
   duration: string;
 }
 
+interface EventTarget {
+  prNumber: number;
+  // Set when triggered by a successful deployment_status event
+  deploymentUrl?: string;
+  // Set when triggered by a /ui-test comment
+  command?: SlashCommand;
+}
+
+/**
+ * Handles `issue_comment` events: accepts `/ui-test` commands on PRs from
+ * users with write access, acknowledging them with a reaction. Anything
+ * else is ignored.
+ */
+async function resolveCommentTarget(
+  context: typeof github.context,
+  githubToken: string
+): Promise<EventTarget | null> {
+  const { issue, comment } = context.payload;
+  if (!issue?.pull_request || context.payload.action !== "created" || !comment) {
+    core.info("⏭️ Not a new comment on a pull request - nothing to do");
+    return null;
+  }
+  if (comment.user?.type === "Bot") {
+    return null;
+  }
+
+  const octokit = retryOctokitRequests(new Octokit({ auth: githubToken }), new RetryPolicy());
+  const { owner, repo } = context.repo;
+  const react = async (content: "eyes" | "-1" | "confused") => {
+    try {
+      await octokit.reactions.createForIssueComment({ owner, repo, comment_id: comment.id, content });
+    } catch (error) {
+      core.warning(`Failed to react to comment: ${(error as Error).message}`);
+    }
+  };
+
+  let command: SlashCommand | null;
+  try {
+    command = parseSlashCommand(comment.body || "");
+  } catch (error) {
+    command = null;
+    if (await canIssueCommands(octokit, owner, repo, comment.user.login)) {
+      await react("confused");
+      await octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: issue.number,
+        body: `@${comment.user.login} ${(error as Error).message}`,
+      });
+    }
+    return null;
+  }
+  if (!command) {
+    core.info("⏭️ Comment does not contain a /ui-test command");
+    return null;
+  }
+
+  if (!(await canIssueCommands(octokit, owner, repo, comment.user.login))) {
+    core.warning(`🔒 Ignoring /ui-test ${command.name} from ${comment.user.login}: write access is required`);
+    await react("-1");
+    return null;
+  }
+
+  core.info(`💬 ${comment.user.login} requested /ui-test ${command.name} on PR #${issue.number}`);
+  await react("eyes");
+  return { prNumber: issue.number, command };
+}
+
+/**
+ * Works out which PR to test from the triggering event: `pull_request`
+ * events carry it directly, `issue_comment` events carry a `/ui-test`
+ * command and `deployment_status` events are mapped to the open PR whose
+ * head commit was deployed. Returns null when there is nothing to test yet.
+ */
+async function resolveEventTarget(
+  context: typeof github.context,
+  githubToken: string
+): Promise<EventTarget | null> {
+  if (context.payload.pull_request) {
+    const action = context.payload.action;
+    if (action === "labeled" || action === "unlabeled") {
+      const label = (context.payload.label?.name || "").toLowerCase();
+      if (label !== SKIP_LABEL && label !== FORCE_LABEL) {
+        core.info(`⏭️ Label "${label}" does not affect UI tests - nothing to do`);
+        return null;
+      }
+    }
+    return { prNumber: context.payload.pull_request.number };
+  }
+
+  if (context.eventName === "issue_comment") {
+    return resolveCommentTarget(context, githubToken);
+  }
+
+  if (context.eventName !== "deployment_status") {
+    throw new Error(
+      "This action must be run on a pull_request, issue_comment or deployment_status event"
+    );
+  }
+
+  const status = context.payload.deployment_status;
+  const deployment = context.payload.deployment;
+  if (status?.state !== "success") {
+    core.info(
+      `⏭️ Deployment status is "${status?.state}" - waiting for a successful deployment`
+    );
+    return null;
+  }
+
+  const prNumber = await findPullRequestForCommit(
+    retryOctokitRequests(new Octokit({ auth: githubToken }), new RetryPolicy()),
+    context.repo.owner,
+    context.repo.repo,
+    deployment.sha
+  );
+  if (!prNumber) {
+    core.info(`⏭️ No open pull request has ${deployment.sha} as its head commit`);
+    return null;
+  }
+
+  const deploymentUrl = deploymentStatusUrl(status) || undefined;
+  core.info(
+    `🚀 Deployment of ${deployment.environment} succeeded for PR #${prNumber}${
+      deploymentUrl ? ` at ${deploymentUrl}` : ""
+    }`
+  );
+  return { prNumber, deploymentUrl };
+}
+
+function numberInput(name: string): number | undefined {
+  const value = core.getInput(name);
+  if (!value) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Input ${name} must be a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+function booleanInput(name: string): boolean | undefined {
+  const value = core.getInput(name);
+  return value ? value.toLowerCase() === "true" : undefined;
+}
+
+function listInput(name: string): string[] | undefined {
+  const value = core.getInput(name);
+  return value
+    ? value.split("\n").map((line) => line.trim()).filter(Boolean)
+    : undefined;
+}
+
+/**
+ * Reads the optional action inputs. Inputs that are not set stay undefined
+ * so the config file and defaults can fill them in.
+ */
+function readInputs(): Partial<ActionSettings> {
+  const failOn = core.getInput("fail-on");
+  const commentStyle = core.getInput("comment-style");
+  const llmProvider = core.getInput("llm-provider");
+  const safetyMode = core.getInput("safety-mode");
+  if (safetyMode && !POLICY_MODES.includes(safetyMode as PolicyMode)) {
+    throw new Error(`Input safety-mode must be "block" or "warn", got "${safetyMode}"`);
+  }
+  const injectionGuard = core.getInput("injection-guard");
+  if (injectionGuard && !INJECTION_GUARD_MODES.includes(injectionGuard as InjectionGuardMode)) {
+    throw new Error(`Input injection-guard must be "auto", "standard" or "strict", got "${injectionGuard}"`);
+  }
+  if (commentStyle && commentStyle !== "detailed" && commentStyle !== "compact") {
+    throw new Error(`Input comment-style must be "detailed" or "compact", got "${commentStyle}"`);
+  }
+
+  return {
+    testExamples: core.getInput("test-examples"),
+    outputDir: core.getInput("output-dir"),
+    timeout: numberInput("timeout"),
+    commentOnPR: booleanInput("comment-on-pr"),
+    commentStyle: (commentStyle || undefined) as CommentStyle | undefined,
+    baseUrl: core.getInput("base-url"),
+    waitForPreview: numberInput("wait-for-preview"),
+    previewUrlPatterns: core.getInput("preview-url-patterns"),
+    previewReadyTimeout: numberInput("preview-ready-timeout"),
+    previewReadyText: core.getInput("preview-ready-text"),
+    startCommand: core.getInput("start-command"),
+    buildCommand: core.getInput("build-command"),
+    workingDirectory: core.getInput("working-directory"),
+    port: numberInput("port"),
+    readyUrl: core.getInput("ready-url"),
+    startTimeout: numberInput("start-timeout"),
+    devServerEnv: listInput("dev-server-env"),
+    enableCaching: booleanInput("enable-caching"),
+    cacheDir: core.getInput("cache-dir"),
+    failOn: failOn ? parseFailOnMode(failOn) : undefined,
+    includePaths: listInput("include-paths"),
+    excludePaths: listInput("exclude-paths"),
+    maxTests: numberInput("max-tests"),
+    codeRepairRounds: numberInput("code-repair-rounds"),
+    llmProvider: llmProvider ? parseProviderName(llmProvider) : undefined,
+    llmBaseUrl: core.getInput("llm-base-url"),
+    classifierModel: core.getInput("classifier-model"),
+    plannerModel: core.getInput("planner-model"),
+    generatorModel: core.getInput("generator-model"),
+    apiMaxAttempts: numberInput("api-max-attempts"),
+    apiRetryDeadline: numberInput("api-retry-deadline"),
+    safetyMode: (safetyMode || undefined) as PolicyMode | undefined,
+    injectionGuard: (injectionGuard || undefined) as InjectionGuardMode | undefined,
+    uploadArtifacts: booleanInput("upload-artifacts"),
+    recordVideo: booleanInput("record-video"),
+    artifactRetentionDays: numberInput("artifact-retention-days"),
+    artifactMaxSizeMb: numberInput("artifact-max-size-mb"),
+  };
+}
+
 async function run(): Promise<void> {
+  let failOn: FailOnMode = DEFAULT_SETTINGS.failOn;
+
   try {
-    // Get inputs
     const claudeApiKey = core.getInput("claude-api-key", { required: true });
     const githubToken = core.getInput("github-token", { required: true });
-    const testExamples = core.getInput("test-examples");
-    const outputDir = core.getInput("output-dir");
-    const timeout = 600000;
-    const commentOnPR = core.getInput("comment-on-pr") === "true";
-    const baseUrl = core.getInput("base-url");
-    const waitForPreview = parseInt(core.getInput("wait-for-preview")) || 60;
-    const enableCaching = core.getInput("enable-caching") === "true";
-    
+    redactor.register("CLAUDE_API_KEY", claudeApiKey);
+    redactor.register("GITHUB_TOKEN", githubToken);
+    const inputs = readInputs();
+    failOn = inputs.failOn || failOn;
+
+    // Get GitHub context
+    const context = github.context;
+
+    const target = await resolveEventTarget(context, githubToken);
+    if (!target) {
+      return;
+    }
+
+    const githubService = new GitHubService({
+      githubToken,
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      prNumber: target.prNumber,
+    });
+    const base = await githubService.getPRBase();
+    if (target.command) {
+      const atHead = workspaceIsAtHead(base.headSha);
+      if (atHead === false) {
+        throw new Error(
+          `The workspace is not checked out at PR #${target.prNumber}'s head commit ${base.headSha}. ` +
+            `issue_comment runs check out the default branch, so the changes would be analysed against the wrong tree. ` +
+            `Check out \`refs/pull/${target.prNumber}/head\` with actions/checkout (see the README).`
+        );
+      }
+      if (atHead === null) {
+        core.warning("⚠️ The workspace is not a git checkout - cannot confirm it holds the PR's head commit");
+      }
+    }
+
+    const configFile = core.getInput("config-file") || undefined;
+    let configPath = configFile || DEFAULT_CONFIG_FILE;
+    let fileSettings: Partial<ActionSettings> = {};
+    try {
+      const repoConfig = loadRepoConfig(process.cwd(), configFile);
+      if (repoConfig) {
+        core.info(`⚙️ Loaded configuration from ${repoConfig.file}`);
+        configPath = repoConfig.file;
+        fileSettings = settingsFromRepoConfig(repoConfig.config);
+      }
+
+      // The workspace holds the fork's copy of the file
+      if (base.fromFork) {
+        const baseConfig = await loadRepoConfigWith(
+          (file) => githubService.readFileAtRef(file, base.ref),
+          configFile
+        );
+        core.info(
+          `🔒 PR is from a fork - taking safety, LLM, credential, command and path settings from ${base.ref}${
+            baseConfig ? `:${baseConfig.file}` : " (defaults)"
+          }`
+        );
+        fileSettings = withTrustedSecuritySettings(
+          fileSettings,
+          baseConfig ? settingsFromRepoConfig(baseConfig.config) : {}
+        );
+      }
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        await githubService.commentConfigError(error);
+      }
+      throw error;
+    }
+
+    const settings = resolveSettings(inputs, fileSettings);
+    failOn = settings.failOn;
+
     // Get authentication inputs and set as environment variables
-    const testUserEmail = core.getInput("test-user-email");
-    const testUserPassword = core.getInput("test-user-password");
-    
+    const testUserEmail =
+      core.getInput("test-user-email") ||
+      (settings.authEmailEnv ? process.env[settings.authEmailEnv] : undefined);
+    const testUserPassword =
+      core.getInput("test-user-password") ||
+      (settings.authPasswordEnv ? process.env[settings.authPasswordEnv] : undefined);
+
     if (testUserEmail) {
       process.env.TEST_USER_EMAIL = testUserEmail;
     }
     if (testUserPassword) {
       process.env.TEST_USER_PASSWORD = testUserPassword;
     }
+    redactor.registerEnv(["TEST_USER_EMAIL", "TEST_USER_PASSWORD"]);
 
-    // Get GitHub context
-    const context = github.context;
-
-    // Validate that this is running on a PR
-    if (!context.payload.pull_request) {
-      core.setFailed("This action must be run on a pull request event");
-      return;
+    const llmApiKey =
+      core.getInput("llm-api-key") ||
+      (settings.llmApiKeyEnv ? process.env[settings.llmApiKeyEnv] : undefined) ||
+      claudeApiKey;
+    if (llmApiKey !== claudeApiKey) {
+      redactor.register("LLM_API_KEY", llmApiKey);
     }
 
     const config: Config = {
@@ -69,14 +405,68 @@ async function run(): Promise<void> {
       githubToken,
       owner: context.repo.owner,
       repo: context.repo.repo,
-      prNumber: context.payload.pull_request.number,
-      testExamples,
-      outputDir,
-      timeout,
-      commentOnPR,
-      baseUrl,
-      waitForPreview,
-      enableCaching,
+      prNumber: target.prNumber,
+      testExamples: settings.testExamples,
+      outputDir: settings.outputDir,
+      timeout: settings.timeout * 1000,
+      commentOnPR: settings.commentOnPR,
+      commentStyle: settings.commentStyle,
+      baseUrl: settings.baseUrl || target.deploymentUrl,
+      waitForPreview: settings.waitForPreview,
+      enableCaching: settings.enableCaching,
+      cacheDir: settings.cacheDir,
+      configFile: configPath,
+      failOn,
+      previewUrlPatterns: parsePreviewUrlPatterns(settings.previewUrlPatterns),
+      previewReadyTimeout: settings.previewReadyTimeout,
+      previewReadyText: settings.previewReadyText,
+      devServer: settings.startCommand
+        ? {
+            startCommand: settings.startCommand,
+            buildCommand: settings.buildCommand,
+            workingDirectory: settings.workingDirectory,
+            port: settings.port,
+            readyUrl: settings.readyUrl,
+            readyText: settings.previewReadyText,
+            startTimeout: settings.startTimeout,
+            allowEnv: settings.devServerEnv,
+          }
+        : undefined,
+      includePaths: settings.includePaths,
+      excludePaths: settings.excludePaths,
+      pathRules: settings.pathRules,
+      maxTests: settings.maxTests,
+      codeRepairRounds: settings.codeRepairRounds,
+      safetyPolicy: {
+        mode: settings.safetyMode,
+        allowModules: settings.safetyAllowModules,
+        allowHosts: settings.safetyAllowHosts,
+        allowEnv: settings.safetyAllowEnv,
+      },
+      injectionGuard: settings.injectionGuard,
+      artifacts: {
+        enabled: settings.uploadArtifacts,
+        video: settings.recordVideo,
+        trace: settings.recordTrace,
+        retentionDays: settings.artifactRetentionDays,
+        maxSizeMb: settings.artifactMaxSizeMb,
+      },
+      llm: {
+        provider: settings.llmProvider,
+        apiKey: llmApiKey,
+        baseUrl: settings.llmBaseUrl,
+      },
+      models: {
+        classifier: settings.classifierModel,
+        planner: settings.plannerModel,
+        generator: settings.generatorModel,
+      },
+      retry: {
+        maxAttempts: settings.apiMaxAttempts,
+        deadline: settings.apiRetryDeadline * 1000,
+      },
+      regenerate: target.command?.name === "regenerate" || target.command?.name === "focus",
+      guidance: target.command?.name === "focus" ? target.command.guidance : undefined,
     };
 
     core.info(`🚀 Starting test generation for PR #${config.prNumber}`);
@@ -87,11 +477,16 @@ async function run(): Promise<void> {
     const results: TestResults = await generator.run();
 
     // Set outputs
-    core.setOutput("test-results", JSON.stringify(results));
+    // Test code and output can echo credentials the tests typed
+    core.setOutput("test-results", JSON.stringify(redactor.redactValue(results)));
     core.setOutput("test-file-path", results.testFilePath || "");
     core.setOutput("tests-passed", results.success);
 
-    if (results.success) {
+    // Test failures only fail the workflow when fail-on opts into gating
+    const gateFailure = evaluateGate(failOn, results.testReport);
+    if (gateFailure) {
+      core.setFailed(`${gateFailure} (fail-on: ${failOn})`);
+    } else if (results.success) {
       core.info("✅ All tests passed!");
     } else {
       core.warning(
@@ -99,11 +494,12 @@ async function run(): Promise<void> {
       );
       core.warning("Check the PR comments for details");
     }
-
-    // Note: We don't fail the action if tests fail, as test failures are expected
-    // The purpose is to generate and run tests, not to gate the PR
   } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
+    const errorMessage = redactor.redact(error instanceof Error ? error.message : String(error));
+    if (failOn === "never") {
+      core.warning(`Action failed (not failing the workflow, fail-on: never): ${errorMessage}`);
+      return;
+    }
     core.error(`Action failed: ${errorMessage}`);
     core.setFailed(errorMessage);
   }
@@ -0,0 +1,260 @@
+export type ProviderName = "anthropic" | "bedrock" | "vertex" | "openai";
+
+export const PROVIDER_NAMES: ProviderName[] = ["anthropic", "bedrock", "vertex", "openai"];
+
+/**
+ * The steps that call the model: quick yes/no checks, test planning (and QA
+ * instructions) and test code generation. Each can use its own model.
+ */
+export type ModelRole = "classifier" | "planner" | "generator";
+
+export type ModelSelection = Record<ModelRole, string>;
+
+export interface CompletionRequest {
+  model: string;
+  prompt: string;
+  maxTokens: number;
+  // Ask for a single JSON object: prefilled as "{" on Messages APIs, JSON
+  // mode on Chat Completions
+  json?: boolean;
+  // Aborts the request, e.g. when it takes too long
+  signal?: AbortSignal;
+}
+
+export interface LLMProvider {
+  readonly name: ProviderName;
+  complete(request: CompletionRequest): Promise<string>;
+}
+
+export interface ProviderConfig {
+  provider: ProviderName;
+  apiKey: string;
+  // Overrides the provider's endpoint, e.g. to go through a proxy. Required
+  // for bedrock (https://bedrock-runtime.<region>.amazonaws.com) and vertex
+  // (https://<region>-aiplatform.googleapis.com/v1/projects/<project>/locations/<region>)
+  baseUrl?: string;
+}
+
+export const DEFAULT_MODELS: Record<ProviderName, ModelSelection> = {
+  anthropic: {
+    classifier: "claude-3-haiku-20240307",
+    planner: "claude-3-5-sonnet-20241022",
+    generator: "claude-3-5-sonnet-20241022",
+  },
+  bedrock: {
+    classifier: "anthropic.claude-3-haiku-20240307-v1:0",
+    planner: "anthropic.claude-3-5-sonnet-20241022-v2:0",
+    generator: "anthropic.claude-3-5-sonnet-20241022-v2:0",
+  },
+  vertex: {
+    classifier: "claude-3-haiku@20240307",
+    planner: "claude-3-5-sonnet-v2@20241022",
+    generator: "claude-3-5-sonnet-v2@20241022",
+  },
+  openai: {
+    classifier: "gpt-4o-mini",
+    planner: "gpt-4o",
+    generator: "gpt-4o",
+  },
+};
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+export class LLMRequestError extends Error {
+  constructor(
+    public readonly provider: ProviderName,
+    public readonly status: number,
+    public readonly statusText: string,
+    public readonly body: string,
+    // The `retry-after` header, when the provider sent one
+    public readonly retryAfter: string | null = null
+  ) {
+    super(`${provider} API error: ${status} ${statusText}${body ? ` - ${body}` : ""}`);
+    this.name = "LLMRequestError";
+  }
+}
+
+interface MessagesResponse {
+  content: Array<{ type?: string; text: string }>;
+}
+
+interface ChatCompletionResponse {
+  choices: Array<{ message: { content: string | null } }>;
+}
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, "");
+}
+
+async function postJson<T>(
+  provider: ProviderName,
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+  signal?: AbortSignal
+): Promise<T> {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new LLMRequestError(
+      provider,
+      response.status,
+      response.statusText,
+      await response.text(),
+      response.headers.get("retry-after")
+    );
+  }
+
+  return (await response.json()) as T;
+}
+
+function messages(request: CompletionRequest) {
+  return request.json
+    ? [
+        { role: "user", content: request.prompt },
+        { role: "assistant", content: "{" },
+      ]
+    : [{ role: "user", content: request.prompt }];
+}
+
+function messagesText(data: MessagesResponse, request: CompletionRequest): string {
+  const text = data.content
+    .filter((block) => block.type === undefined || block.type === "text")
+    .map((block) => block.text)
+    .join("");
+  // The response continues the prefilled assistant turn
+  return request.json ? `{${text}` : text;
+}
+
+/**
+ * Anthropic Messages API, directly or through a proxy that speaks the same
+ * protocol at a custom base URL.
+ */
+class AnthropicProvider implements LLMProvider {
+  readonly name = "anthropic" as const;
+
+  constructor(
+    private apiKey: string,
+    private baseUrl = "https://api.anthropic.com"
+  ) {}
+
+  async complete(request: CompletionRequest): Promise<string> {
+    const data = await postJson<MessagesResponse>(
+      this.name,
+      `${trimSlash(this.baseUrl)}/v1/messages`,
+      { "x-api-key": this.apiKey, "anthropic-version": ANTHROPIC_VERSION },
+      {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        messages: messages(request),
+      },
+      request.signal
+    );
+    return messagesText(data, request);
+  }
+}
+
+/**
+ * Claude on a cloud platform (Bedrock InvokeModel, Vertex rawPredict): the
+ * Messages API body with the model in the URL instead of the body. `apiKey`
+ * is sent as a bearer token (a Bedrock API key or a Google access token).
+ */
+class PlatformProvider implements LLMProvider {
+  constructor(
+    readonly name: "bedrock" | "vertex",
+    private apiKey: string,
+    private baseUrl: string
+  ) {}
+
+  async complete(request: CompletionRequest): Promise<string> {
+    const base = trimSlash(this.baseUrl);
+    const url =
+      this.name === "bedrock"
+        ? `${base}/model/${encodeURIComponent(request.model)}/invoke`
+        : `${base}/publishers/anthropic/models/${request.model}:rawPredict`;
+
+    const data = await postJson<MessagesResponse>(
+      this.name,
+      url,
+      { Authorization: `Bearer ${this.apiKey}` },
+      {
+        anthropic_version: this.name === "bedrock" ? "bedrock-2023-05-31" : "vertex-2023-10-16",
+        max_tokens: request.maxTokens,
+        messages: messages(request),
+      },
+      request.signal
+    );
+    return messagesText(data, request);
+  }
+}
+
+/**
+ * Any endpoint implementing OpenAI's Chat Completions API (OpenAI, Azure
+ * OpenAI-compatible gateways, vLLM, Ollama, LiteLLM...).
+ */
+class OpenAICompatibleProvider implements LLMProvider {
+  readonly name = "openai" as const;
+
+  constructor(
+    private apiKey: string,
+    private baseUrl = "https://api.openai.com/v1"
+  ) {}
+
+  async complete(request: CompletionRequest): Promise<string> {
+    const data = await postJson<ChatCompletionResponse>(
+      this.name,
+      `${trimSlash(this.baseUrl)}/chat/completions`,
+      { Authorization: `Bearer ${this.apiKey}` },
+      {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        messages: [{ role: "user", content: request.prompt }],
+        ...(request.json ? { response_format: { type: "json_object" } } : {}),
+      },
+      request.signal
+    );
+    return data.choices[0]?.message.content || "";
+  }
+}
+
+export function parseProviderName(value: string): ProviderName {
+  const name = value.trim().toLowerCase();
+  if (!PROVIDER_NAMES.includes(name as ProviderName)) {
+    throw new Error(`Invalid LLM provider "${value}". Expected one of: ${PROVIDER_NAMES.join(", ")}`);
+  }
+  return name as ProviderName;
+}
+
+export function createProvider(config: ProviderConfig): LLMProvider {
+  switch (config.provider) {
+    case "anthropic":
+      return new AnthropicProvider(config.apiKey, config.baseUrl);
+    case "bedrock":
+    case "vertex":
+      if (!config.baseUrl) {
+        throw new Error(`The ${config.provider} provider requires a base URL`);
+      }
+      return new PlatformProvider(config.provider, config.apiKey, config.baseUrl);
+    case "openai":
+      return new OpenAICompatibleProvider(config.apiKey, config.baseUrl);
+  }
+}
+
+/**
+ * Fills in the provider's default model for every role that is not set.
+ */
+export function resolveModels(
+  provider: ProviderName,
+  models: Partial<ModelSelection> = {}
+): ModelSelection {
+  return {
+    classifier: models.classifier || DEFAULT_MODELS[provider].classifier,
+    planner: models.planner || DEFAULT_MODELS[provider].planner,
+    generator: models.generator || DEFAULT_MODELS[provider].generator,
+  };
+}
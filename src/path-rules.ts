@@ -0,0 +1,111 @@
+import { matchesAnyGlob } from "./glob";
+
+export type PathRuleAction = "always-test" | "never-test";
+
+/**
+ * Declarative override for the UI-testing decision. A rule either forces
+ * (`always-test`) or suppresses (`never-test`) UI tests for matching files,
+ * or maps them to a route (`route: /billing`), which runs tests scoped to
+ * that page.
+ */
+export interface PathRule {
+  paths: string[];
+  action?: PathRuleAction;
+  route?: string;
+  // Shown in the PR comment next to the rule
+  reason?: string;
+}
+
+export interface PathRuleMatch {
+  file: string;
+  rule: PathRule;
+}
+
+export interface PathRuleDecision {
+  // "undecided" leaves the decision to Claude and the file heuristics
+  outcome: "test" | "skip" | "undecided";
+  // Human-readable explanation of the matched rule, for logs and comments
+  reason?: string;
+  // The first matching rule for each changed file that matched one
+  matches: PathRuleMatch[];
+  // Routes from `route` rules that tests should focus on
+  routes: string[];
+  // Changed files not excluded by a never-test rule
+  remainingFiles: string[];
+}
+
+export function describeRule(rule: PathRule): string {
+  const target = rule.route ? `route: ${rule.route}` : rule.action;
+  const globs = rule.paths.map((glob) => `\`${glob}\``).join(", ");
+  return `${globs} → ${target}${rule.reason ? ` (${rule.reason})` : ""}`;
+}
+
+function describeMatches(matches: PathRuleMatch[]): string {
+  const filesByRule = new Map<PathRule, string[]>();
+  for (const match of matches) {
+    filesByRule.set(match.rule, [...(filesByRule.get(match.rule) || []), `\`${match.file}\``]);
+  }
+
+  return [...filesByRule]
+    .map(([rule, files]) => {
+      const shown = files.length > 3 ? [...files.slice(0, 3), `${files.length - 3} more`] : files;
+      return `${shown.join(", ")} matched ${describeRule(rule)}`;
+    })
+    .join("; ");
+}
+
+/**
+ * Applies the rules to the PR's changed files before any Claude call. Each
+ * file is governed by the first rule that matches it. Any `always-test` or
+ * `route` match runs tests; the PR is skipped only when every changed file
+ * matches a `never-test` rule.
+ */
+export function evaluatePathRules(files: string[], rules: PathRule[]): PathRuleDecision {
+  const matches: PathRuleMatch[] = [];
+  for (const file of files) {
+    const rule = rules.find((candidate) => matchesAnyGlob(file, candidate.paths));
+    if (rule) {
+      matches.push({ file, rule });
+    }
+  }
+
+  const neverTest = matches.filter((match) => match.rule.action === "never-test");
+  const remainingFiles = files.filter((file) => !neverTest.some((match) => match.file === file));
+  const routes = [
+    ...new Set(matches.filter((match) => match.rule.route).map((match) => match.rule.route as string)),
+  ];
+
+  const alwaysTest = matches.filter((match) => match.rule.action === "always-test");
+  if (alwaysTest.length > 0) {
+    return {
+      outcome: "test",
+      reason: describeMatches(alwaysTest),
+      matches,
+      routes,
+      remainingFiles,
+    };
+  }
+
+  if (routes.length > 0) {
+    const routed = matches.filter((match) => match.rule.route);
+    return {
+      outcome: "test",
+      reason: describeMatches(routed),
+      matches,
+      routes,
+      remainingFiles,
+    };
+  }
+
+  if (files.length > 0 && remainingFiles.length === 0) {
+    return {
+      outcome: "skip",
+      reason: describeMatches(neverTest),
+      matches,
+      routes,
+      remainingFiles,
+    };
+  }
+
+  return { outcome: "undecided", matches, routes, remainingFiles };
+}
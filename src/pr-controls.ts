@@ -0,0 +1,125 @@
+import { execFileSync } from "child_process";
+import { Octokit } from "@octokit/rest";
+import * as core from "@actions/core";
+
+export const SKIP_LABEL = "ui-tests:skip";
+export const FORCE_LABEL = "ui-tests:force";
+
+export const COMMAND_PREFIX = "/ui-test";
+
+export type LabelOverride = "skip" | "force";
+
+export type SlashCommand =
+  // Run again, reusing cached test code when the PR has not changed
+  | { name: "rerun" }
+  // Run again, ignoring any cached test code
+  | { name: "regenerate" }
+  // Regenerate with reviewer guidance added to the analysis prompt
+  | { name: "focus"; guidance: string };
+
+// Permission levels allowed to issue commands
+const COMMAND_PERMISSIONS = ["admin", "maintain", "write"];
+
+/**
+ * The test override requested through PR labels. `ui-tests:skip` wins when
+ * both labels are present, so opting out is always possible.
+ */
+export function labelOverride(labels: string[]): LabelOverride | null {
+  const names = labels.map((label) => label.toLowerCase());
+  if (names.includes(SKIP_LABEL)) {
+    return "skip";
+  }
+  if (names.includes(FORCE_LABEL)) {
+    return "force";
+  }
+  return null;
+}
+
+/**
+ * Parses the first `/ui-test` line of a PR comment. Returns null when the
+ * comment has no command; throws with usage help when the command is not
+ * understood.
+ */
+export function parseSlashCommand(body: string): SlashCommand | null {
+  const line = body
+    .split("\n")
+    .map((candidate) => candidate.trim())
+    .find((candidate) => candidate === COMMAND_PREFIX || candidate.startsWith(`${COMMAND_PREFIX} `));
+  if (!line) {
+    return null;
+  }
+
+  const args = line.slice(COMMAND_PREFIX.length).trim();
+  const [name] = args.split(/\s+/);
+  const rest = args.slice(name.length).trim();
+
+  switch (name.toLowerCase()) {
+    case "rerun":
+      return { name: "rerun" };
+    case "regenerate":
+      return { name: "regenerate" };
+    case "focus": {
+      const guidance = rest.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1").trim();
+      if (!guidance) {
+        throw new Error(`Usage: ${COMMAND_PREFIX} focus "what the tests should concentrate on"`);
+      }
+      return { name: "focus", guidance };
+    }
+    default:
+      throw new Error(
+        `Unknown command "${line}". Supported commands: ${COMMAND_PREFIX} rerun, ${COMMAND_PREFIX} regenerate, ${COMMAND_PREFIX} focus "<guidance>"`
+      );
+  }
+}
+
+/**
+ * Whether `username` may steer the action from PR comments: only users with
+ * write access to the repository can, since commands spend API credits and
+ * feed text into the prompts.
+ */
+export async function canIssueCommands(
+  github: Octokit,
+  owner: string,
+  repo: string,
+  username: string
+): Promise<boolean> {
+  try {
+    const { data } = await github.repos.getCollaboratorPermissionLevel({
+      owner,
+      repo,
+      username,
+    });
+    const roleName = (data as { role_name?: string }).role_name;
+    return (
+      COMMAND_PERMISSIONS.includes(data.permission) ||
+      (roleName !== undefined && COMMAND_PERMISSIONS.includes(roleName))
+    );
+  } catch (error) {
+    core.warning(`Failed to check permissions for ${username}: ${(error as Error).message}`);
+    return false;
+  }
+}
+
+/**
+ * Whether the workspace is checked out at the PR's head commit, or at the
+ * merge commit GitHub builds on it. Comment-triggered runs check out the
+ * default branch unless the workflow asks for the PR, and the analysis
+ * would then read the wrong tree. Null when the workspace is not a git
+ * checkout.
+ */
+export function workspaceIsAtHead(headSha: string, cwd = process.cwd()): boolean | null {
+  let commits: string[];
+  try {
+    // The commit followed by its parents
+    commits = execFileSync("git", ["rev-list", "--parents", "-n", "1", "HEAD"], {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .trim()
+      .split(" ");
+  } catch {
+    return null;
+  }
+  return commits[0] === headSha || (commits.length === 3 && commits[2] === headSha);
+}
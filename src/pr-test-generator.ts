@@ -2,10 +2,48 @@ import * as core from "@actions/core";
 import * as fs from "fs";
 import * as path from "path";
 import ClaudeService from "./claude-service";
-import GitHubService from "./github-service";
+import GitHubService, { PRContext } from "./github-service";
 import TestExecutor from "./test-executor";
 import TestReporter from "./test-reporter";
 import { discoverRoutes } from "./discover-routes";
+import { AffectedRoute, findAffectedRoutes } from "./import-graph";
+import { buildTestAnnotations } from "./check-annotations";
+import { FailOnMode, markFlakyTests } from "./gating";
+import { PreviewUrlPatterns } from "./preview-urls";
+import { waitForReady } from "./readiness-probe";
+import DevServer, { DevServerConfig } from "./dev-server";
+import { CommentStyle } from "./config";
+import { filterPaths } from "./glob";
+import { PathRule, evaluatePathRules } from "./path-rules";
+import { FORCE_LABEL, SKIP_LABEL, labelOverride } from "./pr-controls";
+import { ModelSelection, ProviderConfig, createProvider } from "./llm-provider";
+import RetryPolicy from "./retry-policy";
+import { redactor } from "./redactor";
+import {
+  InjectionDecision,
+  InjectionFinding,
+  InjectionGuardMode,
+  PromptInjectionError,
+  detectInjection,
+  resolveGuardMode,
+  sitemapSource,
+  untrustedSources,
+} from "./prompt-injection";
+import { TestPlan, formatTestPlan } from "./test-plan";
+import {
+  ArtifactOptions,
+  DEFAULT_ARTIFACT_OPTIONS,
+  UploadedArtifacts,
+  artifactName,
+  uploadArtifacts,
+} from "./artifacts";
+import {
+  DEFAULT_SAFETY_POLICY,
+  PolicyViolation,
+  PolicyViolationError,
+  SafetyPolicy,
+  checkTestCode,
+} from "./safety-policy";
 
 interface Config {
   claudeApiKey: string;
@@ -13,12 +51,49 @@ interface Config {
   owner: string;
   repo: string;
   prNumber: number;
+  // Test execution timeout, in milliseconds
   timeout?: number;
   testExamples?: string;
+  // Where the generated test file is written, relative to the repository root
+  outputDir?: string;
   commentOnPR?: boolean;
+  commentStyle?: CommentStyle;
   waitForPreview?: number;
   baseUrl?: string;
   enableCaching?: boolean;
+  cacheDir?: string;
+  // Config file the run read, named in comments
+  configFile?: string;
+  failOn?: FailOnMode;
+  previewUrlPatterns?: PreviewUrlPatterns;
+  // Seconds to wait for the preview to respond; 0 disables the probe
+  previewReadyTimeout?: number;
+  previewReadyText?: string;
+  // Start the app in the runner instead of testing a preview deployment
+  devServer?: DevServerConfig;
+  // Globs limiting which changed files are considered
+  includePaths?: string[];
+  excludePaths?: string[];
+  // Evaluated before any Claude call to force, skip or scope UI tests
+  pathRules?: PathRule[];
+  maxTests?: number;
+  // Rounds of sending invalid generated code back to the model to fix
+  codeRepairRounds?: number;
+  // Checked before generated code runs
+  safetyPolicy?: Partial<SafetyPolicy>;
+  // How PR content that could carry prompt injection is handled
+  injectionGuard?: InjectionGuardMode;
+  // Screenshots, traces and video of the test runs, saved under outputDir
+  artifacts?: Partial<ArtifactOptions>;
+  // LLM used for analysis and code generation; defaults to Anthropic with claudeApiKey
+  llm?: ProviderConfig;
+  models?: Partial<ModelSelection>;
+  // Retry behaviour for Claude and GitHub API calls
+  retry?: { maxAttempts?: number; deadline?: number };
+  // Ignore cached test code, e.g. after `/ui-test regenerate`
+  regenerate?: boolean;
+  // Reviewer guidance from `/ui-test focus`, added to the analysis prompt
+  guidance?: string;
 }
 
 interface TestResults {
@@ -36,38 +111,87 @@ interface TestResults {
 }
 
 class PRTestGenerator {
-  private config: Config;
   private claudeService: ClaudeService;
   private githubService: GitHubService;
   private testExecutor: TestExecutor;
   private testReporter: TestReporter;
-  private testExamples?: string;
+  private prNumber: number;
+  private outputDir?: string;
   private commentOnPR: boolean;
   private waitForPreview: number;
   private baseUrl?: string;
   private enableCaching: boolean;
-  private testPlan?: string;
+  private failOn?: FailOnMode;
+  private previewReadyTimeout: number;
+  private previewReadyText?: string;
+  private devServer?: DevServer;
+  private includePaths: string[];
+  private excludePaths: string[];
+  private pathRules: PathRule[];
+  private regenerate: boolean;
+  private guidance?: string;
+  private testPlan?: TestPlan;
   private usedCache?: boolean;
+  private safetyPolicy: SafetyPolicy;
+  // Violations let through in `warn` mode, for the report
+  private policyViolations: PolicyViolation[] = [];
+  private injectionGuard: InjectionGuardMode;
+  private injectionDecision?: InjectionDecision;
+  private scannedSitemap?: unknown;
+  private artifacts: ArtifactOptions;
 
   constructor(config: Config) {
-    this.config = config;
-    this.claudeService = new ClaudeService(config.claudeApiKey);
+    const retryPolicy = new RetryPolicy(config.retry);
+    this.claudeService = new ClaudeService(config.claudeApiKey, {
+      retryPolicy,
+      testExamples: config.testExamples,
+      maxTests: config.maxTests,
+      repairRounds: config.codeRepairRounds,
+      provider: createProvider(
+        config.llm || { provider: "anthropic", apiKey: config.claudeApiKey }
+      ),
+      models: config.models,
+    });
     this.githubService = new GitHubService({
       githubToken: config.githubToken,
       owner: config.owner,
       repo: config.repo,
       prNumber: config.prNumber,
+      promptVersion: this.claudeService.promptVersion(),
+      cacheDir: config.cacheDir,
+      previewUrlPatterns: config.previewUrlPatterns,
+      commentStyle: config.commentStyle,
+      configFile: config.configFile,
+      retryPolicy,
     });
+    this.safetyPolicy = { ...DEFAULT_SAFETY_POLICY, ...config.safetyPolicy };
+    this.artifacts = { ...DEFAULT_ARTIFACT_OPTIONS, ...config.artifacts };
     this.testExecutor = new TestExecutor({
       timeout: config.timeout || 120000,
       claudeApiKey: config.claudeApiKey,
+      allowHosts: this.safetyPolicy.allowHosts,
+      allowEnv: this.safetyPolicy.allowEnv,
+      capture: this.captureOptions(),
     });
     this.testReporter = new TestReporter();
-    this.testExamples = config.testExamples;
+    this.prNumber = config.prNumber;
+    this.outputDir = config.outputDir;
     this.commentOnPR = config.commentOnPR !== false;
     this.waitForPreview = config.waitForPreview || 60;
     this.baseUrl = config.baseUrl;
     this.enableCaching = config.enableCaching !== false;
+    this.failOn = config.failOn;
+    this.previewReadyTimeout = config.previewReadyTimeout ?? 120;
+    this.previewReadyText = config.previewReadyText;
+    if (config.devServer) {
+      this.devServer = new DevServer(config.devServer);
+    }
+    this.includePaths = config.includePaths || [];
+    this.excludePaths = config.excludePaths || [];
+    this.pathRules = config.pathRules || [];
+    this.regenerate = config.regenerate || false;
+    this.guidance = config.guidance;
+    this.injectionGuard = config.injectionGuard || "auto";
   }
 
   async run(): Promise<TestResults> {
@@ -76,18 +200,91 @@ class PRTestGenerator {
     try {
       core.info("📋 Fetching PR context...");
       const prContext = await this.githubService.getPRContext();
+      if (this.includePaths.length > 0 || this.excludePaths.length > 0) {
+        const files = filterPaths(prContext.files, this.includePaths, this.excludePaths);
+        core.info(`🗂️ ${files.length} of ${prContext.files.length} changed files match the path filters`);
+        prContext.files = files;
+      }
+      prContext.affectedRoutes = this.findAffectedRoutes(prContext.files);
+      prContext.guidance = this.guidance;
+      await this.githubService.startCheckRun();
 
-      // Check if UI testing is needed
-      const requiresUITesting = await this.claudeService.requiresUITesting(
-        prContext
+      if (prContext.files.length === 0) {
+        core.info("🗂️ No changed files match the path filters - skipping UI tests");
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+        await this.githubService.completeCheckRun(
+          "skipped",
+          "No matching paths",
+          "None of the changed files match the configured path filters, so UI tests were skipped."
+        );
+        if (this.commentOnPR) {
+          await this.githubService.commentPathsExcluded(this.includePaths, this.excludePaths);
+        }
+
+        return {
+          success: true,
+          testFilePath: null,
+          results: {
+            success: true,
+            skipped: true,
+            reason: "No changed files match the path filters",
+          },
+          duration,
+        };
+      }
+
+      // Labels, then path rules, take precedence over the Claude analysis
+      const ruleDecision = evaluatePathRules(
+        prContext.files.map((file) => file.filename),
+        this.pathRules
       );
+      const label = labelOverride(prContext.pr.labels);
+      if (label) {
+        ruleDecision.outcome = label === "skip" ? "skip" : "test";
+        ruleDecision.reason = `the PR has the \`${label === "skip" ? SKIP_LABEL : FORCE_LABEL}\` label`;
+      }
+      if (ruleDecision.routes.length > 0) {
+        prContext.scopedRoutes = ruleDecision.routes;
+      }
+      if (ruleDecision.outcome !== "skip") {
+        this.injectionDecision = this.checkPromptInjection(prContext);
+      }
+
+      // Check if UI testing is needed
+      let requiresUITesting: boolean;
+      if (ruleDecision.outcome !== "undecided") {
+        core.info(`📐 Path rules decided to ${ruleDecision.outcome} UI tests: ${ruleDecision.reason}`);
+        requiresUITesting = ruleDecision.outcome === "test";
+      } else {
+        requiresUITesting = await this.claudeService.requiresUITesting({
+          ...prContext,
+          files: prContext.files.filter((file) =>
+            ruleDecision.remainingFiles.includes(file.filename)
+          ),
+        });
+      }
 
       if (!requiresUITesting) {
-        core.info("🚀 No UI changes detected - skipping UI tests");
+        const reason = label
+          ? `Skipped by the ${SKIP_LABEL} label`
+          : ruleDecision.reason
+          ? "Skipped by path rules"
+          : "No UI changes detected";
+        core.info(`🚀 ${reason} - skipping UI tests`);
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
+        await this.githubService.completeCheckRun(
+          "skipped",
+          reason,
+          label
+            ? `UI tests were skipped because ${ruleDecision.reason}. Remove the label to run them again.`
+            : ruleDecision.reason
+            ? `Every changed file matches a \`never-test\` path rule, so UI tests were skipped.\n\n${ruleDecision.reason}`
+            : "This PR appears to contain no UI changes, so UI tests were skipped."
+        );
         if (this.commentOnPR) {
-          await this.githubService.commentSkippedTests();
+          await this.githubService.commentSkippedTests(ruleDecision.reason, label ? "label" : "path-rules");
         }
 
         return {
@@ -96,7 +293,7 @@ class PRTestGenerator {
           results: {
             success: true,
             skipped: true,
-            reason: "No UI changes detected",
+            reason,
           },
           duration,
         };
@@ -125,8 +322,13 @@ class PRTestGenerator {
         sitemap = null;
       }
 
-      // Check if changes are relevant to sitemap (only if sitemap exists)
       if (sitemap) {
+        this.checkSitemapInjection(prContext, sitemap);
+      }
+
+      // Check if changes are relevant to sitemap (only if sitemap exists and
+      // no path rule already requires tests)
+      if (sitemap && ruleDecision.outcome !== "test") {
         const isRelevant = await this.claudeService.changesRelevantToSitemap(
           prContext,
           sitemap
@@ -136,6 +338,11 @@ class PRTestGenerator {
           core.info("🗺️ Changes are outside sitemap scope - skipping UI tests");
           const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
+          await this.githubService.completeCheckRun(
+            "skipped",
+            "Changes are outside sitemap scope",
+            "The UI changes in this PR are in areas not covered by `sitemap.json`, so UI tests were skipped."
+          );
           if (this.commentOnPR) {
             await this.githubService.commentSitemapIrrelevant();
           }
@@ -156,6 +363,7 @@ class PRTestGenerator {
       // Wait for preview URLs if needed
       if (
         !this.baseUrl &&
+        !this.devServer &&
         prContext.previewUrls.length === 0 &&
         this.waitForPreview > 0
       ) {
@@ -176,68 +384,366 @@ class PRTestGenerator {
         core.info(`🔗 Using provided base URL: ${this.baseUrl}`);
       }
 
+      if (this.devServer && !this.baseUrl) {
+        prContext.previewUrls = [await this.devServer.start()];
+      } else if (prContext.previewUrls.length > 0) {
+        await this.waitForPreviewReady(prContext.previewUrls[0]);
+      }
+
       core.info("🤖 Generating tests with Claude...");
       const testCode = await this.generateTests(prContext, sitemap);
 
+      if (testCode === null) {
+        core.info("📋 The test plan is empty - skipping UI tests");
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+        await this.githubService.completeCheckRun(
+          "skipped",
+          "No tests planned",
+          "The analysis found nothing in this PR worth a UI test, so UI tests were skipped."
+        );
+        if (this.commentOnPR) {
+          await this.githubService.commentSkippedTests();
+        }
+
+        return {
+          success: true,
+          testFilePath: null,
+          results: {
+            success: true,
+            skipped: true,
+            reason: "No tests planned",
+          },
+          duration,
+        };
+      }
+
       core.info("Generated test code: ");
-      core.info(testCode);
+      core.info(redactor.redact(testCode));
+      const testFilePath = this.writeTestFile(testCode);
 
       core.info("🧪 Generating test report...");
+      const artifactDir = this.prepareArtifactDir();
       let testReport: any;
       try {
         testReport = await this.testExecutor.executeTestsAndGenerateReport(
           testCode,
-          this.testPlan
+          this.testPlan,
+          { previewUrls: prContext.previewUrls, artifactDir }
         );
       } catch (e) {
         throw new Error(`Error generating test report ${e}`);
       }
-      this.testReporter.printTestReport(testReport);
+      if (this.failOn === "flaky-excluded") {
+        testReport = await this.retryFailedTests(
+          testCode,
+          testReport,
+          prContext.previewUrls,
+          artifactDir && path.join(artifactDir, "retry")
+        );
+      }
+      this.testReporter.printTestReport(testReport, this.testPlan);
 
       if (testReport.executionSkipped) {
         core.info(
           "✅ Test generation complete (execution skipped - dependencies not available)"
         );
-      } else {
+      } else if (testReport.success) {
         core.info("✅ Test generation and execution complete");
+      } else {
+        core.warning("❌ Generated tests failed - see the test report for details");
       }
 
+      const artifacts = artifactDir ? await this.uploadArtifacts(artifactDir) : undefined;
+      const reportDetails = {
+        usedCache: this.usedCache || false,
+        ruleReason: ruleDecision.reason,
+        contextNote: this.claudeService.analysisCoverage(prContext) ?? undefined,
+        testPlan: this.testPlan,
+        policyViolations: this.policyViolations,
+        injection: this.injectionDecision,
+        artifacts,
+      };
+      await this.githubService.completeTestCheckRun(
+        testReport,
+        buildTestAnnotations(testReport.testResults || [], this.testPlan, prContext.files),
+        reportDetails
+      );
+
       if (this.commentOnPR) {
         core.info("💬 Commenting on PR...");
-        await this.githubService.commentGenerated(testReport, this.usedCache || false);
+        await this.githubService.commentGenerated(testReport, reportDetails);
       }
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       core.info(`✅ Completed in ${duration}s`);
 
       return {
-        success: true,
+        success: testReport.success,
+        testFilePath,
         testCode,
         testReport,
         results: {
-          success: true,
+          success: testReport.success,
           message: testReport.executionSkipped
             ? "Test code generated successfully (execution skipped)"
-            : "Test code generated and executed successfully",
+            : testReport.success
+            ? "Test code generated and executed successfully"
+            : "Generated tests failed",
         },
         duration,
       };
     } catch (error) {
       core.error(`❌ Error in pr-test-generator: ${(error as Error).message}`);
 
+      await this.githubService.completeCheckRun(
+        "error",
+        "Test generation failed",
+        `An error occurred while generating tests:\n\n\`\`\`\n${(error as Error).message}\n\`\`\``
+      );
+
       if (this.commentOnPR) {
         await this.githubService.commentError(error as Error);
       }
 
       throw error;
+    } finally {
+      await this.devServer?.stop();
     }
   }
 
-  async generateTests(prContext: any, providedSitemap: any = null): Promise<string> {
+  /**
+   * Scans the PR content that reaches the prompts for injected instructions.
+   * Findings are reported; in strict mode they stop the run, and generated
+   * code that breaks the safety policy is always blocked.
+   */
+  private checkPromptInjection(prContext: PRContext): InjectionDecision {
+    const { mode, reason } = resolveGuardMode(this.injectionGuard, prContext.pr);
+    const decision: InjectionDecision = { mode, reason, findings: [], blocked: false };
+
+    core.info(`🧱 Prompt injection guard: ${mode}, because ${reason}`);
+    this.recordInjectionFindings(decision, detectInjection(untrustedSources(prContext)));
+    if (mode === "strict" && this.safetyPolicy.mode !== "block") {
+      core.info("🛡️ Strict mode: safety policy violations will block the run");
+      this.safetyPolicy = { ...this.safetyPolicy, mode: "block" };
+    }
+    return decision;
+  }
+
+  /**
+   * Scans the sitemap once it is known: page titles, link text and form
+   * labels come from the PR's sitemap.json or from crawling its preview.
+   */
+  private checkSitemapInjection(prContext: PRContext, sitemap: unknown): void {
+    if (!sitemap || sitemap === this.scannedSitemap) {
+      return;
+    }
+    this.scannedSitemap = sitemap;
+    const decision = this.injectionDecision ?? (this.injectionDecision = this.checkPromptInjection(prContext));
+    this.recordInjectionFindings(decision, detectInjection([sitemapSource(sitemap)]));
+  }
+
+  private recordInjectionFindings(decision: InjectionDecision, findings: InjectionFinding[]): void {
+    decision.findings.push(...findings);
+    for (const finding of findings) {
+      core.warning(`🧱 Suspicious text in ${finding.source}, line ${finding.line}: ${finding.reason}`);
+    }
+    if (decision.mode === "strict" && findings.length > 0) {
+      decision.blocked = true;
+      throw new PromptInjectionError(decision);
+    }
+  }
+
+  /**
+   * Saves the generated tests to the output directory so later steps can
+   * upload or commit them. Credentials are replaced with placeholders and
+   * other secrets redacted first.
+   * Returns null when the file cannot be written.
+   */
+  writeTestFile(testCode: string): string | null {
+    if (!this.outputDir) {
+      return null;
+    }
+
+    const filePath = path.join(this.outputDir, `pr-${this.prNumber}-tests.js`);
+    try {
+      fs.mkdirSync(path.resolve(process.cwd(), this.outputDir), { recursive: true });
+      fs.writeFileSync(
+        path.resolve(process.cwd(), filePath),
+        redactor.redact(this.githubService.sanitizeSensitiveCredentials(testCode))
+      );
+      core.info(`📝 Wrote generated tests to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      core.warning(`Failed to write generated tests: ${(error as Error).message}`);
+      return null;
+    }
+  }
+
+  /**
+   * What test runs record besides screenshots. Traces log every key the
+   * browser types, so none is recorded when the tests log in.
+   */
+  private captureOptions(): { video: boolean; trace: boolean } {
+    const trace = this.artifacts.trace && !process.env.TEST_USER_PASSWORD;
+    if (this.artifacts.enabled && this.artifacts.trace && !trace) {
+      core.info("🎞️ Not recording a Playwright trace: it would contain the test user's password");
+    }
+    return { video: this.artifacts.video, trace };
+  }
+
+  /**
+   * Empties the directory this PR's screenshots, traces and videos are saved
+   * to. Returns undefined when artifacts are disabled or the directory
+   * cannot be created.
+   */
+  private prepareArtifactDir(): string | undefined {
+    if (!this.artifacts.enabled || !this.outputDir) {
+      return undefined;
+    }
+
+    const dir = path.resolve(process.cwd(), this.outputDir, `pr-${this.prNumber}-artifacts`);
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+      return dir;
+    } catch (error) {
+      core.warning(`Failed to create the artifact directory: ${(error as Error).message}`);
+      return undefined;
+    }
+  }
+
+  private async uploadArtifacts(dir: string): Promise<UploadedArtifacts | undefined> {
+    const uploaded = await uploadArtifacts(dir, {
+      name: artifactName(this.prNumber),
+      retentionDays: this.artifacts.retentionDays,
+      maxSizeMb: this.artifacts.maxSizeMb,
+    });
+    return uploaded || undefined;
+  }
+
+  /**
+   * Blocks until the preview answers with a healthy status (and the expected
+   * text, if configured). Throws when it never becomes ready, since tests
+   * against a preview that is still building can only fail.
+   */
+  async waitForPreviewReady(url: string): Promise<void> {
+    if (this.previewReadyTimeout <= 0) {
+      return;
+    }
+
+    core.info(`🩺 Waiting up to ${this.previewReadyTimeout}s for ${url} to become ready...`);
+    const result = await waitForReady(url, {
+      timeout: this.previewReadyTimeout * 1000,
+      expectedText: this.previewReadyText,
+    });
+
+    if (!result.ready) {
+      throw new Error(
+        `Preview ${url} did not become ready within ${this.previewReadyTimeout}s (${result.reason})`
+      );
+    }
+    core.info(`✅ Preview is ready (HTTP ${result.status}, ${result.attempts} attempt(s))`);
+  }
+
+  /**
+   * Re-runs the failed tests once so tests that pass on the retry can be
+   * reported as flaky rather than failed.
+   */
+  async retryFailedTests(
+    testCode: string,
+    testReport: any,
+    previewUrls: string[] = [],
+    artifactDir?: string
+  ): Promise<any> {
+    const failed = (testReport.testResults || [])
+      .filter((test: any) => test.status === "failed")
+      .map((test: any) => test.name);
+    if (failed.length === 0 || testReport.timedOut) {
+      return testReport;
+    }
+
+    core.info(`🔁 Re-running ${failed.length} failed test(s) to detect flaky tests...`);
+    try {
+      const rerun = await this.testExecutor.executeTestsAndGenerateReport(
+        testCode,
+        null,
+        { onlyTests: failed, previewUrls, artifactDir }
+      );
+      const merged = markFlakyTests(testReport, rerun);
+      const flaky = merged.testResults.filter((test: any) => test.flaky);
+      if (flaky.length > 0) {
+        core.warning(
+          `⚠️ Flaky tests (failed, then passed on retry): ${flaky
+            .map((test: any) => test.name)
+            .join(", ")}`
+        );
+      }
+      return merged;
+    } catch (error) {
+      core.warning(`Failed to re-run failed tests: ${(error as Error).message}`);
+      return testReport;
+    }
+  }
+
+  /**
+   * Maps the PR's changed files onto the routes that render them using the
+   * checked-out repository's import graph. Returns an empty list when the
+   * repository is not checked out or cannot be analysed.
+   */
+  findAffectedRoutes(files: Array<{ filename: string }>): AffectedRoute[] {
+    try {
+      const rootDir = process.cwd();
+      const affectedRoutes = findAffectedRoutes(
+        rootDir,
+        files.map((file) => file.filename)
+      );
+      if (affectedRoutes.length > 0) {
+        core.info(
+          `🧭 Affected routes: ${affectedRoutes.map((route) => route.path).join(", ")}`
+        );
+      } else {
+        core.info("🧭 No routes found that import the changed files");
+      }
+      return affectedRoutes;
+    } catch (error) {
+      core.warning(`Failed to analyse the import graph: ${(error as Error).message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Checks generated code against the safety policy before it can run.
+   * Throws PolicyViolationError in `block` mode; in `warn` mode the
+   * violations are logged and kept for the report.
+   */
+  private enforceSafetyPolicy(testCode: string, previewUrls: string[]): void {
+    const violations = checkTestCode(testCode, this.safetyPolicy, previewUrls);
+    if (violations.length === 0) {
+      core.info("🛡️ Generated test code passed the safety policy");
+      return;
+    }
+
+    for (const violation of violations) {
+      core.warning(`🛡️ Safety policy: line ${violation.line}: ${violation.message}`);
+    }
+    if (this.safetyPolicy.mode === "block") {
+      throw new PolicyViolationError(violations);
+    }
+    this.policyViolations = violations;
+  }
+
+  /**
+   * Plans tests for the PR and turns the plan into test code, reusing cached
+   * code when the PR has not changed. Returns null when the plan is empty.
+   */
+  async generateTests(prContext: PRContext, providedSitemap: any = null): Promise<string | null> {
     let currentChangesHash: string | null = null;
     
     // Only use caching if enabled
-    if (this.enableCaching) {
+    if (this.enableCaching && this.regenerate) {
+      core.info("🔁 Regenerating tests - ignoring cached test code");
+    } else if (this.enableCaching) {
       // Calculate hash of current PR changes
       currentChangesHash = this.githubService.calculateChangesHash(prContext);
       core.info(`🔐 Current PR changes hash: ${currentChangesHash}`);
@@ -251,6 +757,7 @@ class PRTestGenerator {
         this.usedCache = true; // Track that we used cached test code
         // Restore sensitive credentials that were replaced with placeholders
         const restoredTestCode = this.githubService.restoreSensitiveCredentials(cachedData.testCode);
+        this.enforceSafetyPolicy(restoredTestCode, prContext.previewUrls);
         return restoredTestCode;
       } else if (cachedData) {
         core.info("🔄 Cached test code found but PR changes have been modified");
@@ -267,10 +774,15 @@ class PRTestGenerator {
     core.info(
       "🔍 generateTests Step 1: Analyzing PR changes and creating test plan..."
     );
-    this.testPlan = await this.claudeService.analyzeAndPlan(prContext);
+    const testPlan = await this.claudeService.analyzeAndPlan(prContext);
+    this.testPlan = testPlan;
 
-    core.info("📋 Generated test plan:");
-    core.info(this.testPlan);
+    if (testPlan.tests.length === 0) {
+      return null;
+    }
+
+    core.info(`📋 Generated test plan (${testPlan.tests.length} tests):`);
+    core.info(formatTestPlan(testPlan));
 
     // Step 2: Analyze test plan and determine URL paths/navigation
     core.info(
@@ -296,24 +808,29 @@ class PRTestGenerator {
         } catch (error) {
           core.warning(`⚠️  Error reading sitemap.json: ${(error as Error).message}`);
           core.info("🔍 Falling back to route discovery...");
-          sitemap = await discoverRoutes(prContext.previewUrls[0]);
+          sitemap = await discoverRoutes(prContext.previewUrls[0], {
+            rootDir: process.cwd(),
+          });
         }
       } else {
         core.info(
           "🔍 No sitemap.json found, discovering routes dynamically..."
         );
-        sitemap = await discoverRoutes(prContext.previewUrls[0]);
+        sitemap = await discoverRoutes(prContext.previewUrls[0], {
+          rootDir: process.cwd(),
+        });
       }
     }
 
     core.info("🗺️ Using found sitemap");
+    this.checkSitemapInjection(prContext, sitemap);
 
     // Step 3: Generate QA instructions using sitemap
     core.info(
       "📋 generateTests Step 3: Generating QA navigation instructions..."
     );
     const qaInstructions = await this.claudeService.generateQAInstructions(
-      this.testPlan,
+      testPlan,
       prContext,
       sitemap
     );
@@ -321,16 +838,19 @@ class PRTestGenerator {
     core.info("📋 Generated QA instructions:");
     core.info(qaInstructions);
 
-    // Step 4: Convert test plan to code with navigation paths
+    // Step 4: Convert test plan to code, navigating as the QA instructions describe
     core.info(
       "💻 generateTests Step 4: Converting test plan to executable code..."
     );
     const testCode = await this.claudeService.generateTestCode(
-      this.testPlan,
+      testPlan,
       prContext,
-      sitemap
+      qaInstructions
     );
 
+    // Never cache code the policy refuses to run
+    this.enforceSafetyPolicy(testCode, prContext.previewUrls);
+
     // Cache the generated test code if caching is enabled
     if (this.enableCaching) {
       if (!currentChangesHash) {
@@ -340,7 +860,7 @@ class PRTestGenerator {
       await this.githubService.cacheTestCode(
         testCode,
         currentChangesHash,
-        this.testPlan
+        testPlan
       );
     }
 
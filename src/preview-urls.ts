@@ -0,0 +1,98 @@
+// Preview hosts recognised in PR comments without any configuration
+export const DEFAULT_PREVIEW_URL_PATTERNS = [
+  "https://[a-zA-Z0-9-]+\\.vercel\\.app",
+  "https://[a-zA-Z0-9-]+\\.netlify\\.app",
+  "https://[a-zA-Z0-9-]+\\.railway\\.app",
+  // Cloudflare Pages: <hash>.<project>.pages.dev or <branch>.<project>.pages.dev
+  "https://(?:[a-zA-Z0-9-]+\\.)?[a-zA-Z0-9-]+\\.pages\\.dev",
+  "https://[a-zA-Z0-9-]+\\.onrender\\.com",
+  "https://[a-zA-Z0-9-]+\\.fly\\.dev",
+  "https://preview-[a-zA-Z0-9-]+\\.[a-zA-Z0-9.-]+",
+];
+
+const TEMPLATE_VARIABLE = /\{(number|branch|sha)\}/;
+
+export interface PreviewUrlPatterns {
+  // Regexes matched against PR comments
+  patterns: RegExp[];
+  // URLs built from PR details, e.g. "https://pr-{number}.example.com"
+  templates: string[];
+}
+
+export interface TemplateVariables {
+  number: number;
+  branch?: string;
+  sha?: string;
+}
+
+/**
+ * Parses the `preview-url-patterns` input: one entry per line, either a
+ * regular expression or a URL template using {number}, {branch} or {sha}.
+ * The built-in patterns are always included.
+ */
+export function parsePreviewUrlPatterns(input?: string): PreviewUrlPatterns {
+  const patterns = DEFAULT_PREVIEW_URL_PATTERNS.map((source) => new RegExp(source, "g"));
+  const templates: string[] = [];
+
+  for (const line of (input || "").split("\n")) {
+    const entry = line.trim();
+    if (!entry || entry.startsWith("#")) {
+      continue;
+    }
+
+    if (TEMPLATE_VARIABLE.test(entry)) {
+      templates.push(entry);
+      continue;
+    }
+
+    try {
+      patterns.push(new RegExp(entry, "g"));
+    } catch (error) {
+      throw new Error(`Invalid preview URL pattern "${entry}": ${(error as Error).message}`);
+    }
+  }
+
+  return { patterns, templates };
+}
+
+/**
+ * Fills in a URL template. Branch names are slugified the way preview hosts
+ * usually do ("feature/login" → "feature-login"). Returns null when the
+ * template needs a value that is not known.
+ */
+export function expandUrlTemplate(template: string, variables: TemplateVariables): string | null {
+  let missing = false;
+
+  const url = template.replace(/\{(number|branch|sha)\}/g, (_match, name: string) => {
+    switch (name) {
+      case "number":
+        return String(variables.number);
+      case "branch":
+        if (!variables.branch) {
+          missing = true;
+          return "";
+        }
+        return variables.branch.toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^-+|-+$/g, "");
+      default:
+        if (!variables.sha) {
+          missing = true;
+          return "";
+        }
+        return variables.sha;
+    }
+  });
+
+  return missing ? null : url;
+}
+
+export function matchPreviewUrls(text: string, patterns: RegExp[]): string[] {
+  const urls: string[] = [];
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    const matches = text.match(pattern);
+    if (matches) {
+      urls.push(...matches);
+    }
+  }
+  return urls;
+}
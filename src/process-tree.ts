@@ -0,0 +1,18 @@
+import * as core from "@actions/core";
+
+/**
+ * Signals a process and everything it spawned. Processes started with
+ * `detached: true` lead their own process group, which a negative pid
+ * addresses as a whole.
+ */
+export function killProcessTree(pid: number | undefined, signal: NodeJS.Signals): void {
+  if (!pid) {
+    return;
+  }
+
+  try {
+    process.kill(process.platform === "win32" ? pid : -pid, signal);
+  } catch (error) {
+    core.debug(`Failed to send ${signal} to process ${pid}: ${(error as Error).message}`);
+  }
+}
@@ -0,0 +1,86 @@
+import * as core from "@actions/core";
+
+export interface ReadinessOptions {
+  // Total time to wait, in milliseconds
+  timeout: number;
+  // Delay between attempts, in milliseconds
+  interval?: number;
+  // Per-request timeout, in milliseconds
+  requestTimeout?: number;
+  // Text the page must contain before it counts as ready
+  expectedText?: string;
+}
+
+export interface ReadinessResult {
+  ready: boolean;
+  attempts: number;
+  status?: number;
+  // Why the last attempt was not ready
+  reason?: string;
+}
+
+async function probeOnce(
+  url: string,
+  requestTimeout: number,
+  expectedText?: string
+): Promise<{ ready: boolean; status?: number; reason?: string }> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), requestTimeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: { "User-Agent": "pr-test-generator", Accept: "text/html,*/*;q=0.8" },
+      redirect: "follow",
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      return { ready: false, status: response.status, reason: `HTTP ${response.status}` };
+    }
+
+    if (expectedText) {
+      const body = await response.text();
+      if (!body.includes(expectedText)) {
+        return {
+          ready: false,
+          status: response.status,
+          reason: `page does not contain "${expectedText}"`,
+        };
+      }
+    }
+
+    return { ready: true, status: response.status };
+  } catch (error) {
+    return { ready: false, reason: (error as Error).message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Polls `url` until it answers with a 2xx status (after redirects) and, when
+ * `expectedText` is set, a body containing that text. Preview builds often
+ * publish their URL before the app is serving, so this runs before tests.
+ */
+export async function waitForReady(url: string, options: ReadinessOptions): Promise<ReadinessResult> {
+  const interval = options.interval ?? 5000;
+  const requestTimeout = options.requestTimeout ?? 10000;
+  const deadline = Date.now() + options.timeout;
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    const result = await probeOnce(url, requestTimeout, options.expectedText);
+    if (result.ready) {
+      return { ready: true, attempts, status: result.status };
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return { ready: false, attempts, status: result.status, reason: result.reason };
+    }
+
+    core.info(`⏳ ${url} is not ready yet (${result.reason}) - retrying...`);
+    await new Promise((resolve) => setTimeout(resolve, Math.min(interval, remaining)));
+  }
+}
@@ -0,0 +1,85 @@
+import * as core from "@actions/core";
+
+// Shorter values are masked in the logs but not replaced in text, where
+// they would mangle unrelated words
+const MIN_SECRET_LENGTH = 6;
+
+// Values that look like credentials whoever they belong to
+const SECRET_PATTERNS: RegExp[] = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{22,}\b/g,
+  /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g,
+  /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+];
+
+// Authorization header values; the scheme is kept
+const AUTH_HEADER_PATTERN = /\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/=-]{16,}/g;
+
+export const REDACTED = "[REDACTED]";
+
+/**
+ * Keeps secrets out of everything the action publishes. Registered secrets
+ * are masked in the workflow log through `core.setSecret` and replaced by
+ * `[REDACTED:NAME]` in text passed to `redact`, which also replaces values
+ * that look like tokens or keys.
+ */
+class Redactor {
+  private secrets = new Map<string, string>();
+
+  register(name: string, value: string | undefined): void {
+    if (!value) {
+      return;
+    }
+    core.setSecret(value);
+    if (value.length < MIN_SECRET_LENGTH) {
+      return;
+    }
+    this.secrets.set(value, name);
+    // The same value as it appears inside JSON strings
+    const escaped = JSON.stringify(value).slice(1, -1);
+    if (escaped !== value) {
+      this.secrets.set(escaped, name);
+    }
+  }
+
+  /**
+   * Registers the values of environment variables under their names.
+   */
+  registerEnv(names: string[], env: NodeJS.ProcessEnv = process.env): void {
+    for (const name of names) {
+      this.register(name, env[name]);
+    }
+  }
+
+  redact(text: string): string {
+    // Longest first, so a secret containing another is replaced whole
+    const known = [...this.secrets.entries()].sort(([a], [b]) => b.length - a.length);
+    let redacted = text;
+    for (const [value, name] of known) {
+      redacted = redacted.split(value).join(`[REDACTED:${name}]`);
+    }
+    for (const pattern of SECRET_PATTERNS) {
+      redacted = redacted.replace(pattern, REDACTED);
+    }
+    return redacted.replace(AUTH_HEADER_PATTERN, `$1 ${REDACTED}`);
+  }
+
+  /**
+   * Redacts every string in a JSON-serialisable value.
+   */
+  redactValue<T>(value: T): T {
+    if (value === undefined) {
+      return value;
+    }
+    return JSON.parse(this.redact(JSON.stringify(value))) as T;
+  }
+}
+
+// Shared by the services; index.ts registers the action's secrets on it
+export const redactor = new Redactor();
+
+export default Redactor;
@@ -0,0 +1,269 @@
+import * as core from "@actions/core";
+import { Octokit } from "@octokit/rest";
+
+export interface RetryPolicyOptions {
+  // Attempts per call, including the first
+  maxAttempts?: number;
+  // First backoff delay, doubled on each retry, in milliseconds
+  baseDelay?: number;
+  maxDelay?: number;
+  // Time budget for all calls made through the policy, in milliseconds
+  deadline?: number;
+  // Limit for a single attempt, in milliseconds
+  requestTimeout?: number;
+  // Injectable for tests
+  sleep?: (ms: number) => Promise<void>;
+  random?: () => number;
+}
+
+export interface RunOptions {
+  // False for calls with side effects, e.g. creating a comment: they are
+  // only repeated when the server refused them without acting on them
+  idempotent?: boolean;
+}
+
+export interface RetryRecord {
+  label: string;
+  attempts: number;
+  succeeded: boolean;
+  lastError?: string;
+}
+
+// Codes Node reports for dropped or refused connections and DNS hiccups
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+];
+
+export class RetryExhaustedError extends Error {
+  readonly status?: number;
+
+  constructor(
+    public readonly label: string,
+    public readonly attempts: number,
+    public readonly cause: Error,
+    reason: string
+  ) {
+    super(`${label} failed after ${attempts} attempt${attempts === 1 ? "" : "s"} (${reason}): ${cause.message}`);
+    this.name = "RetryExhaustedError";
+    this.status = (cause as { status?: number }).status;
+  }
+}
+
+export function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parses a `retry-after` header (seconds or an HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(value: string | null | undefined, now = Date.now()): number | null {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+interface ErrorLike {
+  name?: string;
+  code?: string;
+  status?: number;
+  cause?: { code?: string };
+  retryAfter?: string | null;
+  response?: { headers?: Record<string, string | number | undefined> };
+}
+
+function header(error: ErrorLike, name: string): string | undefined {
+  const value = error.response?.headers?.[name];
+  return value === undefined ? undefined : String(value);
+}
+
+/**
+ * Whether a failed call is worth repeating: rate limits, server errors,
+ * GitHub's secondary rate limits (403 with a retry hint) and network errors.
+ */
+export function isRetryableError(error: unknown): boolean {
+  const err = error as ErrorLike;
+  if (typeof err.status === "number") {
+    if (err.status === 403) {
+      return header(err, "retry-after") !== undefined || header(err, "x-ratelimit-remaining") === "0";
+    }
+    return isRetryableStatus(err.status);
+  }
+
+  const code = err.code || err.cause?.code;
+  return (
+    err.name === "AbortError" ||
+    err.name === "TimeoutError" ||
+    (code !== undefined && RETRYABLE_NETWORK_CODES.includes(code)) ||
+    (error instanceof TypeError && /fetch failed|network/i.test(error.message))
+  );
+}
+
+/**
+ * Whether the server turned a request away without acting on it, so even a
+ * call with side effects can be repeated: rate limits, and server errors
+ * that come with `retry-after`. A dropped connection or timeout gives no
+ * such guarantee.
+ */
+export function isRefusedRequest(error: unknown): boolean {
+  const err = error as ErrorLike;
+  if (err.status === 429 || err.status === 403) {
+    return isRetryableError(error);
+  }
+  const retryAfter = err.retryAfter ?? header(err, "retry-after");
+  return typeof err.status === "number" && err.status >= 500 && retryAfter !== undefined && retryAfter !== null;
+}
+
+/**
+ * How long the server asked us to wait, from `retry-after` or GitHub's
+ * `x-ratelimit-reset` when the primary rate limit is exhausted.
+ */
+export function retryAfterMs(error: unknown, now = Date.now()): number | null {
+  const err = error as ErrorLike;
+  const retryAfter = parseRetryAfter(err.retryAfter ?? header(err, "retry-after"), now);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const reset = header(err, "x-ratelimit-reset");
+  if (header(err, "x-ratelimit-remaining") === "0" && reset) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+  return null;
+}
+
+/**
+ * Retries transient API failures with exponential backoff and jitter,
+ * honouring `retry-after`, within a deadline shared by every call made
+ * through the policy. One policy is shared per run so the report can list
+ * which calls needed retries.
+ */
+class RetryPolicy {
+  private maxAttempts: number;
+  private baseDelay: number;
+  private maxDelay: number;
+  private deadlineAt: number;
+  private requestTimeout: number;
+  private sleep: (ms: number) => Promise<void>;
+  private random: () => number;
+  private records: RetryRecord[] = [];
+
+  constructor(options: RetryPolicyOptions = {}) {
+    this.maxAttempts = Math.max(1, options.maxAttempts ?? 4);
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 30000;
+    this.deadlineAt = Date.now() + (options.deadline ?? 10 * 60 * 1000);
+    this.requestTimeout = options.requestTimeout ?? 3 * 60 * 1000;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Runs `fn`, retrying retryable failures. Each attempt gets a signal that
+   * aborts it after the request timeout; the deadline only decides whether a
+   * failed call is tried again, so a late first attempt still runs. Non-retryable
+   * errors are thrown unchanged; when retries run out a RetryExhaustedError
+   * wraps the last one.
+   */
+  async run<T>(label: string, fn: (signal: AbortSignal) => Promise<T>, options: RunOptions = {}): Promise<T> {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await fn(AbortSignal.timeout(this.requestTimeout));
+        if (attempt > 1) {
+          core.info(`✅ ${label} succeeded on attempt ${attempt}`);
+          this.records.push({ label, attempts: attempt, succeeded: true });
+        }
+        return result;
+      } catch (error) {
+        const message = (error as Error).message;
+        if (options.idempotent === false ? !isRefusedRequest(error) : !isRetryableError(error)) {
+          if (attempt > 1) {
+            this.records.push({ label, attempts: attempt, succeeded: false, lastError: message });
+          }
+          throw error;
+        }
+
+        let reason: string | null = null;
+        const delay = this.delayFor(attempt, error);
+        if (attempt >= this.maxAttempts) {
+          reason = "no attempts left";
+        } else if (Date.now() + delay > this.deadlineAt) {
+          reason = "retry deadline reached";
+        }
+
+        if (reason) {
+          if (attempt === 1) {
+            throw error;
+          }
+          this.records.push({ label, attempts: attempt, succeeded: false, lastError: message });
+          throw new RetryExhaustedError(label, attempt, error as Error, reason);
+        }
+
+        core.warning(
+          `⏳ ${label} failed (${message}) - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${
+            attempt + 1
+          }/${this.maxAttempts})`
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Calls that needed more than one attempt, in the order they finished.
+   */
+  get retried(): RetryRecord[] {
+    return [...this.records];
+  }
+
+  /**
+   * One line for reports, or null when nothing was retried.
+   */
+  summary(): string | null {
+    if (this.records.length === 0) {
+      return null;
+    }
+    const calls = this.records.map(
+      (record) => `${record.label} (${record.attempts} attempts${record.succeeded ? "" : ", failed"})`
+    );
+    return `API calls retried: ${calls.join(", ")}`;
+  }
+
+  private delayFor(attempt: number, error: unknown): number {
+    const requested = retryAfterMs(error);
+    if (requested !== null) {
+      return requested;
+    }
+    // "Equal jitter": half the exponential delay, plus a random half
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return exponential / 2 + this.random() * (exponential / 2);
+  }
+}
+
+/**
+ * Routes every request made by `github` through `policy`. POSTs create
+ * things, so they are only repeated when GitHub refused them.
+ */
+export function retryOctokitRequests(github: Octokit, policy: RetryPolicy): Octokit {
+  github.hook.wrap("request", (request, options) =>
+    policy.run(
+      `GitHub ${options.method} ${options.url}`,
+      async (signal) => request({ ...options, request: { ...options.request, signal } }),
+      { idempotent: options.method !== "POST" }
+    )
+  );
+  return github;
+}
+
+export default RetryPolicy;
@@ -0,0 +1,502 @@
+import * as os from "os";
+import { AnyNode, Program, parse } from "acorn";
+import { calleeName, walkAst } from "./code-validation";
+import { matchesAnyGlob } from "./glob";
+import { ONLY_TESTS_ENV } from "./test-protocol";
+
+/**
+ * `block` refuses to run code that breaks the policy; `warn` runs it and
+ * lists the violations in the report.
+ */
+export type PolicyMode = "block" | "warn";
+
+export const POLICY_MODES: PolicyMode[] = ["block", "warn"];
+
+export type PolicyRule = "module" | "eval" | "process" | "env" | "fs-write" | "network" | "parse";
+
+export interface SafetyPolicy {
+  mode: PolicyMode;
+  // Added to the built-in allow-lists below
+  allowModules: string[];
+  // Host globs (e.g. "*.example.com") the tests, and the browser, may call
+  // besides the preview
+  allowHosts: string[];
+  // Runner variables the tests may read; they are passed on to the test process
+  allowEnv: string[];
+}
+
+export interface PolicyViolation {
+  rule: PolicyRule;
+  line: number;
+  message: string;
+}
+
+export const DEFAULT_SAFETY_POLICY: SafetyPolicy = {
+  mode: "block",
+  allowModules: [],
+  allowHosts: [],
+  allowEnv: [],
+};
+
+// The preamble's modules and side-effect-free built-ins
+const ALLOWED_MODULES = ["magnitude-core", "zod", "dotenv", "path", "os", "url", "util", "assert", "fs", "fs/promises"];
+
+// Variables the preamble, the harness and the example test read
+const ALLOWED_ENV = [
+  "PREVIEW_URL",
+  "LOCAL_DEV_TARGET_URL",
+  "ANTHROPIC_API_KEY",
+  "CLAUDE_API_KEY",
+  "TEST_USER_EMAIL",
+  "TEST_USER_PASSWORD",
+  ONLY_TESTS_ENV,
+];
+
+const TEMP_ENV = ["RUNNER_TEMP", "TMPDIR", "TEMP", "TMP"];
+
+const FS_WRITE_METHODS = new Set([
+  "writeFile",
+  "writeFileSync",
+  "appendFile",
+  "appendFileSync",
+  "createWriteStream",
+  "mkdir",
+  "mkdirSync",
+  "rm",
+  "rmSync",
+  "rmdir",
+  "rmdirSync",
+  "unlink",
+  "unlinkSync",
+  "rename",
+  "renameSync",
+  "copyFile",
+  "copyFileSync",
+  "cp",
+  "cpSync",
+  "symlink",
+  "symlinkSync",
+  "chmod",
+  "chmodSync",
+  "truncate",
+  "truncateSync",
+]);
+
+const PROCESS_INTERNALS = new Set(["binding", "_linkedBinding", "dlopen", "mainModule"]);
+
+// Globals that run a string as code, and the objects globals can be reached through
+const EVAL_GLOBALS = new Set(["eval", "Function"]);
+const GLOBAL_OBJECTS = new Set(["globalThis", "global", "window", "self"]);
+
+const NETWORK_CALLS = new Set(["fetch"]);
+const NETWORK_CONSTRUCTORS = new Set(["WebSocket", "EventSource", "XMLHttpRequest"]);
+
+/**
+ * The rule a global falls under when it is used as a value, e.g. aliased or
+ * passed around, which hides the calls the policy checks.
+ */
+function guardedRule(name: string): PolicyRule | null {
+  if (EVAL_GLOBALS.has(name)) {
+    return "eval";
+  }
+  if (NETWORK_CALLS.has(name) || NETWORK_CONSTRUCTORS.has(name)) {
+    return "network";
+  }
+  return name === "require" ? "module" : name === "process" ? "process" : null;
+}
+
+export class PolicyViolationError extends Error {
+  constructor(public readonly violations: PolicyViolation[]) {
+    super(
+      `Generated test code breaks the safety policy:\n${violations
+        .map((violation) => `- line ${violation.line}: ${violation.message}`)
+        .join("\n")}`
+    );
+    this.name = "PolicyViolationError";
+  }
+}
+
+function moduleName(name: string): string {
+  return name.replace(/^node:/, "");
+}
+
+function stringValue(node: AnyNode | null | undefined): string | null {
+  if (!node) {
+    return null;
+  }
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked ?? null;
+  }
+  return null;
+}
+
+/**
+ * `process.env.NAME` or `process.env["NAME"]` -> "NAME"
+ */
+function envName(node: AnyNode): string | null {
+  if (node.type !== "MemberExpression" || !isProcessEnv(node.object)) {
+    return null;
+  }
+  return node.computed ? stringValue(node.property) : node.property.type === "Identifier" ? node.property.name : null;
+}
+
+function isProcessEnv(node: AnyNode): boolean {
+  return node.type === "MemberExpression" && globalRef(node.object) === "process" && memberName(node) === "env";
+}
+
+/**
+ * `obj.name` or `obj["name"]` -> "name"
+ */
+function memberName(node: AnyNode): string | null {
+  if (node.type !== "MemberExpression") {
+    return null;
+  }
+  return node.computed ? stringValue(node.property) : node.property.type === "Identifier" ? node.property.name : null;
+}
+
+/**
+ * The global an expression refers to: `fetch`, `globalThis.fetch` and
+ * `window["fetch"]` -> "fetch"; `module.require` -> "require".
+ */
+function globalRef(node: AnyNode): string | null {
+  if (node.type === "Identifier") {
+    return node.name;
+  }
+  const name = memberName(node);
+  if (node.type !== "MemberExpression" || node.object.type !== "Identifier" || name === null) {
+    return null;
+  }
+  if (GLOBAL_OBJECTS.has(node.object.name)) {
+    return name;
+  }
+  return node.object.name === "module" && name === "require" ? name : null;
+}
+
+/**
+ * The function a call runs and the arguments it gets, seeing through
+ * `fn.call(thisArg, ...args)`. Arguments passed through `apply` cannot be
+ * checked, so they are left out.
+ */
+function callTarget(node: AnyNode & { type: "CallExpression" }): { callee: AnyNode; args: AnyNode[] } {
+  const args = node.arguments as AnyNode[];
+  const via = memberName(node.callee);
+  if (node.callee.type === "MemberExpression" && (via === "call" || via === "apply")) {
+    return { callee: node.callee.object as AnyNode, args: via === "call" ? args.slice(1) : [] };
+  }
+  return { callee: node.callee as AnyNode, args };
+}
+
+/**
+ * The file system write function an expression refers to: `fs.writeFileSync`,
+ * `fs["rmSync"]`, a bound copy or a local alias.
+ */
+function fsWriteMethod(node: AnyNode, aliases: Map<string, string>): string | null {
+  if (node.type === "Identifier") {
+    return aliases.get(node.name) ?? null;
+  }
+  if (node.type === "CallExpression" && memberName(node.callee) === "bind") {
+    return fsWriteMethod((node.callee as AnyNode & { object: AnyNode }).object, aliases);
+  }
+  const name = memberName(node);
+  return name !== null && FS_WRITE_METHODS.has(name) ? name : null;
+}
+
+/**
+ * Local names bound to file system write functions, e.g. by
+ * `const { writeFileSync } = require("fs")` or `const write = fs.writeFile`,
+ * mapped to the function's name.
+ */
+function fsWriteAliases(program: Program): Map<string, string> {
+  const aliases = new Map<string, string>();
+  const bind = (target: AnyNode, method: string | null) => {
+    const local = target.type === "AssignmentPattern" ? target.left : target;
+    if (method && local.type === "Identifier") {
+      aliases.set(local.name, method);
+    }
+  };
+
+  walkAst(program, (node) => {
+    if (node.type === "ObjectPattern") {
+      for (const property of node.properties) {
+        if (property.type === "Property") {
+          const key = property.computed
+            ? stringValue(property.key)
+            : property.key.type === "Identifier"
+              ? property.key.name
+              : null;
+          bind(property.value, key !== null && FS_WRITE_METHODS.has(key) ? key : null);
+        }
+      }
+    } else if (node.type === "VariableDeclarator" && node.init) {
+      bind(node.id, fsWriteMethod(node.init, aliases));
+    } else if (node.type === "AssignmentExpression") {
+      bind(node.left, fsWriteMethod(node.right, aliases));
+    }
+  });
+  return aliases;
+}
+
+/**
+ * The write function a call runs and the path it writes to, undefined when
+ * it cannot be checked.
+ */
+function fsWriteCall(
+  node: AnyNode & { type: "CallExpression" },
+  aliases: Map<string, string>
+): { method: string; path: AnyNode | undefined } | null {
+  const { callee, args } = callTarget(node);
+  const method = fsWriteMethod(callee, aliases);
+  return method ? { method, path: args[0] } : null;
+}
+
+function contains(node: AnyNode, predicate: (node: AnyNode) => boolean): boolean {
+  let found = false;
+  walkAst(node, (child) => {
+    found = found || predicate(child);
+  });
+  return found;
+}
+
+/**
+ * Whether a path argument is provably inside a temporary directory: a
+ * literal under the OS temp dir, or built from `os.tmpdir()` or a temp
+ * directory variable such as RUNNER_TEMP.
+ */
+function isTempPath(node: AnyNode | undefined): boolean {
+  if (!node) {
+    return false;
+  }
+  const literal = stringValue(node);
+  if (literal !== null) {
+    return [os.tmpdir(), "/tmp"].some((dir) => literal === dir || literal.startsWith(`${dir}/`));
+  }
+  return contains(node, (child) => {
+    if (child.type === "CallExpression") {
+      const callee = child.callee;
+      return (
+        calleeName(child) === "tmpdir" ||
+        (callee.type === "MemberExpression" && callee.property.type === "Identifier" && callee.property.name === "tmpdir")
+      );
+    }
+    const name = envName(child);
+    return name !== null && TEMP_ENV.includes(name);
+  });
+}
+
+/**
+ * The host a URL argument points at: null when it cannot be determined
+ * statically, "" for URLs built on the preview URL or relative paths.
+ */
+function urlHost(node: AnyNode | undefined): string | null {
+  if (!node) {
+    return null;
+  }
+  if (node.type === "BinaryExpression" && node.operator === "+") {
+    return urlHost(node.left as AnyNode);
+  }
+  if (node.type === "TemplateLiteral" && node.quasis[0].value.cooked === "" && node.expressions.length > 0) {
+    return urlHost(node.expressions[0]);
+  }
+  const name = envName(node);
+  if (name === "PREVIEW_URL" || name === "LOCAL_DEV_TARGET_URL") {
+    return "";
+  }
+
+  const text = node.type === "TemplateLiteral" ? node.quasis[0].value.cooked : stringValue(node);
+  if (text === null || text === undefined) {
+    return null;
+  }
+  if (text.startsWith("/") && !text.startsWith("//")) {
+    return "";
+  }
+  try {
+    return new URL(text).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks generated test code against the policy. Flags loading modules
+ * outside the allow-list, eval and friends, process internals, reading
+ * environment variables outside the allow-list (or the whole environment),
+ * file system writes outside temp directories and network calls to hosts
+ * other than the preview.
+ */
+export function checkTestCode(
+  code: string,
+  policy: SafetyPolicy = DEFAULT_SAFETY_POLICY,
+  previewUrls: string[] = []
+): PolicyViolation[] {
+  let program: Program;
+  try {
+    program = parse(code, { ecmaVersion: "latest", sourceType: "script", locations: true });
+  } catch (error) {
+    return [{ rule: "parse", line: 0, message: `Code could not be parsed: ${(error as Error).message}` }];
+  }
+
+  const allowedModules = [...ALLOWED_MODULES, ...policy.allowModules.map(moduleName)];
+  const allowedEnv = [...ALLOWED_ENV, ...TEMP_ENV, ...policy.allowEnv];
+  const allowedHosts = [
+    "localhost",
+    "127.0.0.1",
+    ...previewUrls.flatMap((url) => {
+      try {
+        return [new URL(url).hostname];
+      } catch {
+        return [];
+      }
+    }),
+    ...policy.allowHosts,
+  ];
+
+  const violations: PolicyViolation[] = [];
+  const flag = (rule: PolicyRule, node: AnyNode, message: string) => {
+    violations.push({ rule, line: node.loc?.start.line ?? 0, message });
+  };
+
+  const checkHost = (node: AnyNode, what: string, url: AnyNode | undefined) => {
+    const host = urlHost(url);
+    if (host === null) {
+      flag("network", node, `${what} to a URL that cannot be checked statically`);
+    } else if (host !== "" && !matchesAnyGlob(host, allowedHosts)) {
+      flag("network", node, `${what} to ${host}, which is not the preview or an allowed host`);
+    }
+  };
+
+  const aliases = fsWriteAliases(program);
+  // Global references already checked as the function a call runs
+  const checkedCallees = new Set<AnyNode>();
+
+  // Flags globals such as eval, require, process and fetch used as values,
+  // e.g. `const run = eval`, `(0, eval)(code)` or `const p = process`
+  const checkValueUse = (node: AnyNode, parent: AnyNode | null) => {
+    const name = globalRef(node);
+    const rule = name === null ? null : guardedRule(name);
+    if (!rule || checkedCallees.has(node)) {
+      return;
+    }
+    if (parent?.type === "MemberExpression" && parent.object === node && (name === "process" || name === "require")) {
+      // Checked as process members below; `require.resolve` and the like load nothing
+      return;
+    }
+    const hides =
+      rule === "eval"
+        ? "calls that run code built at runtime"
+        : rule === "module"
+          ? "the modules it loads"
+          : rule === "network"
+            ? "the hosts it calls"
+            : "reads of process.env and Node internals";
+    flag(rule, node, `${name} is referenced as a value, which hides ${hides}`);
+  };
+
+  walkAst(program, (node, parent) => {
+    switch (node.type) {
+      case "CallExpression": {
+        const { callee, args } = callTarget(node);
+        const [first] = args;
+        const name = memberName(callee) === "require" ? "require" : globalRef(callee);
+        if (name !== null && guardedRule(name)) {
+          checkedCallees.add(callee);
+        }
+        if (name === "require") {
+          const target = stringValue(first);
+          if (target === null) {
+            flag("module", node, "require() with a computed module name");
+          } else if (!allowedModules.includes(moduleName(target))) {
+            flag("module", node, `require("${target}") is not allowed`);
+          }
+        } else if (name !== null && EVAL_GLOBALS.has(name)) {
+          flag("eval", node, `${name}() runs code built at runtime`);
+        } else if ((name === "setTimeout" || name === "setInterval") && stringValue(first) !== null) {
+          flag("eval", node, `${name}() with a string runs code built at runtime`);
+        } else if (name !== null && NETWORK_CALLS.has(name)) {
+          checkHost(node, `${name}()`, first);
+        }
+
+        const write = fsWriteCall(node, aliases);
+        if (write && !isTempPath(write.path)) {
+          flag("fs-write", node, `${write.method}() outside a temporary directory`);
+        }
+        break;
+      }
+      case "NewExpression": {
+        const callee = node.callee as AnyNode;
+        const name = globalRef(callee);
+        if (name !== null && guardedRule(name)) {
+          checkedCallees.add(callee);
+        }
+        if (name !== null && EVAL_GLOBALS.has(name)) {
+          flag("eval", node, `new ${name}() runs code built at runtime`);
+        } else if (name !== null && NETWORK_CONSTRUCTORS.has(name)) {
+          checkHost(node, `new ${name}()`, node.arguments[0] as AnyNode | undefined);
+        }
+        break;
+      }
+      case "Identifier":
+        if (
+          !(parent?.type === "MemberExpression" && parent.property === node && !parent.computed) &&
+          !(parent?.type === "Property" && parent.key === node && !parent.computed && parent.value !== node)
+        ) {
+          checkValueUse(node, parent);
+        }
+        break;
+      case "Property": {
+        // `const { eval: run } = globalThis` or `const { require: load } = module`
+        const key = !node.computed && node.key.type === "Identifier" ? node.key.name : null;
+        const rule = key === null ? null : guardedRule(key);
+        if (parent?.type === "ObjectPattern" && rule && !node.shorthand) {
+          flag(rule, node, `${key} is destructured, which hides what it is used for`);
+        }
+        break;
+      }
+      case "ImportExpression":
+        if (!allowedModules.includes(moduleName(stringValue(node.source) ?? ""))) {
+          flag("module", node, "import() of a module that is not allowed");
+        }
+        break;
+      case "MemberExpression": {
+        // `globalThis.fetch`, `module.require` and the like
+        checkValueUse(node, parent);
+        if (globalRef(node.object as AnyNode) !== "process") {
+          break;
+        }
+        const member = memberName(node);
+        if (member === null) {
+          flag("env", node, "process is read with a computed name, which can reach process.env");
+        } else if (PROCESS_INTERNALS.has(member)) {
+          flag("process", node, `process.${member} gives access to Node internals`);
+        } else if (member === "env") {
+          if (parent?.type !== "MemberExpression" || parent.object !== node) {
+            flag("env", node, "process.env is used as a whole, which exposes every secret in the environment");
+          } else {
+            const name = envName(parent);
+            if (name === null) {
+              flag("env", node, "process.env is read with a computed name");
+            } else if (!allowedEnv.includes(name)) {
+              flag("env", node, `process.env.${name} is not an allowed variable`);
+            }
+          }
+        }
+        break;
+      }
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Markdown table of violations for reports.
+ */
+export function formatViolations(violations: PolicyViolation[]): string {
+  return `| Line | Rule | Problem |
+| --- | --- | --- |
+${violations
+  .map((violation) => `| ${violation.line} | \`${violation.rule}\` | ${violation.message.replace(/\|/g, "\\|")} |`)
+  .join("\n")}`;
+}
@@ -0,0 +1,332 @@
+import * as fs from "fs";
+import * as path from "path";
+
+type RouteFramework =
+  | "nextjs-pages"
+  | "nextjs-app"
+  | "sveltekit"
+  | "nuxt"
+  | "react-router";
+
+export interface SourceRoute {
+  path: string;
+  file: string;
+  framework: RouteFramework;
+  // "layout" files (Next.js app layouts, SvelteKit +layout) wrap every route below them
+  kind: "page" | "layout";
+  // React Router only: the component rendered by the route's `element`
+  component?: string;
+}
+
+const IGNORED_DIRECTORIES = new Set([
+  "node_modules",
+  ".git",
+  "dist",
+  "build",
+  "out",
+  "coverage",
+  ".next",
+  ".nuxt",
+  ".output",
+  ".svelte-kit",
+  ".turbo",
+  ".vercel",
+]);
+
+// Upper bound on files visited so huge monorepos cannot stall the action
+const MAX_SCANNED_FILES = 20000;
+
+const SCRIPT_EXTENSIONS = /\.(jsx?|tsx?|mjs|cjs)$/;
+
+// Folders that hold components rather than a project, e.g. src/components/pages/
+const COMPONENT_DIRECTORIES = new Set([
+  "components",
+  "containers",
+  "features",
+  "modules",
+  "views",
+  "layouts",
+  "ui",
+  "lib",
+  "shared",
+  "common",
+]);
+
+/**
+ * Converts file-system route segments into a URL path: route groups like
+ * "(marketing)" and parallel slots like "@modal" disappear, "[id]" becomes
+ * ":id" and catch-alls become "*".
+ */
+function segmentsToPath(segments: string[]): string {
+  const parts = segments
+    .filter((segment) => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith("@"))
+    .map((segment) => {
+      if (/^\[\[?\.\.\..+\]\]?$/.test(segment)) {
+        return "*";
+      }
+      const optional = segment.match(/^\[\[(.+)\]\]$/);
+      if (optional) {
+        return `:${optional[1]}?`;
+      }
+      const dynamic = segment.match(/^\[(.+)\]$/);
+      return dynamic ? `:${dynamic[1]}` : segment;
+    });
+
+  return "/" + parts.join("/");
+}
+
+/**
+ * Whether the directories before a pages/, app/ or routes/ folder make it a
+ * project's routing root: the repository root or a workspace package such
+ * as apps/web/, either optionally followed by src/.
+ */
+function isProjectRoot(prefix: string): boolean {
+  const segments = prefix.split("/").filter(Boolean);
+  if (segments[segments.length - 1] === "src") {
+    segments.pop();
+  }
+  return (
+    segments.length <= 2 &&
+    !segments.some((segment) => segment === "src" || COMPONENT_DIRECTORIES.has(segment))
+  );
+}
+
+/**
+ * Maps a repository file onto the route it defines for file-system based
+ * routers (Next.js pages/ and app/, SvelteKit routes/, Nuxt pages/).
+ * Returns null for files that are not route entry points.
+ */
+export function routeForFile(filename: string): SourceRoute | null {
+  const file = filename.replace(/\\/g, "/");
+
+  if (/(^|\/)__tests__\/|\.(test|spec|stories)\.[jt]sx?$/.test(file)) {
+    return null;
+  }
+
+  // Next.js app router: app/settings/page.tsx, app/(shop)/cart/layout.tsx
+  const appMatch = file.match(
+    /^((?:[^/]+\/)*?)app\/((?:[^/]+\/)*?)(page|layout|template|loading|error|not-found)\.(jsx?|tsx?|mdx)$/
+  );
+  if (appMatch && isProjectRoot(appMatch[1]) && !/(^|\/)\(\.+\)/.test(appMatch[2])) {
+    return {
+      path: segmentsToPath(appMatch[2].split("/")),
+      file,
+      framework: "nextjs-app",
+      kind: appMatch[3] === "page" ? "page" : "layout",
+    };
+  }
+
+  // SvelteKit: src/routes/blog/[slug]/+page.svelte
+  const svelteMatch = file.match(
+    /^((?:[^/]+\/)*?)src\/routes\/((?:[^/]+\/)*?)\+(page|layout)(?:\.server)?\.(svelte|js|ts)$/
+  );
+  if (svelteMatch && isProjectRoot(svelteMatch[1])) {
+    return {
+      path: segmentsToPath(svelteMatch[2].split("/")),
+      file,
+      framework: "sveltekit",
+      kind: svelteMatch[3] === "page" ? "page" : "layout",
+    };
+  }
+
+  // Nuxt: pages/users/[id].vue
+  const nuxtMatch = file.match(/^((?:[^/]+\/)*?)pages\/(.+)\.vue$/);
+  if (nuxtMatch && isProjectRoot(nuxtMatch[1])) {
+    const segments = nuxtMatch[2].split("/");
+    if (segments[segments.length - 1] === "index") {
+      segments.pop();
+    }
+    return { path: segmentsToPath(segments), file, framework: "nuxt", kind: "page" };
+  }
+
+  // Next.js pages router: pages/settings/index.tsx, src/pages/blog/[slug].jsx
+  const pagesMatch = file.match(/^((?:[^/]+\/)*?)pages\/(.+)\.(jsx?|tsx?|mdx)$/);
+  if (pagesMatch && isProjectRoot(pagesMatch[1])) {
+    const segments = pagesMatch[2].split("/");
+    if (segments[0] === "api" || segments.some((segment) => segment.startsWith("_"))) {
+      return null;
+    }
+    if (segments[segments.length - 1] === "index") {
+      segments.pop();
+    }
+    return { path: segmentsToPath(segments), file, framework: "nextjs-pages", kind: "page" };
+  }
+
+  return null;
+}
+
+function normalizeDeclaredPath(routePath: string): string {
+  const trimmed = routePath.trim();
+  if (trimmed === "*" || trimmed.startsWith("/")) {
+    return trimmed;
+  }
+  return `/${trimmed}`;
+}
+
+/**
+ * Finds React Router declarations in a source file: JSX `<Route path="...">`
+ * elements and `{ path: "..." }` objects passed to createBrowserRouter and
+ * friends. Nested relative paths are reported relative to the root because
+ * their parents cannot be resolved without evaluating the code.
+ */
+export function extractReactRouterRoutes(source: string, file: string): SourceRoute[] {
+  const routes: SourceRoute[] = [];
+
+  // Attribute values may contain JSX ("element={<Home />}"), so braces are skipped as a unit
+  const jsxPattern = /<Route\b((?:[^>{}]|\{(?:[^{}]|\{[^{}]*\})*\})*)>/g;
+  let match: RegExpExecArray | null;
+  while ((match = jsxPattern.exec(source)) !== null) {
+    const attributes = match[1];
+    const pathMatch = attributes.match(
+      /\bpath\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*["'`]([^"'`]*)["'`]\s*\})/
+    );
+    if (!pathMatch) {
+      continue;
+    }
+    const component = attributes.match(/\belement\s*=\s*\{\s*<\s*([A-Z][\w.]*)/);
+    routes.push({
+      path: normalizeDeclaredPath(pathMatch[1] ?? pathMatch[2] ?? pathMatch[3]),
+      file,
+      framework: "react-router",
+      kind: "page",
+      component: component?.[1],
+    });
+  }
+
+  if (/create(?:Browser|Hash|Memory)Router|useRoutes|RouteObject/.test(source)) {
+    const objectPattern =
+      /\bpath\s*:\s*["'`]([^"'`]*)["'`]\s*,?\s*(?:(?:element|Component)\s*:\s*<?\s*([A-Z][\w.]*))?/g;
+    while ((match = objectPattern.exec(source)) !== null) {
+      routes.push({
+        path: normalizeDeclaredPath(match[1]),
+        file,
+        framework: "react-router",
+        kind: "page",
+        component: match[2],
+      });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Lists the files under `rootDir` as sorted, "/"-separated relative paths,
+ * skipping dependency and build output directories.
+ */
+export function listSourceFiles(rootDir: string): string[] {
+  const files: string[] = [];
+  const pending = [""];
+
+  while (pending.length > 0 && files.length < MAX_SCANNED_FILES) {
+    const relativeDir = pending.pop()!;
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          pending.push(relativePath);
+        }
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Derives the application's routes from the checked-out source tree:
+ * Next.js pages/ and app/ directories, SvelteKit routes/, Nuxt pages/ and
+ * React Router declarations. File paths are relative to `rootDir`.
+ */
+export function extractSourceRoutes(rootDir: string): SourceRoute[] {
+  const routes: SourceRoute[] = [];
+  const seen = new Set<string>();
+
+  const add = (route: SourceRoute) => {
+    const key = `${route.framework}:${route.kind}:${route.path}:${route.file}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      routes.push(route);
+    }
+  };
+
+  for (const file of listSourceFiles(rootDir)) {
+    const route = routeForFile(file);
+    if (route) {
+      add(route);
+      continue;
+    }
+
+    if (!SCRIPT_EXTENSIONS.test(file)) {
+      continue;
+    }
+
+    let source: string;
+    try {
+      source = fs.readFileSync(path.join(rootDir, file), "utf8");
+    } catch {
+      continue;
+    }
+
+    if (source.includes("react-router")) {
+      extractReactRouterRoutes(source, file).forEach(add);
+    }
+  }
+
+  return routes;
+}
+
+function pathSegments(value: string): string[] {
+  return value.replace(/\/+$/, "").split("/").filter(Boolean);
+}
+
+/**
+ * The path of a concrete page, which a sitemap may list as a full URL or
+ * with a query string. Route patterns never go through this: "?" marks an
+ * optional segment there.
+ */
+function toPathname(value: string): string {
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(value)) {
+    try {
+      return new URL(value).pathname;
+    } catch {
+      // Not a valid URL - use it as-is
+    }
+  }
+  return value.replace(/[?#].*$/, "");
+}
+
+function segmentsMatch(route: string[], page: string[], layout: boolean): boolean {
+  if (route.length === 0) {
+    return layout || page.length === 0;
+  }
+  const [segment, ...rest] = route;
+  if (segment === "*") {
+    return true;
+  }
+  // Optional segments (":lang?", "edit?") may be left out
+  if (segment.endsWith("?") && segmentsMatch(rest, page, layout)) {
+    return true;
+  }
+  const name = segment.replace(/\?$/, "");
+  return (
+    page.length > 0 && (name.startsWith(":") || name === page[0]) && segmentsMatch(rest, page.slice(1), layout)
+  );
+}
+
+/**
+ * Checks whether a concrete path (e.g. from a sitemap) is served by a route
+ * pattern. Layout routes also match every path nested below them.
+ */
+export function routeMatchesPath(route: SourceRoute, value: string): boolean {
+  return segmentsMatch(pathSegments(route.path), pathSegments(toPathname(value)), route.kind === "layout");
+}
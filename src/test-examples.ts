@@ -12,22 +12,27 @@ const TEST_EXAMPLE = `
           },
           browser: {
             launchOptions: { headless: true },
-            contextOptions: { viewport: { width: 1280, height: 720 } 
+            contextOptions: { viewport: { width: 1280, height: 720 } }
           }
         });
 
         try {
-          console.log('Test: Loading dashboard');
-          await agent.act('Navigate to the dashboard page');
-          const heading = await agent.extract('Get the main dashboard heading text', z.string());
-          console.log('Dashboard heading:', heading);
-
-          console.log('Test: User interactions');
-          await agent.act('Navigate to the homepage');
-          await agent.act('Click on the menu button');
-          await agent.act('Wait for the menu to open');
+          await runTest('Test 1: Loading dashboard', async () => {
+            await agent.act('Navigate to the dashboard page');
+            const heading = await agent.extract('Get the main dashboard heading text', z.string());
+            if (!heading) {
+              throw new Error('Dashboard heading is missing');
+            }
+          });
 
-          console.log('All tests completed successfully');
+          await runTest('Test 2: User interactions', async () => {
+            await agent.act('Navigate to the homepage');
+            await agent.act('Click on the menu button');
+            const isOpen = await agent.extract('Is the menu open?', z.boolean());
+            if (!isOpen) {
+              throw new Error('Menu did not open after clicking the menu button');
+            }
+          });
         } finally {
           await agent.stop();
         }
@@ -35,8 +40,8 @@ const TEST_EXAMPLE = `
 
       runTests()
         .then(() => {
-          console.log("Test suite succeeded:");
-          process.exit(0);
+          console.log("Test suite finished");
+          process.exit(process.exitCode || 0);
         })
         .catch((error) => {
           console.error("Test suite failed:", error);
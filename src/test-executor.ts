@@ -1,7 +1,45 @@
+import * as core from "@actions/core";
+import { spawn } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import {
+  PlanSource,
+  TestResult,
+  collectTestResults,
+  parseTestEvents,
+  stripTestEvents,
+} from "./test-protocol";
+import { killProcessTree } from "./process-tree";
+import {
+  BlockedRequest,
+  allowedOrigins,
+  buildTestEnv,
+  networkGuardScript,
+  parseBlockedRequests,
+  stripBlockedRequests,
+} from "./test-sandbox";
+import { ArtifactFile, captureScript, collectArtifacts, failureScreenshotPath } from "./artifacts";
+
 interface TestExecutorConfig {
   timeout?: number;
   claudeApiKey: string;
   skipDependencyInstall?: boolean;
+  modulePaths?: string[];
+  // Hosts the browser may reach besides the preview (`safety.allow-hosts`)
+  allowHosts?: string[];
+  // Runner variables passed on to the tests (`safety.allow-env`)
+  allowEnv?: string[];
+  // What runs with an artifact directory record besides screenshots
+  capture?: { video?: boolean; trace?: boolean };
+}
+
+interface RunOptions {
+  // Restrict the run to these tests, e.g. to re-run failures
+  onlyTests?: string[];
+  previewUrls?: string[];
+  // Save screenshots, traces and videos of the run here
+  artifactDir?: string;
 }
 
 interface TestReport {
@@ -9,29 +47,323 @@ interface TestReport {
   output: string;
   errors?: string;
   executionSkipped: boolean;
-  testResults: any[];
+  testResults: TestResult[];
+  exitCode?: number | null;
+  timedOut?: boolean;
+  duration?: number;
+  // Browser requests the network guard refused, by host
+  blockedRequests?: BlockedRequest[];
+  // Files saved to the run's artifact directory
+  artifacts?: ArtifactFile[];
+}
+
+interface ProcessResult {
+  exitCode: number | null;
+  stdout: string;
+  stderr: string;
+  timedOut: boolean;
 }
 
+// Modules the generated test code (and the IMPORTS preamble) require at runtime
+const REQUIRED_MODULES = ["magnitude-core", "zod", "dotenv"];
+
+// Keep the tail of very chatty runs so reports and comments stay readable
+const MAX_OUTPUT_LENGTH = 200000;
+
+// Grace period between SIGTERM and SIGKILL when a run overstays its timeout
+const KILL_GRACE_PERIOD = 5000;
+
 class TestExecutor {
   private timeout: number;
   private claudeApiKey: string;
   private skipDependencyInstall: boolean;
+  private modulePaths: string[];
+  private allowHosts: string[];
+  private allowEnv: string[];
+  private capture: { video?: boolean; trace?: boolean };
 
   constructor(config: TestExecutorConfig) {
     this.timeout = config.timeout || 480000;
     this.claudeApiKey = config.claudeApiKey;
     this.skipDependencyInstall = config.skipDependencyInstall || process.env.SKIP_DEPENDENCY_INSTALL === "true";
+    this.modulePaths = config.modulePaths || [
+      path.join(__dirname, "..", "node_modules"),
+      path.join(process.cwd(), "node_modules"),
+    ];
+    this.allowHosts = config.allowHosts || [];
+    this.allowEnv = config.allowEnv || [];
+    this.capture = config.capture || {};
+  }
+
+  /**
+   * Runs the generated test code in a sandbox directory with a curated
+   * environment, with browser requests limited to the preview, and builds a
+   * report. With `artifactDir` set the run also saves screenshots (and a
+   * trace or video, as configured) there.
+   */
+  async executeTestsAndGenerateReport(
+    testCode: string,
+    testPlan?: PlanSource,
+    options: RunOptions = {}
+  ): Promise<TestReport> {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-test-"));
+    const startTime = Date.now();
+
+    try {
+      const modulePaths = await this.ensureDependencies(workDir);
+      if (!modulePaths) {
+        return {
+          success: true,
+          output: "Test code generated successfully (execution skipped - dependencies not available)",
+          executionSkipped: true,
+          testResults: [],
+        };
+      }
+
+      const testFilePath = path.join(workDir, "generated-test.js");
+      fs.writeFileSync(testFilePath, testCode, "utf8");
+      core.info(`📝 Wrote generated tests to ${testFilePath}`);
+
+      const previewUrls = options.previewUrls || [];
+      const args = [testFilePath];
+      const origins = allowedOrigins(previewUrls);
+      if (origins.length > 0) {
+        const guardPath = path.join(workDir, "network-guard.js");
+        fs.writeFileSync(guardPath, networkGuardScript(origins, this.allowHosts), "utf8");
+        args.unshift("--require", guardPath);
+        core.info(`🚧 Browser requests limited to ${[...origins, ...this.allowHosts].join(", ")}`);
+      } else {
+        core.info("🚧 No preview URL - browser requests are not restricted");
+      }
+
+      const artifactDir = options.artifactDir && path.resolve(options.artifactDir);
+      if (artifactDir) {
+        fs.mkdirSync(artifactDir, { recursive: true });
+        const capturePath = path.join(workDir, "capture.js");
+        fs.writeFileSync(capturePath, captureScript(artifactDir, this.capture), "utf8");
+        args.unshift("--require", capturePath);
+        const extras = [this.capture.trace && "a trace", this.capture.video && "video"].filter(Boolean);
+        core.info(`📸 Saving screenshots${extras.length > 0 ? ` and ${extras.join(" and ")}` : ""} to ${artifactDir}`);
+      }
+
+      // The tests only see this directory: it is their working directory,
+      // HOME and temp directory
+      const sandboxDir = path.join(workDir, "sandbox");
+      fs.mkdirSync(sandboxDir);
+
+      core.info(`🚀 Running generated tests (timeout ${Math.round(this.timeout / 1000)}s)...`);
+      const result = await this.runProcess(process.execPath, args, {
+        cwd: sandboxDir,
+        env: buildTestEnv({
+          sandboxDir,
+          previewUrls,
+          apiKey: this.claudeApiKey,
+          modulePaths,
+          allowEnv: this.allowEnv,
+          onlyTests: options.onlyTests,
+        }),
+        timeout: this.timeout,
+        streamOutput: true,
+      });
+
+      return this.buildReport(result, testPlan, Date.now() - startTime, artifactDir);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
   }
 
-  async executeTestsAndGenerateReport(testCode: string, testPlan?: string | null): Promise<TestReport> {
-    // Placeholder implementation
+  private buildReport(
+    result: ProcessResult,
+    testPlan: PlanSource,
+    duration: number,
+    artifactDir?: string
+  ): TestReport {
+    const timeoutError = `Test execution timed out after ${Math.round(this.timeout / 1000)}s`;
+    const events = parseTestEvents(result.stdout);
+
+    let testResults: TestResult[];
+    if (events.length > 0) {
+      testResults = collectTestResults(
+        events,
+        testPlan,
+        result.timedOut ? timeoutError : "Test did not complete"
+      );
+    } else {
+      // Generated code that predates the result protocol only has an exit code
+      const passed = result.exitCode === 0 && !result.timedOut;
+      testResults = [
+        {
+          name: "Generated test suite",
+          status: passed ? "passed" : "failed",
+          error: passed
+            ? undefined
+            : result.timedOut
+            ? timeoutError
+            : result.stderr.trim() || `Test process exited with code ${result.exitCode}`,
+          duration,
+        },
+      ];
+    }
+
+    const failedTests = testResults.filter((test) => test.status === "failed");
+    const success =
+      result.exitCode === 0 && !result.timedOut && failedTests.length === 0;
+
+    let errors: string | undefined;
+    if (result.timedOut) {
+      errors = timeoutError;
+    } else if (failedTests.length > 0) {
+      errors = failedTests
+        .map((test) => `${test.name}: ${test.error || "failed"}`)
+        .join("\n");
+    } else if (!success) {
+      errors = result.stderr.trim() || `Test process exited with code ${result.exitCode}`;
+    }
+
+    const blockedRequests = parseBlockedRequests(result.stdout);
+    for (const blocked of blockedRequests) {
+      core.warning(
+        `🚧 Blocked ${blocked.count} browser request(s) to ${blocked.host} (e.g. ${blocked.url}) - add it to safety.allow-hosts if the tests need it`
+      );
+    }
+
+    let artifacts: ArtifactFile[] | undefined;
+    if (artifactDir) {
+      artifacts = collectArtifacts(artifactDir);
+      const saved = new Set(artifacts.map((file) => file.path));
+      testResults = testResults.map((test) =>
+        test.status === "failed" && saved.has(failureScreenshotPath(test.name))
+          ? { ...test, screenshot: failureScreenshotPath(test.name) }
+          : test
+      );
+    }
+
     return {
-      success: true,
-      output: "Test code generated successfully (execution skipped - TypeScript conversion)",
-      executionSkipped: true,
-      testResults: []
+      success,
+      output: stripBlockedRequests(stripTestEvents(result.stdout)),
+      errors,
+      executionSkipped: false,
+      testResults,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      duration,
+      blockedRequests,
+      artifacts,
     };
   }
+
+  /**
+   * Returns the module search paths the test process should use, installing
+   * the runtime dependencies into the work directory when they are missing.
+   * Returns null when they are unavailable and installation is disabled.
+   */
+  private async ensureDependencies(workDir: string): Promise<string[] | null> {
+    const missing = REQUIRED_MODULES.filter(
+      (name) =>
+        !this.modulePaths.some((dir) =>
+          fs.existsSync(path.join(dir, name, "package.json"))
+        )
+    );
+
+    if (missing.length === 0) {
+      return this.modulePaths;
+    }
+
+    if (this.skipDependencyInstall) {
+      core.warning(`⚠️ Missing test dependencies: ${missing.join(", ")} - skipping execution`);
+      return null;
+    }
+
+    core.info(`📦 Installing test dependencies: ${missing.join(", ")}`);
+    const install = await this.runProcess(
+      "npm",
+      ["install", "--no-save", "--no-package-lock", ...missing],
+      { cwd: workDir, env: process.env, timeout: this.timeout, streamOutput: false }
+    );
+
+    if (install.exitCode !== 0) {
+      core.warning(`⚠️ Failed to install test dependencies: ${install.stderr.trim()}`);
+      return null;
+    }
+
+    return [path.join(workDir, "node_modules"), ...this.modulePaths];
+  }
+
+  private runProcess(
+    command: string,
+    args: string[],
+    options: {
+      cwd: string;
+      env: NodeJS.ProcessEnv;
+      timeout: number;
+      streamOutput: boolean;
+    }
+  ): Promise<ProcessResult> {
+    return new Promise((resolve) => {
+      // Run in its own process group so the browser processes spawned by the
+      // tests are terminated along with it
+      const child = spawn(command, args, {
+        cwd: options.cwd,
+        env: options.env,
+        detached: process.platform !== "win32",
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+      let killTimer: NodeJS.Timeout | undefined;
+
+      const append = (buffer: string, chunk: string): string => {
+        const combined = buffer + chunk;
+        return combined.length > MAX_OUTPUT_LENGTH
+          ? combined.slice(combined.length - MAX_OUTPUT_LENGTH)
+          : combined;
+      };
+
+      child.stdout.on("data", (data: Buffer) => {
+        const text = data.toString();
+        stdout = append(stdout, text);
+        if (options.streamOutput) {
+          core.info(text.trimEnd());
+        }
+      });
+
+      child.stderr.on("data", (data: Buffer) => {
+        const text = data.toString();
+        stderr = append(stderr, text);
+        if (options.streamOutput) {
+          core.info(text.trimEnd());
+        }
+      });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        core.warning(`⏱️ Process exceeded ${Math.round(options.timeout / 1000)}s - terminating`);
+        killProcessTree(child.pid, "SIGTERM");
+        killTimer = setTimeout(
+          () => killProcessTree(child.pid, "SIGKILL"),
+          KILL_GRACE_PERIOD
+        );
+      }, options.timeout);
+
+      const finish = (exitCode: number | null, error?: Error) => {
+        clearTimeout(timer);
+        if (killTimer) {
+          clearTimeout(killTimer);
+        }
+        resolve({
+          exitCode,
+          stdout,
+          stderr: error ? append(stderr, error.message) : stderr,
+          timedOut,
+        });
+      };
+
+      child.on("error", (error) => finish(null, error));
+      child.on("close", (code) => finish(code));
+    });
+  }
 }
 
-export default TestExecutor;
\ No newline at end of file
+export default TestExecutor;
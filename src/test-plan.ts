@@ -0,0 +1,119 @@
+import { z } from "zod";
+
+const sourceFileSchema = z.object({
+  path: z.string().min(1),
+  // A line on the new side of the file's diff
+  line: z.number().int().positive().optional(),
+});
+
+const plannedTestSchema = z.object({
+  // Generated code names the test "Test <id>: <title>"
+  id: z.number().int().positive(),
+  title: z.string().min(1),
+  // Path to open first, relative to the preview URL
+  route: z.string().min(1),
+  preconditions: z.array(z.string()).default([]),
+  steps: z.array(z.string()).min(1),
+  expectedOutcomes: z.array(z.string()).min(1),
+  sourceFiles: z.array(sourceFileSchema).default([]),
+  requiresAuth: z.boolean().default(false),
+});
+
+export const testPlanSchema = z
+  .object({
+    tests: z.array(plannedTestSchema),
+  })
+  .refine((plan) => new Set(plan.tests.map((test) => test.id)).size === plan.tests.length, {
+    message: "test ids must be unique",
+    path: ["tests"],
+  });
+
+export type PlannedTest = z.infer<typeof plannedTestSchema>;
+export type TestPlan = z.infer<typeof testPlanSchema>;
+
+// Shown to the model as the shape to return
+export const TEST_PLAN_EXAMPLE: TestPlan = {
+  tests: [
+    {
+      id: 1,
+      title: "Export button downloads the blog data",
+      route: "/settings",
+      preconditions: ["At least one blog post exists"],
+      steps: ['Click the "Export Data" button', 'Choose "JSON" and confirm'],
+      expectedOutcomes: ["A JSON file download starts", "No error message is shown"],
+      sourceFiles: [{ path: "src/components/ExportButton.tsx", line: 12 }],
+      requiresAuth: true,
+    },
+  ],
+};
+
+export class TestPlanError extends Error {
+  constructor(public readonly issues: string[]) {
+    super(`Invalid test plan: ${issues.join("; ")}`);
+    this.name = "TestPlanError";
+  }
+}
+
+/**
+ * Parses a model response into a test plan. Tolerates a markdown code fence
+ * or text around the JSON object; throws TestPlanError when there is no JSON
+ * or it does not match the schema.
+ */
+export function parseTestPlan(text: string): TestPlan {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw new TestPlanError(["response does not contain a JSON object"]);
+  }
+
+  let raw: unknown;
+  try {
+    raw = JSON.parse(body.slice(start, end + 1));
+  } catch (error) {
+    throw new TestPlanError([`not valid JSON: ${(error as Error).message}`]);
+  }
+
+  const result = testPlanSchema.safeParse(raw);
+  if (!result.success) {
+    throw new TestPlanError(
+      result.error.issues.map(
+        (issue) => `${issue.path.length > 0 ? issue.path.join(".") : "(root)"}: ${issue.message}`
+      )
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Human-readable plan for logs, prompts and reports.
+ */
+export function formatTestPlan(plan: TestPlan): string {
+  if (plan.tests.length === 0) {
+    return "No tests planned.";
+  }
+
+  return plan.tests
+    .map((test) => {
+      const lines = [`${test.id}. ${test.title}`, `   - Route: ${test.route}${test.requiresAuth ? " (requires login)" : ""}`];
+      if (test.preconditions.length > 0) {
+        lines.push(`   - Preconditions: ${test.preconditions.join("; ")}`);
+      }
+      lines.push(...test.steps.map((step, index) => `   - Step ${index + 1}: ${step}`));
+      lines.push(...test.expectedOutcomes.map((outcome) => `   - Expect: ${outcome}`));
+      if (test.sourceFiles.length > 0) {
+        lines.push(
+          `   - Source: ${test.sourceFiles
+            .map((source) => (source.line ? `${source.path}:${source.line}` : source.path))
+            .join(", ")}`
+        );
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+export function testName(test: PlannedTest): string {
+  return `Test ${test.id}: ${test.title}`;
+}
@@ -0,0 +1,253 @@
+/**
+ * Machine-readable protocol between generated test code and TestExecutor.
+ *
+ * Generated code wraps every plan item in `runTest(name, fn)`, which prints one
+ * tagged JSON line per lifecycle event. The executor parses those lines back
+ * into per-test results and matches them against the numbered test plan.
+ */
+
+import { TestPlan } from "./test-plan";
+
+export const RESULT_MARKER = "##PR_TEST_RESULT##";
+
+// JSON array of test names; when set, runTest() only runs those tests
+export const ONLY_TESTS_ENV = "PR_TEST_ONLY";
+
+// Global the capture script sets so runTest() can screenshot failed tests
+export const CAPTURE_HOOKS = "__prTestCapture";
+
+type TestEventType = "test-start" | "test-pass" | "test-fail" | "test-skip";
+
+export interface TestEvent {
+  event: TestEventType;
+  name: string;
+  duration?: number;
+  error?: string;
+}
+
+export interface TestResult {
+  name: string;
+  status: "passed" | "failed" | "skipped";
+  error?: string;
+  duration?: number;
+  // Failed on the first run but passed when re-run
+  flaky?: boolean;
+  // Screenshot taken when it failed, relative to the run's artifact directory
+  screenshot?: string;
+}
+
+// A structured plan, or free text from older cached runs
+export type PlanSource = TestPlan | string | null | undefined;
+
+export interface PlanItem {
+  number: number;
+  title: string;
+  // The changed file (and new-side line) the item was derived from, when the
+  // plan cites one as "(Source: path/to/file.tsx:42)"
+  source?: { path: string; line?: number };
+}
+
+const TEST_EVENT_TYPES: TestEventType[] = [
+  "test-start",
+  "test-pass",
+  "test-fail",
+  "test-skip",
+];
+
+// Injected ahead of the generated code, after the IMPORTS preamble
+export const TEST_HARNESS = `
+const RESULT_MARKER = ${JSON.stringify(RESULT_MARKER)};
+const ONLY_TESTS = process.env.${ONLY_TESTS_ENV} ? JSON.parse(process.env.${ONLY_TESTS_ENV}) : null;
+const captureHooks = globalThis.${CAPTURE_HOOKS} || {};
+
+function reportTestEvent(event) {
+  console.log(RESULT_MARKER + " " + JSON.stringify(event));
+}
+
+async function runTest(name, fn) {
+  if (ONLY_TESTS && !ONLY_TESTS.includes(name)) {
+    return;
+  }
+  const startedAt = Date.now();
+  reportTestEvent({ event: "test-start", name });
+  if (captureHooks.testStarted) {
+    captureHooks.testStarted(name);
+  }
+  try {
+    await fn();
+    reportTestEvent({ event: "test-pass", name, duration: Date.now() - startedAt });
+  } catch (error) {
+    process.exitCode = 1;
+    const duration = Date.now() - startedAt;
+    if (captureHooks.testFailed) {
+      await captureHooks.testFailed(name);
+    }
+    reportTestEvent({
+      event: "test-fail",
+      name,
+      duration,
+      error: error && error.message ? error.message : String(error),
+    });
+  }
+}
+`;
+
+export function parseTestEvents(output: string): TestEvent[] {
+  const events: TestEvent[] = [];
+
+  for (const line of output.split("\n")) {
+    const index = line.indexOf(RESULT_MARKER);
+    if (index === -1) {
+      continue;
+    }
+
+    try {
+      const event = JSON.parse(line.slice(index + RESULT_MARKER.length).trim());
+      if (
+        event &&
+        TEST_EVENT_TYPES.includes(event.event) &&
+        typeof event.name === "string"
+      ) {
+        events.push(event);
+      }
+    } catch {
+      // Partial or interleaved line - ignore it rather than fail the run
+    }
+  }
+
+  return events;
+}
+
+export function stripTestEvents(output: string): string {
+  return output
+    .split("\n")
+    .filter((line) => !line.includes(RESULT_MARKER))
+    .join("\n");
+}
+
+const SOURCE_PATTERN = /\(?\s*Source:\s*`?([^\s`():]+)(?::(\d+))?`?\s*\)?/i;
+
+/**
+ * Extracts the top-level numbered items ("1. ...", "**2.** ...") from a
+ * free-text test plan, along with the source reference each item cites
+ * anywhere in its block.
+ */
+export function parsePlanItems(testPlan?: string | null): PlanItem[] {
+  if (!testPlan) {
+    return [];
+  }
+
+  const matches: RegExpExecArray[] = [];
+  const pattern = /^(?:#+\s*)?(?:\*\*)?(?:Test\s+)?(\d+)(?:\*\*)?[.):]\s*(?:\*\*)?\s*(.+)$/gim;
+
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(testPlan)) !== null) {
+    matches.push(match);
+  }
+
+  const items: PlanItem[] = [];
+  matches.forEach((current, index) => {
+    const number = parseInt(current[1], 10);
+    if (items.some((item) => item.number === number)) {
+      return;
+    }
+
+    const block = testPlan.slice(current.index, matches[index + 1]?.index);
+    const sourceMatch = block.match(SOURCE_PATTERN);
+    const title = current[2].replace(SOURCE_PATTERN, "").replace(/\*\*/g, "").trim();
+
+    items.push({
+      number,
+      title: title.length > 120 ? `${title.slice(0, 117)}...` : title,
+      source: sourceMatch
+        ? {
+            path: sourceMatch[1],
+            line: sourceMatch[2] ? parseInt(sourceMatch[2], 10) : undefined,
+          }
+        : undefined,
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Plan items from a structured plan, or parsed out of a free-text one.
+ */
+export function planItems(testPlan: PlanSource): PlanItem[] {
+  if (typeof testPlan !== "object" || testPlan === null) {
+    return parsePlanItems(testPlan);
+  }
+
+  return testPlan.tests.map((test) => ({
+    number: test.id,
+    title: test.title,
+    source: test.sourceFiles[0],
+  }));
+}
+
+export function testNumber(name: string): number | null {
+  const match = name.match(/^\s*Test\s+(\d+)\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function resultFromEvents(name: string, events: TestEvent[], incompleteError: string): TestResult {
+  const last = events[events.length - 1];
+
+  switch (last.event) {
+    case "test-pass":
+      return { name, status: "passed", duration: last.duration };
+    case "test-fail":
+      return { name, status: "failed", error: last.error, duration: last.duration };
+    case "test-skip":
+      return { name, status: "skipped", error: last.error };
+    default:
+      return { name, status: "failed", error: incompleteError };
+  }
+}
+
+/**
+ * Combines reported events with the test plan: every plan item becomes one
+ * result, items that never reported are marked skipped, and tests that do not
+ * map onto a plan item are appended as-is.
+ */
+export function collectTestResults(
+  events: TestEvent[],
+  testPlan: PlanSource,
+  incompleteError: string
+): TestResult[] {
+  const byName = new Map<string, TestEvent[]>();
+  for (const event of events) {
+    const list = byName.get(event.name) || [];
+    list.push(event);
+    byName.set(event.name, list);
+  }
+
+  const results: TestResult[] = [];
+  const claimed = new Set<string>();
+
+  for (const item of planItems(testPlan)) {
+    const name = [...byName.keys()].find(
+      (eventName) => !claimed.has(eventName) && testNumber(eventName) === item.number
+    );
+
+    if (name) {
+      claimed.add(name);
+      results.push(resultFromEvents(name, byName.get(name)!, incompleteError));
+    } else {
+      results.push({
+        name: `Test ${item.number}: ${item.title}`,
+        status: "skipped",
+        error: "Not reported by the generated test run",
+      });
+    }
+  }
+
+  for (const [name, nameEvents] of byName) {
+    if (!claimed.has(name)) {
+      results.push(resultFromEvents(name, nameEvents, incompleteError));
+    }
+  }
+
+  return results;
+}
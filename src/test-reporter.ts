@@ -1,13 +1,24 @@
 import * as core from "@actions/core";
+import { TestPlan } from "./test-plan";
+import { testNumber } from "./test-protocol";
+
+interface TestResult {
+  name: string;
+  status: "passed" | "failed" | "skipped";
+  error?: string;
+  flaky?: boolean;
+}
 
 interface TestReport {
   success: boolean;
   executionSkipped?: boolean;
-  errors?: string[];
+  errors?: string;
+  testResults?: TestResult[];
+  timedOut?: boolean;
 }
 
 class TestReporter {
-  printTestReport(testReport: TestReport): void {
+  printTestReport(testReport: TestReport, testPlan?: TestPlan): void {
     core.info("📊 Test Execution Report:");
     core.info("=".repeat(50));
 
@@ -17,6 +28,8 @@ class TestReporter {
       } else {
         core.info("✅ Test execution: SUCCESS");
       }
+    } else if (testReport.timedOut) {
+      core.info("⏱️ Test execution: TIMED OUT");
     } else {
       core.info("❌ Test execution: FAILED");
     }
@@ -27,13 +40,25 @@ class TestReporter {
       );
     }
 
-    if (testReport.errors && testReport.errors.length > 0) {
+    if (testReport.testResults && testReport.testResults.length > 0) {
+      core.info("🧪 Tests:");
+      testReport.testResults.forEach((test) => {
+        const icon =
+          test.status === "passed" ? "✅" : test.status === "failed" ? "❌" : "⏭️";
+        const planned = testPlan?.tests.find((item) => item.id === testNumber(test.name));
+        core.info(
+          `  ${icon} ${test.name}${planned ? ` [${planned.route}]` : ""}${test.flaky ? " (flaky)" : ""}`
+        );
+      });
+    }
+
+    if (testReport.errors) {
       core.info("🔍 Details:");
-      core.info(testReport.errors.join("\n"));
+      core.info(testReport.errors);
     }
 
     core.info("=".repeat(50));
   }
 }
 
-export default TestReporter;
\ No newline at end of file
+export default TestReporter;
@@ -0,0 +1,267 @@
+/**
+ * Least-privilege setup for the generated test process: a curated
+ * environment instead of the action's own, and a guard that limits the
+ * browser to the preview origin plus allowed hosts.
+ */
+
+import * as os from "os";
+import * as path from "path";
+import { globToRegExp } from "./glob";
+import { ONLY_TESTS_ENV } from "./test-protocol";
+
+// Tagged stdout line the network guard prints for each request it blocks
+export const BLOCKED_REQUEST_MARKER = "##PR_TEST_BLOCKED##";
+
+export interface BlockedRequest {
+  host: string;
+  count: number;
+  // First blocked URL for the host, shortened
+  url: string;
+}
+
+export interface SandboxOptions {
+  // Directory the test process runs in; also its HOME and TMPDIR
+  sandboxDir: string;
+  previewUrls: string[];
+  apiKey: string;
+  modulePaths: string[];
+  // Extra variables from the runner's environment, from `safety.allow-env`
+  allowEnv?: string[];
+  onlyTests?: string[];
+}
+
+// Runner variables the test process needs to find node, browsers and proxies
+const PASSTHROUGH_ENV = [
+  "PATH",
+  "LANG",
+  "LC_ALL",
+  "TZ",
+  "DISPLAY",
+  "SystemRoot",
+  "WINDIR",
+  "HTTP_PROXY",
+  "HTTPS_PROXY",
+  "NO_PROXY",
+  "http_proxy",
+  "https_proxy",
+  "no_proxy",
+  "NODE_EXTRA_CA_CERTS",
+  "TEST_USER_EMAIL",
+  "TEST_USER_PASSWORD",
+];
+
+// Set to "" so a .env file loaded by dotenv cannot bring them back
+const SCRUBBED_ENV = [
+  "GITHUB_TOKEN",
+  "GH_TOKEN",
+  "ACTIONS_RUNTIME_TOKEN",
+  "ACTIONS_ID_TOKEN_REQUEST_TOKEN",
+  "ACTIONS_ID_TOKEN_REQUEST_URL",
+];
+
+/**
+ * Where Playwright keeps its browsers. The sandbox gets its own HOME, so the
+ * default location under the real home directory has to be passed on.
+ */
+function playwrightBrowsersPath(env: NodeJS.ProcessEnv): string {
+  if (env.PLAYWRIGHT_BROWSERS_PATH) {
+    return env.PLAYWRIGHT_BROWSERS_PATH;
+  }
+  if (process.platform === "win32") {
+    return path.join(env.LOCALAPPDATA || path.join(os.homedir(), "AppData", "Local"), "ms-playwright");
+  }
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Caches", "ms-playwright");
+  }
+  return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "ms-playwright");
+}
+
+/**
+ * Origins the browser may load: the preview URLs, or the local dev target
+ * when there is no preview.
+ */
+export function allowedOrigins(previewUrls: string[], env: NodeJS.ProcessEnv = process.env): string[] {
+  const urls = previewUrls.length > 0 ? previewUrls : env.LOCAL_DEV_TARGET_URL ? [env.LOCAL_DEV_TARGET_URL] : [];
+  return urls.flatMap((url) => {
+    try {
+      return [new URL(url).origin];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * The environment for the test process. Only the preview URL, the API key
+ * Magnitude needs, the test user's credentials and what node and Playwright
+ * need to start are passed on; tokens are blanked.
+ */
+export function buildTestEnv(options: SandboxOptions, env: NodeJS.ProcessEnv = process.env): NodeJS.ProcessEnv {
+  const testEnv: NodeJS.ProcessEnv = {};
+  for (const name of [...PASSTHROUGH_ENV, ...(options.allowEnv || [])]) {
+    if (env[name] !== undefined) {
+      testEnv[name] = env[name];
+    }
+  }
+
+  const previewUrl = options.previewUrls[0] || env.LOCAL_DEV_TARGET_URL;
+  Object.assign(testEnv, {
+    HOME: options.sandboxDir,
+    USERPROFILE: options.sandboxDir,
+    TMPDIR: options.sandboxDir,
+    TEMP: options.sandboxDir,
+    TMP: options.sandboxDir,
+    RUNNER_TEMP: options.sandboxDir,
+    PLAYWRIGHT_BROWSERS_PATH: playwrightBrowsersPath(env),
+    NODE_PATH: options.modulePaths.join(path.delimiter),
+    ANTHROPIC_API_KEY: options.apiKey,
+    ...(previewUrl ? { PREVIEW_URL: previewUrl } : {}),
+    ...(env.LOCAL_DEV_TARGET_URL ? { LOCAL_DEV_TARGET_URL: env.LOCAL_DEV_TARGET_URL } : {}),
+    ...(options.onlyTests ? { [ONLY_TESTS_ENV]: JSON.stringify(options.onlyTests) } : {}),
+  });
+  for (const name of SCRUBBED_ENV) {
+    testEnv[name] = "";
+  }
+  return testEnv;
+}
+
+/**
+ * Script preloaded with `--require` into the test process. It wraps the
+ * browser types of Playwright (and the patchright fork Magnitude uses) so
+ * every browser context routes its requests through a filter: requests to
+ * `origins` or hosts matching the `allowHosts` globs go through, others are aborted
+ * and reported on stdout.
+ */
+export function networkGuardScript(origins: string[], allowHosts: string[]): string {
+  const hostPatterns = allowHosts.map((glob) => globToRegExp(glob).source);
+
+  return `
+const Module = require("module");
+
+const BLOCKED_REQUEST_MARKER = ${JSON.stringify(BLOCKED_REQUEST_MARKER)};
+const ALLOWED_ORIGINS = ${JSON.stringify(origins)};
+const ALLOWED_HOSTS = ${JSON.stringify(hostPatterns)}.map((source) => new RegExp(source));
+const PLAYWRIGHT_MODULES = ["playwright", "playwright-core", "patchright", "patchright-core"];
+const guarded = new WeakSet();
+
+function isAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const protocol = { "ws:": "http:", "wss:": "https:" }[parsed.protocol] || parsed.protocol;
+  if (protocol !== "http:" && protocol !== "https:") {
+    return true;
+  }
+  return (
+    ALLOWED_ORIGINS.includes(protocol + "//" + parsed.host) ||
+    ALLOWED_HOSTS.some((pattern) => pattern.test(parsed.hostname))
+  );
+}
+
+function filterRequest(route) {
+  const url = route.request().url();
+  if (isAllowed(url)) {
+    return route.fallback ? route.fallback() : route.continue();
+  }
+  let host = "";
+  try {
+    host = new URL(url).host;
+  } catch {
+    // Reported without a host
+  }
+  console.log(BLOCKED_REQUEST_MARKER + " " + JSON.stringify({ url: url.slice(0, 200), host }));
+  return route.abort("blockedbyclient");
+}
+
+async function guardContext(context) {
+  if (!guarded.has(context)) {
+    guarded.add(context);
+    await context.route("**/*", filterRequest);
+  }
+  return context;
+}
+
+async function guardBrowser(browser) {
+  if (guarded.has(browser)) {
+    return browser;
+  }
+  guarded.add(browser);
+  for (const context of browser.contexts()) {
+    await guardContext(context);
+  }
+  const newContext = browser.newContext.bind(browser);
+  browser.newContext = async (...args) => guardContext(await newContext(...args));
+  const newPage = browser.newPage.bind(browser);
+  browser.newPage = async (...args) => {
+    const page = await newPage(...args);
+    await guardContext(page.context());
+    return page;
+  };
+  return browser;
+}
+
+function guardBrowserType(browserType) {
+  if (!browserType || guarded.has(browserType)) {
+    return;
+  }
+  guarded.add(browserType);
+  for (const method of ["launch", "connect", "connectOverCDP"]) {
+    const original = browserType[method];
+    if (typeof original === "function") {
+      browserType[method] = async (...args) => guardBrowser(await original.apply(browserType, args));
+    }
+  }
+  const launchPersistentContext = browserType.launchPersistentContext;
+  if (typeof launchPersistentContext === "function") {
+    browserType.launchPersistentContext = async (...args) =>
+      guardContext(await launchPersistentContext.apply(browserType, args));
+  }
+}
+
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  const exports = load.call(this, request, ...rest);
+  if (PLAYWRIGHT_MODULES.includes(request) && exports) {
+    ["chromium", "firefox", "webkit"].forEach((name) => guardBrowserType(exports[name]));
+  }
+  return exports;
+};
+`;
+}
+
+/**
+ * Groups the requests the guard blocked by host, most frequent first.
+ */
+export function parseBlockedRequests(output: string): BlockedRequest[] {
+  const byHost = new Map<string, BlockedRequest>();
+
+  for (const line of output.split("\n")) {
+    const index = line.indexOf(BLOCKED_REQUEST_MARKER);
+    if (index === -1) {
+      continue;
+    }
+    try {
+      const { url, host } = JSON.parse(line.slice(index + BLOCKED_REQUEST_MARKER.length).trim());
+      if (typeof host !== "string") {
+        continue;
+      }
+      const entry = byHost.get(host) || { host, count: 0, url };
+      entry.count++;
+      byHost.set(host, entry);
+    } catch {
+      // Interleaved output - ignore the line
+    }
+  }
+
+  return [...byHost.values()].sort((a, b) => b.count - a.count);
+}
+
+export function stripBlockedRequests(output: string): string {
+  return output
+    .split("\n")
+    .filter((line) => !line.includes(BLOCKED_REQUEST_MARKER))
+    .join("\n");
+}
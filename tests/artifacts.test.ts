@@ -0,0 +1,146 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ArtifactClient } from "@actions/artifact";
+import { UploadedArtifacts, artifactName, uploadArtifacts } from "../src/artifacts";
+import { repoConfigSchema, settingsFromRepoConfig } from "../src/config";
+import { FakeComment, createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const GITHUB_ENV = {
+  GITHUB_SERVER_URL: "https://github.com",
+  GITHUB_REPOSITORY: "acme/shop",
+  GITHUB_RUN_ID: "991",
+};
+
+function fakeClient(upload: jest.Mock): ArtifactClient {
+  return { uploadArtifact: upload } as unknown as ArtifactClient;
+}
+
+describe("test run artifacts", () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "artifacts-"));
+    const files: Record<string, number> = {
+      "screenshots/test-1-checkout/01-click-pay.png": 300 * 1024,
+      "screenshots/test-1-checkout/failure.png": 300 * 1024,
+      "trace.zip": 300 * 1024,
+      "videos/run.webm": 2 * 1024 * 1024,
+      "notes.txt": 10,
+    };
+    for (const [file, size] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), Buffer.alloc(size));
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("uploads within the size limit, leaving out videos before screenshots", async () => {
+    const upload = jest.fn(async () => ({ id: 42, size: 900 * 1024 }));
+
+    const result = await uploadArtifacts(
+      dir,
+      { name: "pr-7-ui-tests", retentionDays: 5, maxSizeMb: 1 },
+      fakeClient(upload),
+      GITHUB_ENV
+    );
+
+    expect(upload).toHaveBeenCalledWith(
+      "pr-7-ui-tests",
+      [
+        path.join(dir, "screenshots/test-1-checkout/01-click-pay.png"),
+        path.join(dir, "screenshots/test-1-checkout/failure.png"),
+        path.join(dir, "trace.zip"),
+      ],
+      dir,
+      { retentionDays: 5 }
+    );
+    expect(result).toMatchObject({
+      url: "https://github.com/acme/shop/actions/runs/991/artifacts/42",
+      size: 900 * 1024,
+      omitted: [{ path: "videos/run.webm", kind: "video", size: 2 * 1024 * 1024 }],
+    });
+    expect(artifactName(7, { GITHUB_RUN_ATTEMPT: "2" })).toBe("pr-7-ui-tests-attempt-2");
+  });
+
+  test("keeps the files on the runner when the upload fails", async () => {
+    const upload = jest.fn(async () => {
+      throw new Error("Unable to get the ACTIONS_RUNTIME_TOKEN env variable");
+    });
+
+    const result = await uploadArtifacts(
+      dir,
+      { name: "pr-7-ui-tests", retentionDays: 5, maxSizeMb: 100 },
+      fakeClient(upload),
+      GITHUB_ENV
+    );
+
+    expect(result).toMatchObject({
+      dir,
+      uploadError: "Unable to get the ACTIONS_RUNTIME_TOKEN env variable",
+    });
+    expect(result!.url).toBeUndefined();
+    expect(result!.files).toHaveLength(4);
+  });
+
+  test("links the artifact and failure screenshots from the report comment", async () => {
+    const artifacts: UploadedArtifacts = {
+      name: "pr-7-ui-tests",
+      dir,
+      files: [
+        { path: "screenshots/test-1-checkout/01-click-pay.png", kind: "screenshot", size: 1024 },
+        { path: "screenshots/test-1-checkout/failure.png", kind: "failure-screenshot", size: 1024 },
+        { path: "trace.zip", kind: "trace", size: 2048 },
+      ],
+      omitted: [{ path: "videos/run.webm", kind: "video", size: 30 * 1024 * 1024 }],
+      size: 4096,
+      retentionDays: 14,
+      url: "https://github.com/acme/shop/actions/runs/991/artifacts/42",
+    };
+    const testReport = {
+      success: false,
+      testResults: [
+        {
+          name: "Test 1: Checkout",
+          status: "failed" as const,
+          error: "Pay button is missing",
+          screenshot: "screenshots/test-1-checkout/failure.png",
+        },
+      ],
+    };
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+
+    await service.commentGenerated(testReport, { artifacts });
+
+    const body = comments[0].body;
+    expect(body).toContain("### 📎 Artifacts:");
+    expect(body).toContain(
+      "[pr-7-ui-tests](https://github.com/acme/shop/actions/runs/991/artifacts/42) (4 KB, kept for 14 days): 2 screenshots, 1 trace."
+    );
+    expect(body).toContain(
+      "   - Screenshot: `screenshots/test-1-checkout/failure.png` in [pr-7-ui-tests](https://github.com/acme/shop/actions/runs/991/artifacts/42)"
+    );
+    expect(body).toContain("Left out to stay under the size limit: `videos/run.webm` (30.0 MB).");
+    expect(service.buildCompactReport(testReport, { artifacts })).toContain(
+      "📎 [Test run artifacts](https://github.com/acme/shop/actions/runs/991/artifacts/42)"
+    );
+    expect(
+      service.buildGeneratedReport(testReport, { artifacts: { ...artifacts, url: undefined, uploadError: "no token" } })
+    ).toContain("not uploaded (no token): 2 screenshots, 1 trace.");
+  });
+
+  test("reads retention and size limits from the config file", () => {
+    expect(
+      settingsFromRepoConfig(
+        repoConfigSchema.parse({ artifacts: { video: true, "retention-days": 3, "max-size-mb": 50 } })
+      )
+    ).toMatchObject({ recordVideo: true, artifactRetentionDays: 3, artifactMaxSizeMb: 50 });
+    expect(repoConfigSchema.safeParse({ artifacts: { "retention-days": 120 } }).success).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ACTION_LOGIN, FakeComment, createFakeGitHubService } from "./helpers/fake-github";
+import { testPlan } from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+const prContext = (patch: string) => ({
+  pr: { title: "Add checkout", body: "Adds a checkout page", head: "checkout", base: "main", author: "dev", labels: [] },
+  files: [
+    { filename: "b.tsx", status: "added", additions: 3, deletions: 0, patch },
+    { filename: "a.tsx", status: "modified", additions: 1, deletions: 1, patch: "@@ -1 +1 @@" },
+  ],
+  previewUrls: [],
+  repoContext: {},
+});
+
+describe("test code cache", () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, TEST_USER_EMAIL: "qa@example.com", TEST_USER_PASSWORD: "hunter2" };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("hashes are stable across file order and change with content and prompt version", () => {
+    const { service } = createFakeGitHubService([], { promptVersion: "p1" });
+    const context = prContext("+ new");
+    const reordered = { ...context, files: [...context.files].reverse() };
+
+    expect(service.calculateChangesHash(reordered)).toBe(service.calculateChangesHash(context));
+    expect(service.calculateChangesHash(prContext("+ other"))).not.toBe(
+      service.calculateChangesHash(context)
+    );
+
+    const { service: newPrompts } = createFakeGitHubService([], { promptVersion: "p2" });
+    expect(newPrompts.calculateChangesHash(context)).not.toBe(service.calculateChangesHash(context));
+  });
+
+  test("round-trips through a bot comment without storing credentials", async () => {
+    const comments: FakeComment[] = [];
+    const { service, github } = createFakeGitHubService(comments);
+    const code = `await agent.act("Log in as qa@example.com with password hunter2");`;
+
+    const plan = testPlan("Log in as qa@example.com");
+    await service.cacheTestCode(code, "hash-1", plan);
+
+    expect(comments).toHaveLength(1);
+    expect(comments[0].body).not.toContain("hunter2");
+    expect(comments[0].body).toContain("{{TEST_USER_PASSWORD}}");
+
+    const cached = await service.getCachedTestCode();
+    expect(cached).toMatchObject({ changesHash: "hash-1" });
+    expect(cached!.testPlan!.tests[0].title).toBe("Log in as {{TEST_USER_EMAIL}}");
+    expect(service.restoreSensitiveCredentials(cached!.testCode)).toBe(code);
+
+    await service.cacheTestCode(code, "hash-2");
+    expect(github.issues.updateComment).toHaveBeenCalledTimes(1);
+    expect(comments).toHaveLength(1);
+    expect((await service.getCachedTestCode())!.changesHash).toBe("hash-2");
+  });
+
+  test("serves the exact code that ran and only redacts the readable copy", async () => {
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+    // A literal that looks like an API key, e.g. a fixture value typed into a form
+    const code = `await agent.act('Type "sk-test-abcdefghijklmnopqrstuv" into the API key field');`;
+
+    await service.cacheTestCode(code, "hash-1");
+
+    expect(comments[0].body).toContain(`<summary>Cached test code</summary>`);
+    expect(comments[0].body).toContain(`Type "[REDACTED]" into the API key field`);
+    expect((await service.getCachedTestCode())!.testCode).toBe(code);
+  });
+
+  test("ignores cache markers in comments written by other accounts", async () => {
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+    await service.cacheTestCode("// bot code", "hash-1");
+
+    comments[0].user = { type: "User", login: "mallory" };
+    expect(await service.getCachedTestCode()).toBeNull();
+
+    comments[0].user = { type: "Bot", login: "other-app[bot]" };
+    expect(await service.getCachedTestCode()).toBeNull();
+  });
+
+  test("ignores entries from another cache format version", async () => {
+    const payload = Buffer.from(JSON.stringify({ version: 0, changesHash: "h", testCode: "x" })).toString(
+      "base64"
+    );
+    const { service } = createFakeGitHubService([
+      { id: 1, body: `<!-- pr-test-generator-cache:v0\n${payload}\n-->`, user: { type: "Bot", login: ACTION_LOGIN } },
+    ]);
+
+    expect(await service.getCachedTestCode()).toBeNull();
+  });
+
+  test("prefers the on-disk cache when a cache directory is configured", async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-test-cache-"));
+    try {
+      const { service, github } = createFakeGitHubService([], { cacheDir });
+      await service.cacheTestCode("// cached", "hash-disk");
+
+      expect(fs.existsSync(path.join(cacheDir, "pr-7.json"))).toBe(true);
+
+      github.paginate.mockClear();
+      expect((await service.getCachedTestCode())!.changesHash).toBe("hash-disk");
+      expect(github.paginate).not.toHaveBeenCalled();
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { buildTestAnnotations, changedLines } from "../src/check-annotations";
+import { createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const files = [
+  { filename: "src/server/db.ts" },
+  {
+    filename: "app/settings/page.tsx",
+    patch: "@@ -10,3 +10,4 @@ export default function Settings() {\n   const a = 1;\n-  const b = 2;\n+  const b = 3;\n+  const c = 4;\n   return null;",
+  },
+  { filename: "src/components/Cart.tsx", patch: "@@ -1,2 +1,2 @@\n-old\n+new\n same" },
+];
+
+describe("check run annotations", () => {
+  test("computes new-side line numbers from a unified diff", () => {
+    expect(changedLines(files[1].patch)).toEqual([11, 12]);
+    expect(changedLines(undefined)).toEqual([]);
+  });
+
+  test("anchors each failed test on the file and line its plan item cites", () => {
+    const plan = [
+      "1. Settings save (Source: app/settings/page.tsx:12)",
+      "2. Cart opens after clicking Cart.tsx button",
+      "3. Page loads",
+      "4. Source cites an unchanged file (Source: src/other.ts:5)",
+    ].join("\n");
+    const results = [
+      { name: "Test 1: Settings save", status: "failed" as const, error: "Save button missing" },
+      { name: "Test 2: Cart opens", status: "failed" as const },
+      { name: "Test 3: Page loads", status: "passed" as const },
+      { name: "Test 4: Unchanged", status: "failed" as const, error: "x" },
+    ];
+
+    expect(
+      buildTestAnnotations(results, plan, files).map((a) => [a.title, a.path, a.start_line, a.message])
+    ).toEqual([
+      ["Test 1: Settings save", "app/settings/page.tsx", 12, "Save button missing"],
+      ["Test 2: Cart opens", "src/components/Cart.tsx", 1, "Test failed"],
+      ["Test 4: Unchanged", "app/settings/page.tsx", 11, "x"],
+    ]);
+  });
+});
+
+describe("check run lifecycle", () => {
+  test("starts in progress on the head commit and completes with the report", async () => {
+    const { service, github } = createFakeGitHubService([]);
+    (service as any).headSha = "abc123";
+
+    await service.startCheckRun();
+    expect(github.checks.create).toHaveBeenCalledWith(
+      expect.objectContaining({ head_sha: "abc123", status: "in_progress", name: "PR Test Generator" })
+    );
+
+    const annotations = Array.from({ length: 60 }, (_, i) => ({
+      path: "app/page.tsx",
+      start_line: i + 1,
+      end_line: i + 1,
+      annotation_level: "failure" as const,
+      title: `Test ${i + 1}`,
+      message: "failed",
+    }));
+    await service.completeTestCheckRun(
+      { success: false, testResults: [{ name: "Test 1: Home", status: "failed", error: "boom" }] },
+      annotations
+    );
+
+    expect(github.checks.update).toHaveBeenCalledTimes(2);
+    const [first, second] = github.checks.update.mock.calls.map((call: any[]) => call[0]);
+    expect(first).toMatchObject({
+      check_run_id: 55,
+      status: "completed",
+      conclusion: "failure",
+      output: { title: "1 of 1 tests failed" },
+    });
+    expect(first.output.summary).toContain("❌ **Tests failed**");
+    expect(first.output.annotations).toHaveLength(50);
+    expect(second.output.annotations).toHaveLength(10);
+  });
+
+  test("creates a completed check when none was started and survives API errors", async () => {
+    const { service, github } = createFakeGitHubService([]);
+    (service as any).headSha = "abc123";
+
+    await service.completeCheckRun("skipped", "No UI changes detected", "Skipped");
+    expect(github.checks.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "completed", conclusion: "skipped", head_sha: "abc123" })
+    );
+
+    github.checks.update.mockRejectedValueOnce(new Error("Resource not accessible by integration"));
+    await expect(service.completeCheckRun("error", "Failed", "boom")).resolves.toBeUndefined();
+  });
+});
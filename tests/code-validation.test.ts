@@ -0,0 +1,97 @@
+import ClaudeService from "../src/claude-service";
+import { GeneratedCodeError, cleanGeneratedCode, validateTestCode } from "../src/code-validation";
+import { createProvider } from "../src/llm-provider";
+import { messagesResponse, startMockLLMServer, testPlan } from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+const preamble = `const { startBrowserAgent } = require("magnitude-core");\n`;
+
+const validCode = `async function runTests() {
+  const agent = await startBrowserAgent({ url: process.env.PREVIEW_URL });
+  try {
+    await runTest("Test 1: Pay button works", async () => {
+      await agent.act("Click Pay");
+    });
+  } finally {
+    await agent.stop();
+  }
+}
+
+runTests();`;
+
+const prContext = {
+  files: [],
+  pr: { title: "Add pay button", body: null, author: "dev" },
+  previewUrls: ["https://shop-pr-7.vercel.app"],
+  repoContext: {},
+};
+
+describe("generated code validation", () => {
+  test("strips markdown fences, prose and duplicate imports", () => {
+    const response = `Here is the test code:
+
+\`\`\`javascript
+import { startBrowserAgent } from "magnitude-core";
+const { z } = require("zod");
+require("dotenv").config();
+${validCode}
+\`\`\`
+
+Let me know if you need changes.`;
+
+    expect(cleanGeneratedCode(response)).toBe(validCode);
+    expect(cleanGeneratedCode(validCode)).toBe(validCode);
+  });
+
+  test("accepts code that starts and stops the agent", () => {
+    expect(validateTestCode(validCode, preamble)).toEqual([]);
+
+    const assigned = `let browser;\n(async () => {\n  browser = await startBrowserAgent({});\n  await browser.stop();\n})();`;
+    expect(validateTestCode(assigned, preamble)).toEqual([]);
+  });
+
+  test("reports syntax errors relative to the generated code", () => {
+    const [diagnostic] = validateTestCode("async function run() {\n  await agent.act('x'\n}", preamble);
+
+    expect(diagnostic).toMatch(/^Syntax error at line 3, column 1: Unexpected token/);
+    expect(validateTestCode(`const { startBrowserAgent } = require("magnitude-core");`, preamble)[0]).toMatch(
+      /Identifier 'startBrowserAgent' has already been declared/
+    );
+  });
+
+  test("requires the agent to be started and stopped", () => {
+    expect(validateTestCode(`console.log("no browser");`, preamble)).toEqual([
+      "The code never calls startBrowserAgent(), so no browser is started",
+    ]);
+    expect(
+      validateTestCode(`(async () => {\n  const agent = await startBrowserAgent({});\n})();`, preamble)
+    ).toEqual(["The browser agent is never stopped: call `await agent.stop()` in a finally block"]);
+  });
+
+  test("sends invalid code back for repair and gives up after the configured rounds", async () => {
+    const responses = ["```js\nasync function runTests() {\n```", validCode];
+    const server = await startMockLLMServer(() => ({ body: messagesResponse(responses.shift() || "oops(") }));
+
+    try {
+      const service = new ClaudeService("key", {
+        provider: createProvider({ provider: "anthropic", apiKey: "key", baseUrl: server.url }),
+        repairRounds: 1,
+      });
+
+      const code = await service.generateTestCode(testPlan("Pay button works"), prContext, "");
+      expect(code.endsWith(validCode)).toBe(true);
+      expect(server.requests).toHaveLength(2);
+      const repairPrompt = server.requests[1].body.messages[0].content;
+      expect(repairPrompt).toContain("- Syntax error at line 1");
+      expect(repairPrompt).toContain("async function runTests() {");
+
+      const error = await service.generateTestCode(testPlan("Pay button works"), prContext, "").catch((e) => e);
+      expect(error).toBeInstanceOf(GeneratedCodeError);
+      expect(error.message).toMatch(/invalid after 1 repair round:\n- Syntax error/);
+      expect(server.requests).toHaveLength(4);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  deploymentStatusUrl,
+  findDeploymentUrls,
+  findPullRequestForCommit,
+} from "../src/deployments";
+import { createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const deployments = [
+  { id: 3, environment: "Production", production_environment: true },
+  { id: 2, environment: "Preview", production_environment: false },
+  { id: 1, environment: "Storybook", production_environment: false },
+  { id: 4, environment: "Preview – docs", production_environment: false },
+];
+
+const statuses: Record<number, any[]> = {
+  3: [{ state: "success", environment_url: "https://example.com" }],
+  2: [{ state: "success", environment_url: "https://pr-7.preview.example.com" }],
+  1: [{ state: "in_progress", target_url: "https://storybook.example.com" }],
+  4: [{ state: "success", environment_url: null, target_url: "https://docs-pr-7.example.com" }],
+};
+
+function fakeRepos() {
+  return {
+    listDeployments: jest.fn(async () => ({ data: deployments })),
+    listDeploymentStatuses: jest.fn(async ({ deployment_id }: { deployment_id: number }) => ({
+      data: statuses[deployment_id] || [],
+    })),
+    listPullRequestsAssociatedWithCommit: jest.fn(async () => ({
+      data: [
+        { number: 5, state: "closed", head: { sha: "abc" } },
+        { number: 6, state: "open", head: { sha: "def" } },
+        { number: 7, state: "open", head: { sha: "abc" } },
+      ],
+    })),
+  };
+}
+
+describe("deployment preview detection", () => {
+  test("prefers environment_url and ignores non-HTTP URLs", () => {
+    expect(deploymentStatusUrl({ state: "success", environment_url: "https://a.dev", target_url: "https://b.dev" })).toBe(
+      "https://a.dev"
+    );
+    expect(deploymentStatusUrl({ state: "success", target_url: "https://b.dev" })).toBe("https://b.dev");
+    expect(deploymentStatusUrl({ state: "success", environment_url: "ftp://a.dev" })).toBeNull();
+  });
+
+  test("returns successful preview deployments of the commit only", async () => {
+    const repos = fakeRepos();
+    const urls = await findDeploymentUrls({ repos } as any, "acme", "shop", "abc");
+
+    expect(repos.listDeployments).toHaveBeenCalledWith(expect.objectContaining({ sha: "abc" }));
+    expect(urls).toEqual(["https://pr-7.preview.example.com", "https://docs-pr-7.example.com"]);
+  });
+
+  test("maps a deployed commit to the open PR whose head it is", async () => {
+    const github = { repos: fakeRepos() } as any;
+
+    expect(await findPullRequestForCommit(github, "acme", "shop", "abc")).toBe(7);
+    expect(await findPullRequestForCommit(github, "acme", "shop", "zzz")).toBeNull();
+  });
+
+  test("GitHubService lists deployment URLs ahead of comment URLs", async () => {
+    const { service, github } = createFakeGitHubService([
+      { id: 1, body: "Preview ready at https://shop-git-feature.vercel.app", user: { type: "Bot" } },
+    ]);
+    (service as any).headSha = "abc";
+    Object.assign(github.repos, fakeRepos());
+
+    expect(await service.getPreviewUrls()).toEqual([
+      "https://pr-7.preview.example.com",
+      "https://docs-pr-7.example.com",
+      "https://shop-git-feature.vercel.app",
+    ]);
+  });
+});
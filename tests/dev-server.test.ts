@@ -0,0 +1,79 @@
+import DevServer, { buildServerEnv } from "../src/dev-server";
+import { BLOG_DIR, getFreePort } from "./helpers/blog-server";
+
+jest.mock("@actions/core");
+
+async function isServing(url: string): Promise<boolean> {
+  try {
+    await fetch(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe("DevServer", () => {
+  test("builds, starts the app on the configured port and tears the process tree down", async () => {
+    const port = await getFreePort();
+    const server = new DevServer({
+      // The shell forks node, so stopping must reach the grandchild too
+      startCommand: `"${process.execPath}" server.js & wait`,
+      buildCommand: "echo building",
+      workingDirectory: BLOG_DIR,
+      port,
+      readyText: "My Awesome Blog",
+      startTimeout: 20,
+    });
+
+    try {
+      expect(await server.start()).toBe(`http://localhost:${port}`);
+      expect(await isServing(server.url)).toBe(true);
+    } finally {
+      await server.stop();
+    }
+
+    expect(await isServing(server.url)).toBe(false);
+  });
+
+  test("fails when the build command fails", async () => {
+    const server = new DevServer({
+      startCommand: "echo never started",
+      buildCommand: "echo compile error >&2; exit 3",
+      startTimeout: 10,
+    });
+
+    await expect(server.start()).rejects.toThrow(/Build command failed with exit code 3:\s+compile error/);
+  });
+
+  test("fails fast when the app exits before it is ready", async () => {
+    const server = new DevServer({
+      startCommand: "echo missing dependency; exit 1",
+      port: await getFreePort(),
+      startTimeout: 20,
+    });
+
+    await expect(server.start()).rejects.toThrow(/App exited with code 1 before it became ready:\s+missing dependency/);
+  });
+
+  test("passes only the curated environment to the app", () => {
+    const env = buildServerEnv(4000, ["DATABASE_URL", "INPUT_CLAUDE-API-KEY", "GITHUB_TOKEN"], {
+      PATH: "/usr/bin",
+      HOME: "/home/runner",
+      CI: "true",
+      DATABASE_URL: "postgres://localhost/shop",
+      "INPUT_CLAUDE-API-KEY": "sk-ant-secret",
+      INPUT_GITHUB_TOKEN: "ghs_secret",
+      GITHUB_TOKEN: "ghs_secret",
+      AWS_SECRET_ACCESS_KEY: "aws-secret",
+    });
+
+    expect(env).toEqual({
+      PATH: "/usr/bin",
+      HOME: "/home/runner",
+      CI: "true",
+      DATABASE_URL: "postgres://localhost/shop",
+      PORT: "4000",
+      BROWSER: "none",
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { Octokit } from "@octokit/rest";
+import ClaudeService from "../src/claude-service";
+import {
+  buildDiffContext,
+  describeDiffCoverage,
+  estimateTokens,
+  renderDiffContext,
+  scoreFile,
+  truncatePatch,
+} from "../src/diff-context";
+import { createFakeGitHubService } from "./helpers/fake-github";
+import { startMockLLMServer } from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+function file(filename: string, patch = "@@ -1,1 +1,1 @@\n-old\n+new", status = "modified") {
+  const lines = patch.split("\n");
+  return {
+    filename,
+    status,
+    additions: lines.filter((line) => line.startsWith("+")).length,
+    deletions: lines.filter((line) => line.startsWith("-")).length,
+    patch,
+  };
+}
+
+function hunk(start: number, lines: number) {
+  const body = Array.from({ length: lines }, (_, i) => `+line ${start + i}`);
+  return [`@@ -${start},${lines} +${start},${lines} @@`, ...body].join("\n");
+}
+
+describe("diff context", () => {
+  test("ranks UI and route files above backend files and lockfiles", () => {
+    const page = scoreFile(file("app/checkout/page.tsx"));
+    const component = scoreFile(file("src/components/Button.tsx"));
+    const server = scoreFile(file("server/db.ts"));
+    const lockfile = scoreFile(file("package-lock.json"));
+
+    expect(page).toBeGreaterThan(component);
+    expect(component).toBeGreaterThan(server);
+    expect(server).toBeGreaterThan(lockfile);
+    expect(scoreFile(file("src/utils/format.ts"), new Set(["src/utils/format.ts"]))).toBeGreaterThan(
+      scoreFile(file("src/utils/format.ts"))
+    );
+  });
+
+  test("truncates patches at hunk boundaries", () => {
+    const patch = [hunk(1, 10), hunk(50, 10), hunk(100, 10)].join("\n");
+
+    const result = truncatePatch(patch, estimateTokens(hunk(1, 10)) + 5);
+
+    expect(result.patch).toBe(hunk(1, 10));
+    expect(result.truncated).toBe(true);
+    expect(result.omittedHunks).toBe(2);
+    expect(truncatePatch(patch, 10000)).toEqual({ patch, truncated: false, omittedHunks: 0 });
+  });
+
+  test("keeps the most relevant files and summarises the rest", () => {
+    const files = [
+      ...Array.from({ length: 30 }, (_, i) => file(`server/jobs/job${i}.ts`, hunk(1, 40))),
+      file("app/checkout/page.tsx", hunk(1, 40)),
+    ];
+
+    const context = buildDiffContext(files, { maxTokens: 2000, maxFileTokens: 500 });
+
+    expect(context.included[0].file.filename).toBe("app/checkout/page.tsx");
+    expect(context.included.length).toBeLessThan(files.length);
+    expect(context.included.length + context.summarized.length + context.omitted.length).toBe(files.length);
+    expect(estimateTokens(renderDiffContext(context))).toBeLessThanOrEqual(2000);
+
+    const rendered = renderDiffContext(context);
+    expect(rendered).toContain("### Other changed files (diff not shown)");
+    expect(rendered).toContain(`- ${context.summarized[0].filename} (modified, +40 -0)`);
+  });
+
+  test("counts files that do not fit even as a summary", () => {
+    const files = Array.from({ length: 50 }, (_, i) => file(`lib/file${i}.ts`, hunk(1, 40)));
+
+    const context = buildDiffContext(files, { maxTokens: 600, maxFileTokens: 300 });
+
+    expect(context.omitted.length).toBeGreaterThan(0);
+    expect(renderDiffContext(context)).toContain(`...and ${context.omitted.length} more changed files not listed`);
+  });
+
+  test("describes what the model did not see", () => {
+    const small = buildDiffContext([file("app/page.tsx")], { maxTokens: 2000, maxFileTokens: 500 });
+    expect(describeDiffCoverage(small)).toBeNull();
+
+    const large = buildDiffContext([file("app/page.tsx", [hunk(1, 200), hunk(300, 200)].join("\n"))], {
+      maxTokens: 2000,
+      maxFileTokens: 500,
+    });
+    expect(describeDiffCoverage(large)).toMatch(/truncated: `app\/page\.tsx`/);
+  });
+
+  test("analysis prompt prefers files on affected routes over earlier files", () => {
+    const service = new ClaudeService("key");
+    const files = [
+      ...Array.from({ length: 60 }, (_, i) => file(`scripts/migrate${i}.ts`, hunk(1, 200))),
+      file("src/lib/price.ts", hunk(1, 20)),
+    ];
+
+    const prompt = service.buildAnalysisPrompt({
+      files,
+      pr: { title: "Fix price rounding", body: null, author: "dev" },
+      previewUrls: [],
+      repoContext: {},
+      affectedRoutes: [
+        {
+          path: "/checkout",
+          entryFile: "app/checkout/page.tsx",
+          framework: "nextjs-app",
+          kind: "page",
+          changedFiles: ["src/lib/price.ts"],
+        },
+      ],
+    });
+
+    expect(prompt.indexOf("### src/lib/price.ts (modified)")).toBeGreaterThan(-1);
+    expect(prompt.indexOf("### src/lib/price.ts")).toBeLessThan(prompt.indexOf("### scripts/migrate0.ts"));
+    expect(prompt).toContain("### Other changed files (diff not shown)");
+    expect(
+      service.analysisCoverage({
+        files,
+        pr: { title: "", body: null, author: "" },
+        previewUrls: [],
+        repoContext: {},
+      })
+    ).toMatch(/summarised without diff/);
+  });
+
+  test("fetches every changed file, not just the first page", async () => {
+    const server = await startMockLLMServer((request) => {
+      const url = new URL(request.url, "http://localhost");
+      if (url.pathname === "/repos/acme/shop/pulls/7") {
+        return {
+          body: {
+            title: "Big refactor",
+            body: null,
+            head: { sha: "abc", ref: "refactor", repo: { full_name: "acme/shop" } },
+            base: { sha: "def", ref: "main", repo: { full_name: "acme/shop" } },
+            user: { login: "dev" },
+            labels: [],
+          },
+        };
+      }
+      if (url.pathname === "/repos/acme/shop/pulls/7/files") {
+        const page = Number(url.searchParams.get("page") || "1");
+        const next = `<${server.url}/repos/acme/shop/pulls/7/files?per_page=100&page=2>; rel="next"`;
+        return {
+          headers: page === 1 ? { link: next } : undefined,
+          body: Array.from({ length: page === 1 ? 100 : 30 }, (_, i) => file(`src/file-${page}-${i}.ts`)),
+        };
+      }
+      return url.pathname.includes("/contents/") ? { status: 404, body: { message: "Not Found" } } : { body: [] };
+    });
+
+    try {
+      const { service } = createFakeGitHubService([]);
+      (service as any).github = new Octokit({ baseUrl: server.url });
+
+      const prContext = await service.getPRContext();
+
+      expect(prContext.files).toHaveLength(130);
+      expect(prContext.files[129].filename).toBe("src/file-2-29.ts");
+    } finally {
+      await server.stop();
+    }
+  });
+});
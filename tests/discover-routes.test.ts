@@ -0,0 +1,129 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import { discoverRoutes } from "../src/discover-routes";
+import { BlogServer, startBlogServer } from "./helpers/blog-server";
+
+jest.mock("@actions/core");
+
+const PAGES: Record<string, string> = {
+  "/": `<html><head><title>Home</title></head><body>
+    <a href="/about">About <b>us</b></a>
+    <a href="/blog?page=1#top">Blog</a>
+    <a href="/admin">Admin</a>
+    <a href="https://external.example.com/">External</a>
+    <a href="/style.css">Styles</a>
+    <a href="mailto:hi@example.com">Mail</a>
+  </body></html>`,
+  "/about": `<html><head><title>About</title></head><body><a href="about/team">Team</a></body></html>`,
+  "/about/team": `<html><head><title>Team</title></head><body><a href="../deep">Deep</a></body></html>`,
+  "/blog": `<html><body><h1>Blog &amp; News</h1>
+    <form action="/search" method="post">
+      <label for="q">Search:</label><input id="q" name="q" type="search">
+      <input type="hidden" name="csrf" value="x">
+    </form></body></html>`,
+  "/admin": `<html><head><title>Admin</title></head></html>`,
+  "/deep": `<html><head><title>Deep</title></head></html>`,
+};
+
+describe("discoverRoutes", () => {
+  let site: http.Server;
+  let siteUrl: string;
+
+  beforeAll(async () => {
+    site = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url || "/", "http://localhost");
+      if (pathname === "/robots.txt") {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end("User-agent: *\nDisallow: /admin\n");
+      } else if (PAGES[pathname]) {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(PAGES[pathname]);
+      } else {
+        res.writeHead(404);
+        res.end("Not found");
+      }
+    });
+    await new Promise<void>((resolve) => site.listen(0, resolve));
+    siteUrl = `http://localhost:${(site.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => site.close(resolve));
+  });
+
+  test("crawls same-origin pages within the depth limit and honours robots.txt", async () => {
+    const sitemap = await discoverRoutes(siteUrl, { maxDepth: 1 });
+
+    expect(sitemap.discovered).toBe(true);
+    expect(sitemap.baseUrl).toBe(siteUrl);
+    expect(sitemap.pages.map((page) => page.path)).toEqual(["/", "/about", "/blog?page=1"]);
+
+    const home = sitemap.pages[0];
+    expect(home.links).toContainEqual({ text: "About us", href: "/about" });
+
+    const blog = sitemap.pages[2];
+    expect(blog.title).toBe("Blog & News");
+    expect(blog.forms).toEqual([
+      {
+        id: undefined,
+        action: "/search",
+        method: "POST",
+        fields: [{ name: "q", type: "search", label: "Search" }],
+      },
+    ]);
+  });
+
+  test("follows relative links at greater depth and stops at the page limit", async () => {
+    const deep = await discoverRoutes(siteUrl, { maxDepth: 3 });
+    expect(deep.pages.map((page) => page.path)).toEqual([
+      "/",
+      "/about",
+      "/blog?page=1",
+      "/about/team",
+      "/deep",
+    ]);
+
+    const limited = await discoverRoutes(siteUrl, { maxDepth: 3, maxPages: 2 });
+    expect(limited.pages).toHaveLength(2);
+  });
+
+  test("can ignore robots.txt when asked", async () => {
+    const sitemap = await discoverRoutes(siteUrl, { maxDepth: 1, respectRobots: false });
+    expect(sitemap.pages.map((page) => page.path)).toContain("/admin");
+  });
+
+  test("falls back to the root route without a URL", async () => {
+    const sitemap = await discoverRoutes(undefined);
+    expect(sitemap.discovered).toBe(false);
+    expect(sitemap.pages.map((page) => page.path)).toEqual(["/"]);
+  });
+
+  describe("against the simple-blog test site", () => {
+    let blog: BlogServer;
+
+    beforeAll(async () => {
+      blog = await startBlogServer();
+    });
+
+    afterAll(async () => {
+      await blog.stop();
+    });
+
+    test("records the page title and login form", async () => {
+      const sitemap = await discoverRoutes(blog.url);
+
+      expect(sitemap.pages).toHaveLength(1);
+      expect(sitemap.pages[0]).toMatchObject({
+        path: "/",
+        title: "My Awesome Blog - Tech & Life",
+      });
+      expect(sitemap.pages[0].forms[0]).toMatchObject({
+        id: "login-form",
+        fields: [
+          { name: "username", type: "text", label: "Username" },
+          { name: "password", type: "password", label: "Password" },
+        ],
+      });
+    });
+  });
+});
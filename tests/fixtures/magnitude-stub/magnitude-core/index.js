@@ -0,0 +1,76 @@
+/**
+ * Minimal stand-in for magnitude-core's browser agent used by the executor
+ * tests. It drives pages over plain HTTP instead of a real browser: `act`
+ * follows "Navigate to /path" instructions and `extract` reads the page title.
+ * Screenshots, traces and videos are text files naming the page they show.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+async function startBrowserAgent(options) {
+  const baseUrl = options.url;
+  let currentUrl = baseUrl;
+  let html = "";
+
+  const load = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    currentUrl = url;
+    html = await response.text();
+  };
+
+  await load(baseUrl);
+
+  const recordVideo = options.browser?.contextOptions?.recordVideo;
+  const context = {
+    tracing: {
+      async start() {},
+      async stop({ path: file }) {
+        writeFile(file, `stub trace ending at ${currentUrl}`);
+      },
+    },
+  };
+
+  return {
+    async act(instruction) {
+      console.log(`[stub-agent] act: ${instruction}`);
+      const match = instruction.match(/navigate to (\/\S*)/i);
+      if (match) {
+        await load(new URL(match[1], baseUrl).toString());
+      }
+    },
+
+    async extract(query, schema) {
+      console.log(`[stub-agent] extract: ${query}`);
+      const title = (html.match(/<title>([^<]*)<\/title>/i) || [])[1] || "";
+      return schema ? schema.parse(title.trim()) : title.trim();
+    },
+
+    get page() {
+      return {
+        url: () => currentUrl,
+        context: () => context,
+        async screenshot({ path: file }) {
+          writeFile(file, `stub screenshot of ${currentUrl}`);
+        },
+      };
+    },
+
+    async stop() {
+      if (recordVideo) {
+        writeFile(path.join(recordVideo.dir, "stub-video.webm"), "stub video");
+      }
+      console.log("[stub-agent] stopped");
+    },
+  };
+}
+
+module.exports = { startBrowserAgent };
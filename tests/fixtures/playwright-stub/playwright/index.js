@@ -0,0 +1,50 @@
+/**
+ * Minimal stand-in for Playwright used by the network guard tests. Contexts
+ * record the handlers passed to `route`, and `simulateRequest` runs a URL
+ * through them the way Playwright would, returning "continued" or "aborted".
+ */
+
+function createContext() {
+  const handlers = [];
+
+  return {
+    async route(pattern, handler) {
+      handlers.push(handler);
+    },
+
+    async simulateRequest(url) {
+      let outcome = "continued";
+      const route = {
+        request: () => ({ url: () => url }),
+        fallback: async () => {},
+        abort: async () => {
+          outcome = "aborted";
+        },
+      };
+      for (const handler of handlers) {
+        await handler(route);
+      }
+      return outcome;
+    },
+  };
+}
+
+const chromium = {
+  async launch() {
+    const contexts = [];
+    return {
+      contexts: () => contexts,
+      async newContext() {
+        const context = createContext();
+        contexts.push(context);
+        return context;
+      },
+      async newPage() {
+        const context = await this.newContext();
+        return { context: () => context };
+      },
+    };
+  },
+};
+
+module.exports = { chromium };
@@ -0,0 +1,71 @@
+import { evaluateGate, markFlakyTests, parseFailOnMode } from "../src/gating";
+
+const failedReport = {
+  success: false,
+  exitCode: 1,
+  errors: "Test 2: Menu opens: Menu closed",
+  testResults: [
+    { name: "Test 1: Home loads", status: "passed" as const },
+    { name: "Test 2: Menu opens", status: "failed" as const, error: "Menu closed" },
+    { name: "Test 3: Form submits", status: "failed" as const, error: "Timeout" },
+  ],
+};
+
+describe("fail-on gating", () => {
+  test("parses modes and defaults to generation-error", () => {
+    expect(parseFailOnMode("")).toBe("generation-error");
+    expect(parseFailOnMode(" Any-Failure ")).toBe("any-failure");
+    expect(() => parseFailOnMode("sometimes")).toThrow(/Invalid fail-on value "sometimes"/);
+  });
+
+  test("only gating modes fail on test failures", () => {
+    expect(evaluateGate("never", failedReport)).toBeNull();
+    expect(evaluateGate("generation-error", failedReport)).toBeNull();
+    expect(evaluateGate("any-failure", failedReport)).toBe(
+      "2 of 3 generated tests failed: Test 2: Menu opens, Test 3: Form submits"
+    );
+    expect(evaluateGate("any-failure", { ...failedReport, timedOut: true })).toBe(
+      "Generated test run timed out"
+    );
+    expect(
+      evaluateGate("any-failure", { success: false, errors: "SyntaxError: bad\n  at x", testResults: [] })
+    ).toBe("Generated test run failed: SyntaxError: bad");
+  });
+
+  test("passing, skipped and not-executed runs never fail", () => {
+    expect(evaluateGate("any-failure", { success: true, testResults: [] })).toBeNull();
+    expect(evaluateGate("any-failure", { success: true, executionSkipped: true })).toBeNull();
+    expect(evaluateGate("any-failure", undefined)).toBeNull();
+  });
+
+  test("tests that pass on retry are marked flaky and no longer fail the gate", () => {
+    const rerun = {
+      success: false,
+      testResults: [
+        { name: "Test 2: Menu opens", status: "passed" as const },
+        { name: "Test 3: Form submits", status: "failed" as const, error: "Timeout" },
+      ],
+    };
+
+    const merged = markFlakyTests(failedReport, rerun);
+    expect(merged.testResults[1]).toEqual({
+      name: "Test 2: Menu opens",
+      status: "passed",
+      error: "Menu closed",
+      flaky: true,
+    });
+    expect(merged.success).toBe(false);
+    expect(merged.errors).toBe("Test 3: Form submits: Timeout");
+    expect(evaluateGate("flaky-excluded", merged)).toBe(
+      "1 of 3 generated tests failed: Test 3: Form submits"
+    );
+
+    const allFlaky = markFlakyTests(failedReport, {
+      success: true,
+      testResults: rerun.testResults.map((test) => ({ name: test.name, status: "passed" as const })),
+    });
+    expect(allFlaky.success).toBe(true);
+    expect(allFlaky.errors).toBeUndefined();
+    expect(evaluateGate("flaky-excluded", allFlaky)).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+import { ChildProcess, spawn } from "child_process";
+import * as net from "net";
+import * as path from "path";
+
+export const BLOG_DIR = path.join(__dirname, "..", "test-sites", "simple-blog");
+
+export interface BlogServer {
+  url: string;
+  stop: () => Promise<void>;
+}
+
+export function getFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address() as net.AddressInfo;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts tests/test-sites/simple-blog/server.js on a free port and resolves
+ * once it reports that it is listening.
+ */
+export async function startBlogServer(): Promise<BlogServer> {
+  const port = await getFreePort();
+  const child: ChildProcess = spawn(process.execPath, ["server.js"], {
+    cwd: BLOG_DIR,
+    env: { ...process.env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    child.stdout?.on("data", (data: Buffer) => {
+      if (data.toString().includes("Server running")) {
+        resolve();
+      }
+    });
+    child.once("error", reject);
+    child.once("exit", (code) =>
+      reject(new Error(`Blog server exited with code ${code}`))
+    );
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    stop: () =>
+      new Promise<void>((resolve) => {
+        if (child.exitCode !== null) {
+          resolve();
+          return;
+        }
+        child.once("exit", () => resolve());
+        child.kill("SIGTERM");
+      }),
+  };
+}
@@ -0,0 +1,58 @@
+import GitHubService from "../../src/github-service";
+
+export interface FakeComment {
+  id: number;
+  body: string;
+  user: { type: string; login?: string };
+}
+
+// The account the fake token acts as
+export const ACTION_LOGIN = "github-actions[bot]";
+
+type ServiceOptions = Partial<ConstructorParameters<typeof GitHubService>[0]>;
+
+/**
+ * Creates a GitHubService whose Octokit client is replaced by an in-memory
+ * fake backed by `comments`. Comments created through it are authored by
+ * ACTION_LOGIN.
+ */
+export function createFakeGitHubService(comments: FakeComment[], options: ServiceOptions = {}) {
+  const service = new GitHubService({
+    githubToken: "token",
+    owner: "acme",
+    repo: "shop",
+    prNumber: 7,
+    ...options,
+  });
+
+  let nextId = 100;
+  const github = {
+    issues: {
+      listComments: jest.fn(),
+      createComment: jest.fn(async ({ body }: { body: string }) => {
+        const comment = { id: nextId++, body, user: { type: "Bot", login: ACTION_LOGIN } };
+        comments.push(comment);
+        return { data: { ...comment } };
+      }),
+      updateComment: jest.fn(async ({ comment_id, body }: { comment_id: number; body: string }) => {
+        comments.find((comment) => comment.id === comment_id)!.body = body;
+      }),
+    },
+    repos: {
+      listDeployments: jest.fn(async () => ({ data: [] as any[] })),
+      listDeploymentStatuses: jest.fn(async () => ({ data: [] as any[] })),
+    },
+    users: {
+      getAuthenticated: jest.fn(async () => ({ data: { login: ACTION_LOGIN } })),
+    },
+    checks: {
+      create: jest.fn(async () => ({ data: { id: 55 } })),
+      update: jest.fn(async () => ({ data: { id: 55 } })),
+    },
+    graphql: jest.fn(async () => ({ viewer: { login: ACTION_LOGIN } })),
+    paginate: jest.fn(async () => comments.map((comment) => ({ ...comment }))),
+  };
+  (service as any).github = github;
+
+  return { service, github };
+}
@@ -0,0 +1,90 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import { TestPlan } from "../../src/test-plan";
+
+export interface RecordedRequest {
+  method: string;
+  url: string;
+  headers: http.IncomingHttpHeaders;
+  body: any;
+}
+
+export interface MockResponse {
+  status?: number;
+  headers?: Record<string, string>;
+  body: unknown;
+}
+
+export interface MockLLMServer {
+  url: string;
+  requests: RecordedRequest[];
+  stop: () => Promise<void>;
+}
+
+/**
+ * Starts a local HTTP server that records every request and answers with
+ * `respond(request)`, so LLM providers can be tested without the network.
+ */
+export async function startMockLLMServer(
+  respond: (request: RecordedRequest) => MockResponse
+): Promise<MockLLMServer> {
+  const requests: RecordedRequest[] = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const request: RecordedRequest = {
+        method: req.method || "",
+        url: req.url || "",
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : undefined,
+      };
+      requests.push(request);
+
+      const { status = 200, headers, body } = respond(request);
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    stop: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+export function messagesResponse(text: string) {
+  return { content: [{ type: "text", text }] };
+}
+
+export function chatCompletionResponse(text: string) {
+  return { choices: [{ message: { role: "assistant", content: text } }] };
+}
+
+/**
+ * Messages API answer to a JSON request: the text continues the "{" the
+ * provider prefilled.
+ */
+export function jsonMessagesResponse(value: object) {
+  return messagesResponse(JSON.stringify(value).slice(1));
+}
+
+export function testPlan(...titles: string[]): TestPlan {
+  return {
+    tests: titles.map((title, index) => ({
+      id: index + 1,
+      title,
+      route: "/",
+      preconditions: [],
+      steps: [`Check that ${title.toLowerCase()}`],
+      expectedOutcomes: [title],
+      sourceFiles: [],
+      requiresAuth: false,
+    })),
+  };
+}
@@ -0,0 +1,120 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import ClaudeService from "../src/claude-service";
+import {
+  buildImportGraph,
+  findAffectedRoutes,
+  parseImportSpecifiers,
+} from "../src/import-graph";
+
+jest.mock("@actions/core");
+
+const FILES: Record<string, string> = {
+  "tsconfig.json": `{
+    // comments and trailing commas are allowed
+    "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["./src/*"], }, },
+  }`,
+  "app/layout.tsx": `import "./globals.css";\nexport default function Layout() {}`,
+  "app/globals.css": "body {}",
+  "app/page.tsx": `import { Hero } from "@/components/Hero";`,
+  "app/settings/page.tsx": `import Button from "@/components/Button";\nimport { save } from "../../src/lib/api.js";`,
+  "app/billing/page.tsx": `const Chart = dynamic(() => import("@/components/Chart"));`,
+  "src/components/Button.tsx": `export default function Button() {}`,
+  "src/components/Hero.tsx": `import Button from "./Button";`,
+  "src/components/Chart/index.tsx": `export default function Chart() {}`,
+  "src/lib/api.ts": `export function save() {}`,
+  "src/server/db.ts": `export const db = {};`,
+};
+
+describe("import graph", () => {
+  let rootDir: string;
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-graph-"));
+    for (const [file, content] of Object.entries(FILES)) {
+      fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, file), content);
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test("parses static, side-effect, re-export and dynamic imports", () => {
+    const source = `
+import React from "react";
+import {
+  a,
+  b,
+} from "./multi";
+import "./side-effect.css";
+export * from "./reexport";
+const lazy = import("./lazy");
+const legacy = require("./legacy");
+`;
+    expect(parseImportSpecifiers(source).sort()).toEqual(
+      ["./lazy", "./legacy", "./multi", "./reexport", "./side-effect.css", "react"].sort()
+    );
+  });
+
+  test("resolves relative paths, tsconfig aliases, index files and .js specifiers", () => {
+    const graph = buildImportGraph(rootDir);
+
+    expect([...graph.imports.get("app/settings/page.tsx")!].sort()).toEqual([
+      "src/components/Button.tsx",
+      "src/lib/api.ts",
+    ]);
+    expect([...graph.imports.get("app/billing/page.tsx")!]).toEqual([
+      "src/components/Chart/index.tsx",
+    ]);
+    expect([...graph.importers.get("src/components/Button.tsx")!].sort()).toEqual([
+      "app/settings/page.tsx",
+      "src/components/Hero.tsx",
+    ]);
+  });
+
+  test("finds every route that transitively imports a changed file", () => {
+    const routes = findAffectedRoutes(rootDir, ["src/components/Button.tsx"]);
+
+    expect(routes.map((route) => [route.path, route.entryFile])).toEqual([
+      ["/", "app/page.tsx"],
+      ["/settings", "app/settings/page.tsx"],
+    ]);
+    expect(routes[0].changedFiles).toEqual(["src/components/Button.tsx"]);
+  });
+
+  test("maps global styles through the root layout and ignores unrelated files", () => {
+    expect(findAffectedRoutes(rootDir, ["app/globals.css"])).toEqual([
+      {
+        path: "/",
+        entryFile: "app/layout.tsx",
+        framework: "nextjs-app",
+        kind: "layout",
+        changedFiles: ["app/globals.css"],
+      },
+    ]);
+    expect(findAffectedRoutes(rootDir, ["src/server/db.ts"])).toEqual([]);
+  });
+
+  test("affected routes drive the sitemap fallback for shared components", () => {
+    const service = new ClaudeService("test-key");
+    const affectedRoutes = findAffectedRoutes(rootDir, ["src/components/Chart/index.tsx"]);
+    const prContext = {
+      pr: { title: "Chart tweaks", body: null, author: "dev" },
+      files: [
+        { filename: "src/components/Chart/index.tsx", status: "modified", additions: 1, deletions: 0 },
+      ],
+      previewUrls: [],
+      repoContext: {},
+      affectedRoutes,
+    };
+
+    expect(service.fallbackSitemapRelevance(prContext, [{ path: "/billing" }])).toBe(true);
+    expect(service.fallbackSitemapRelevance(prContext, [{ path: "/settings" }])).toBe(false);
+    expect(service.buildAnalysisPrompt(prContext)).toContain(
+      "- `/billing` (entry: `app/billing/page.tsx`, via `src/components/Chart/index.tsx`)"
+    );
+  });
+});
@@ -0,0 +1,150 @@
+import ClaudeService from "../src/claude-service";
+import { LLMRequestError, createProvider, resolveModels } from "../src/llm-provider";
+import {
+  MockLLMServer,
+  chatCompletionResponse,
+  jsonMessagesResponse,
+  messagesResponse,
+  startMockLLMServer,
+  testPlan,
+} from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+const testCode = `// from claude
+(async () => {
+  const agent = await startBrowserAgent({ url: process.env.PREVIEW_URL });
+  await agent.stop();
+})();`;
+
+const prContext = {
+  files: [
+    {
+      filename: "app/checkout/page.tsx",
+      status: "modified",
+      additions: 3,
+      deletions: 1,
+      patch: "@@ -1,1 +1,3 @@\n+<button>Pay</button>",
+    },
+  ],
+  pr: { title: "Add pay button", body: null, author: "dev" },
+  previewUrls: ["https://shop-pr-7.vercel.app"],
+  repoContext: {},
+};
+
+describe("LLM providers", () => {
+  let server: MockLLMServer;
+
+  beforeEach(async () => {
+    server = await startMockLLMServer((request) => {
+      if (request.body?.messages?.[0]?.content === "fail") {
+        return { status: 529, body: { error: { message: "Overloaded" } } };
+      }
+      if (request.url.endsWith("/chat/completions")) {
+        return { body: chatCompletionResponse("from openai") };
+      }
+      // JSON requests prefill the assistant turn
+      return request.body?.messages?.length === 2
+        ? { body: jsonMessagesResponse(testPlan("Pay button works")) }
+        : { body: messagesResponse(request.body?.model === "code-model" ? testCode : "from claude") };
+    });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test("anthropic provider calls the Messages API at a custom base URL", async () => {
+    const provider = createProvider({ provider: "anthropic", apiKey: "sk-ant", baseUrl: `${server.url}/proxy/` });
+
+    const text = await provider.complete({ model: "claude-x", prompt: "hello", maxTokens: 50 });
+
+    expect(text).toBe("from claude");
+    expect(server.requests[0].url).toBe("/proxy/v1/messages");
+    expect(server.requests[0].headers["x-api-key"]).toBe("sk-ant");
+    expect(server.requests[0].headers["anthropic-version"]).toBe("2023-06-01");
+    expect(server.requests[0].body).toEqual({
+      model: "claude-x",
+      max_tokens: 50,
+      messages: [{ role: "user", content: "hello" }],
+    });
+  });
+
+  test("bedrock and vertex providers put the model in the URL", async () => {
+    await createProvider({ provider: "bedrock", apiKey: "aws-key", baseUrl: server.url }).complete({
+      model: "anthropic.claude-3-haiku-20240307-v1:0",
+      prompt: "hello",
+      maxTokens: 10,
+    });
+    await createProvider({
+      provider: "vertex",
+      apiKey: "gcp-token",
+      baseUrl: `${server.url}/v1/projects/shop/locations/us-east5`,
+    }).complete({ model: "claude-3-haiku@20240307", prompt: "hello", maxTokens: 10 });
+
+    const [bedrock, vertex] = server.requests;
+    expect(bedrock.url).toBe("/model/anthropic.claude-3-haiku-20240307-v1%3A0/invoke");
+    expect(bedrock.headers.authorization).toBe("Bearer aws-key");
+    expect(bedrock.body.anthropic_version).toBe("bedrock-2023-05-31");
+    expect(bedrock.body.model).toBeUndefined();
+    expect(vertex.url).toBe(
+      "/v1/projects/shop/locations/us-east5/publishers/anthropic/models/claude-3-haiku@20240307:rawPredict"
+    );
+    expect(vertex.body.anthropic_version).toBe("vertex-2023-10-16");
+    expect(() => createProvider({ provider: "bedrock", apiKey: "aws-key" })).toThrow(/requires a base URL/);
+  });
+
+  test("openai-compatible provider calls Chat Completions", async () => {
+    const provider = createProvider({ provider: "openai", apiKey: "sk-oai", baseUrl: `${server.url}/v1` });
+
+    const text = await provider.complete({ model: "gpt-4o", prompt: "hello", maxTokens: 20 });
+
+    expect(text).toBe("from openai");
+    expect(server.requests[0].url).toBe("/v1/chat/completions");
+    expect(server.requests[0].headers.authorization).toBe("Bearer sk-oai");
+    expect(server.requests[0].body.model).toBe("gpt-4o");
+  });
+
+  test("JSON requests prefill the Messages API and use JSON mode on Chat Completions", async () => {
+    const anthropic = createProvider({ provider: "anthropic", apiKey: "sk-ant", baseUrl: server.url });
+    const openai = createProvider({ provider: "openai", apiKey: "sk-oai", baseUrl: server.url });
+
+    const text = await anthropic.complete({ model: "claude-x", prompt: "plan", maxTokens: 10, json: true });
+    await openai.complete({ model: "gpt-4o", prompt: "plan", maxTokens: 10, json: true });
+
+    expect(JSON.parse(text)).toEqual(testPlan("Pay button works"));
+    expect(server.requests[0].body.messages).toEqual([
+      { role: "user", content: "plan" },
+      { role: "assistant", content: "{" },
+    ]);
+    expect(server.requests[1].body.response_format).toEqual({ type: "json_object" });
+  });
+
+  test("failed requests raise LLMRequestError with the response body", async () => {
+    const provider = createProvider({ provider: "anthropic", apiKey: "sk-ant", baseUrl: server.url });
+
+    const error = await provider
+      .complete({ model: "claude-x", prompt: "fail", maxTokens: 10 })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(LLMRequestError);
+    expect(error.status).toBe(529);
+    expect(error.message).toContain("Overloaded");
+  });
+
+  test("ClaudeService uses the model configured for each step", async () => {
+    const service = new ClaudeService("sk-ant", {
+      provider: createProvider({ provider: "anthropic", apiKey: "sk-ant", baseUrl: server.url }),
+      models: { classifier: "small-model", generator: "code-model" },
+    });
+
+    const plan = await service.analyzeAndPlan(prContext);
+    const code = await service.generateTestCode(plan, prContext, "");
+
+    expect(server.requests.map((request) => request.body.model)).toEqual([
+      resolveModels("anthropic").planner,
+      "code-model",
+    ]);
+    expect(code).toContain("from claude");
+  });
+});
@@ -0,0 +1,110 @@
+import { PathRule, evaluatePathRules } from "../src/path-rules";
+import { repoConfigSchema, settingsFromRepoConfig } from "../src/config";
+import { createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const rules: PathRule[] = [
+  { paths: ["services/api/**"], action: "never-test", reason: "Backend service" },
+  { paths: ["packages/billing/**"], route: "/billing" },
+  { paths: ["packages/theme/**"], action: "always-test" },
+  { paths: ["**/*.md"], action: "never-test" },
+];
+
+describe("path rules", () => {
+  test("skips when every changed file matches a never-test rule", () => {
+    const decision = evaluatePathRules(
+      ["services/api/src/handlers/invoice.ts", "docs/setup.md"],
+      rules
+    );
+
+    expect(decision.outcome).toBe("skip");
+    expect(decision.remainingFiles).toEqual([]);
+    expect(decision.reason).toBe(
+      "`services/api/src/handlers/invoice.ts` matched `services/api/**` → never-test (Backend service); " +
+        "`docs/setup.md` matched `**/*.md` → never-test"
+    );
+  });
+
+  test("route rules run tests scoped to the route", () => {
+    const decision = evaluatePathRules(
+      ["packages/billing/src/Invoice.tsx", "services/api/src/index.ts"],
+      rules
+    );
+
+    expect(decision.outcome).toBe("test");
+    expect(decision.routes).toEqual(["/billing"]);
+    expect(decision.remainingFiles).toEqual(["packages/billing/src/Invoice.tsx"]);
+    expect(decision.reason).toContain("→ route: /billing");
+  });
+
+  test("always-test wins over never-test matches on other files", () => {
+    const decision = evaluatePathRules(["packages/theme/colors.ts", "README.md"], rules);
+
+    expect(decision.outcome).toBe("test");
+    expect(decision.reason).toBe("`packages/theme/colors.ts` matched `packages/theme/**` → always-test");
+  });
+
+  test("leaves unmatched files to the Claude analysis", () => {
+    const decision = evaluatePathRules(["apps/web/src/App.tsx", "services/api/server.ts"], rules);
+
+    expect(decision.outcome).toBe("undecided");
+    expect(decision.remainingFiles).toEqual(["apps/web/src/App.tsx"]);
+    expect(evaluatePathRules(["apps/web/src/App.tsx"], []).outcome).toBe("undecided");
+  });
+
+  test("reads rules from the config file and requires one action per rule", () => {
+    const config = repoConfigSchema.parse({
+      paths: { rules: [{ paths: "services/**", action: "never-test" }] },
+    });
+    expect(settingsFromRepoConfig(config).pathRules).toEqual([
+      { paths: ["services/**"], action: "never-test" },
+    ]);
+
+    expect(
+      repoConfigSchema.safeParse({
+        paths: { rules: [{ paths: "services/**", action: "never-test", route: "/api" }] },
+      }).success
+    ).toBe(false);
+    expect(
+      repoConfigSchema.safeParse({ paths: { rules: [{ paths: "src/**", route: "billing" }] } })
+        .success
+    ).toBe(false);
+  });
+
+  test("names the matched rule in the skip comment", async () => {
+    const comments: any[] = [];
+    const { service } = createFakeGitHubService(comments);
+
+    await service.commentSkippedTests("`services/api/x.ts` matched `services/api/**` → never-test");
+
+    expect(comments[0].body).toContain(
+      "UI tests were skipped because `services/api/x.ts` matched `services/api/**` → never-test."
+    );
+    expect(comments[0].body).not.toContain("Frontend file patterns");
+    expect(comments[0].body).toContain(
+      "Path rules are configured under `paths.rules` in `.github/pr-test-generator.yml`"
+    );
+  });
+
+  test("names the config file the run read in the skip comment", async () => {
+    const comments: any[] = [];
+    const { service } = createFakeGitHubService(comments, { configFile: "config/ui-tests.yml" });
+
+    await service.commentSkippedTests("`docs/x.md` matched `docs/**` → never-test");
+
+    expect(comments[0].body).toContain("Path rules are configured under `paths.rules` in `config/ui-tests.yml`");
+  });
+
+  test("words the skip comment for the skip label", async () => {
+    const comments: any[] = [];
+    const { service } = createFakeGitHubService(comments);
+
+    await service.commentSkippedTests("the PR has the `ui-tests:skip` label", "label");
+
+    expect(comments[0].body).toContain("UI tests were skipped because the PR has the `ui-tests:skip` label.");
+    expect(comments[0].body).toContain("Remove the `ui-tests:skip` label to run UI tests again.");
+    expect(comments[0].body).toContain("⏭️ Skipped (by label)");
+    expect(comments[0].body).not.toContain("paths.rules");
+  });
+});
@@ -0,0 +1,107 @@
+import { execFileSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { canIssueCommands, labelOverride, parseSlashCommand, workspaceIsAtHead } from "../src/pr-controls";
+import ClaudeService from "../src/claude-service";
+
+jest.mock("@actions/core");
+
+describe("PR labels", () => {
+  test("skip wins over force", () => {
+    expect(labelOverride(["bug", "UI-Tests:Force"])).toBe("force");
+    expect(labelOverride(["ui-tests:force", "ui-tests:skip"])).toBe("skip");
+    expect(labelOverride(["enhancement"])).toBeNull();
+  });
+});
+
+describe("slash commands", () => {
+  test("parses the first /ui-test line", () => {
+    expect(parseSlashCommand("Looks good!\n/ui-test rerun")).toEqual({ name: "rerun" });
+    expect(parseSlashCommand("/ui-test regenerate")).toEqual({ name: "regenerate" });
+    expect(parseSlashCommand('/ui-test focus "checkout flow with a saved card"')).toEqual({
+      name: "focus",
+      guidance: "checkout flow with a saved card",
+    });
+    expect(parseSlashCommand("/ui-test focus coupon codes")).toEqual({
+      name: "focus",
+      guidance: "coupon codes",
+    });
+  });
+
+  test("ignores comments without a command and rejects unknown ones", () => {
+    expect(parseSlashCommand("Please run /ui-tests later")).toBeNull();
+    expect(parseSlashCommand("/ui-testing rerun")).toBeNull();
+    expect(() => parseSlashCommand("/ui-test deploy")).toThrow(/Unknown command/);
+    expect(() => parseSlashCommand('/ui-test focus ""')).toThrow(/Usage/);
+  });
+
+  test("only users with write access may issue commands", async () => {
+    const permissions: Record<string, { permission: string; role_name?: string }> = {
+      alice: { permission: "admin" },
+      bob: { permission: "write", role_name: "maintain" },
+      carol: { permission: "read", role_name: "triage" },
+    };
+    const github = {
+      repos: {
+        getCollaboratorPermissionLevel: jest.fn(async ({ username }: { username: string }) => {
+          if (!permissions[username]) {
+            throw new Error("Not Found");
+          }
+          return { data: permissions[username] };
+        }),
+      },
+    } as any;
+
+    expect(await canIssueCommands(github, "acme", "shop", "alice")).toBe(true);
+    expect(await canIssueCommands(github, "acme", "shop", "bob")).toBe(true);
+    expect(await canIssueCommands(github, "acme", "shop", "carol")).toBe(false);
+    expect(await canIssueCommands(github, "acme", "shop", "mallory")).toBe(false);
+  });
+
+  test("focus guidance is added to the analysis prompt", () => {
+    const service = new ClaudeService("key");
+    const prompt = (service as any).buildAnalysisPrompt({
+      files: [],
+      pr: { title: "Checkout", body: null, author: "alice" },
+      previewUrls: [],
+      repoContext: {},
+      guidance: "checkout flow",
+    });
+
+    expect(prompt).toContain("## Reviewer Guidance:");
+    expect(prompt).toContain("> checkout flow");
+  });
+});
+
+describe("workspace checkout", () => {
+  test("accepts the PR head or the merge commit built on it", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-controls-"));
+    const git = (...args: string[]) =>
+      execFileSync("git", ["-c", "user.name=dev", "-c", "user.email=dev@example.com", ...args], {
+        cwd: dir,
+        encoding: "utf8",
+      }).trim();
+
+    try {
+      expect(workspaceIsAtHead("abc123", dir)).toBeNull();
+
+      git("init", "-q");
+      git("commit", "-q", "--allow-empty", "-m", "base");
+      const base = git("rev-parse", "HEAD");
+      git("commit", "-q", "--allow-empty", "-m", "PR change");
+      const head = git("rev-parse", "HEAD");
+      expect(workspaceIsAtHead(head, dir)).toBe(true);
+
+      // What an issue_comment run checks out without a ref: the default branch
+      git("checkout", "-q", "-b", "main", base);
+      git("commit", "-q", "--allow-empty", "-m", "other change");
+      expect(workspaceIsAtHead(head, dir)).toBe(false);
+
+      git("merge", "-q", "--no-ff", "-m", "merge", head);
+      expect(workspaceIsAtHead(head, dir)).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
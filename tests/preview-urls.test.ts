@@ -0,0 +1,103 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import { expandUrlTemplate, matchPreviewUrls, parsePreviewUrlPatterns } from "../src/preview-urls";
+import { waitForReady } from "../src/readiness-probe";
+import { createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+describe("preview URL patterns", () => {
+  test("built-in patterns cover the common preview hosts", () => {
+    const { patterns, templates } = parsePreviewUrlPatterns();
+    const comment = `Deployed:
+- https://shop-git-feat.vercel.app
+- https://a1b2c3.shop.pages.dev
+- https://shop-pr-7.onrender.com
+- https://shop-pr-7.fly.dev`;
+
+    expect(templates).toEqual([]);
+    expect(matchPreviewUrls(comment, patterns)).toEqual([
+      "https://shop-git-feat.vercel.app",
+      "https://a1b2c3.shop.pages.dev",
+      "https://shop-pr-7.onrender.com",
+      "https://shop-pr-7.fly.dev",
+    ]);
+  });
+
+  test("splits custom entries into regexes and URL templates", () => {
+    const { patterns, templates } = parsePreviewUrlPatterns(`
+# self-hosted previews
+https://[a-z0-9-]+\\.previews\\.example\\.com
+http://pr-{number}.preview.internal
+`);
+
+    expect(templates).toEqual(["http://pr-{number}.preview.internal"]);
+    expect(matchPreviewUrls("see https://pr-7.previews.example.com now", patterns)).toEqual([
+      "https://pr-7.previews.example.com",
+    ]);
+    expect(() => parsePreviewUrlPatterns("https://(broken")).toThrow(/Invalid preview URL pattern/);
+  });
+
+  test("expands templates from the PR number, branch and commit", () => {
+    expect(expandUrlTemplate("http://pr-{number}.preview.internal", { number: 123 })).toBe(
+      "http://pr-123.preview.internal"
+    );
+    expect(
+      expandUrlTemplate("https://{branch}--shop.netlify.app/{sha}", {
+        number: 1,
+        branch: "Feature/Login_Page",
+        sha: "abc123",
+      })
+    ).toBe("https://feature-login-page--shop.netlify.app/abc123");
+    expect(expandUrlTemplate("https://{branch}.example.com", { number: 1 })).toBeNull();
+  });
+
+  test("GitHubService adds templated URLs after deployments", async () => {
+    const { service } = createFakeGitHubService([], {
+      previewUrlPatterns: parsePreviewUrlPatterns("https://pr-{number}.example.com"),
+    });
+
+    expect(await service.getPreviewUrls()).toEqual(["https://pr-7.example.com"]);
+  });
+});
+
+describe("readiness probe", () => {
+  let server: http.Server;
+  let url: string;
+  let requests = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((_req, res) => {
+      requests++;
+      if (requests < 3) {
+        res.writeHead(503);
+        res.end("warming up");
+      } else {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end(requests < 4 ? "<h1>Loading</h1>" : "<h1>My Shop</h1>");
+      }
+    });
+    await new Promise<void>((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = 0;
+  });
+
+  test("polls until the page is healthy and contains the expected text", async () => {
+    const result = await waitForReady(url, { timeout: 5000, interval: 10, expectedText: "My Shop" });
+
+    expect(result).toEqual({ ready: true, attempts: 4, status: 200 });
+  });
+
+  test("gives up after the timeout with the last reason", async () => {
+    const result = await waitForReady(url, { timeout: 0, interval: 10 });
+
+    expect(result).toEqual({ ready: false, attempts: 1, status: 503, reason: "HTTP 503" });
+  });
+});
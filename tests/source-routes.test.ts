@@ -0,0 +1,145 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import ClaudeService from "../src/claude-service";
+import {
+  extractReactRouterRoutes,
+  extractSourceRoutes,
+  routeForFile,
+  routeMatchesPath,
+} from "../src/source-routes";
+
+jest.mock("@actions/core");
+
+describe("routeForFile", () => {
+  test.each([
+    ["app/settings/page.tsx", "/settings", "nextjs-app", "page"],
+    ["src/app/(shop)/cart/[id]/page.jsx", "/cart/:id", "nextjs-app", "page"],
+    ["apps/web/app/docs/[...slug]/page.mdx", "/docs/*", "nextjs-app", "page"],
+    ["app/dashboard/layout.tsx", "/dashboard", "nextjs-app", "layout"],
+    ["app/page.tsx", "/", "nextjs-app", "page"],
+    ["pages/index.tsx", "/", "nextjs-pages", "page"],
+    ["src/pages/blog/[slug].jsx", "/blog/:slug", "nextjs-pages", "page"],
+    ["src/routes/blog/[slug]/+page.svelte", "/blog/:slug", "sveltekit", "page"],
+    ["src/routes/(app)/account/+layout.svelte", "/account", "sveltekit", "layout"],
+    ["pages/users/[id].vue", "/users/:id", "nuxt", "page"],
+    ["pages/index.vue", "/", "nuxt", "page"],
+    ["apps/web/src/pages/about.tsx", "/about", "nextjs-pages", "page"],
+  ])("%s → %s", (file, routePath, framework, kind) => {
+    expect(routeForFile(file)).toEqual({ path: routePath, file, framework, kind });
+  });
+
+  test.each([
+    "pages/api/users.ts",
+    "pages/_app.tsx",
+    "app/@modal/(.)photo/page.tsx",
+    "src/components/Button.tsx",
+    "app/settings/page.test.tsx",
+    "server/app.js",
+    "src/components/pages/Header.tsx",
+    "components/pages/Header.vue",
+    "src/features/checkout/app/page.tsx",
+  ])("%s is not a route", (file) => {
+    expect(routeForFile(file)).toBeNull();
+  });
+});
+
+describe("extractReactRouterRoutes", () => {
+  test("finds JSX routes and route objects", () => {
+    const source = `
+import { Routes, Route, createBrowserRouter } from "react-router-dom";
+<Routes>
+  <Route path="/" element={<Home />} />
+  <Route element={<Layout title={title} />} path='settings' />
+</Routes>;
+const router = createBrowserRouter([{ path: "/billing", element: <Billing /> }]);
+`;
+
+    expect(extractReactRouterRoutes(source, "src/App.tsx")).toEqual([
+      { path: "/", file: "src/App.tsx", framework: "react-router", kind: "page", component: "Home" },
+      { path: "/settings", file: "src/App.tsx", framework: "react-router", kind: "page", component: "Layout" },
+      { path: "/billing", file: "src/App.tsx", framework: "react-router", kind: "page", component: "Billing" },
+    ]);
+  });
+});
+
+describe("extractSourceRoutes", () => {
+  let rootDir: string;
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "source-routes-"));
+    const write = (file: string, content = "export default function Page() {}") => {
+      fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, file), content);
+    };
+
+    write("app/settings/page.tsx");
+    write("app/layout.tsx");
+    write("node_modules/pkg/pages/ignored.js");
+    write("src/App.jsx", `import { Route } from "react-router-dom";\n<Route path="/about" element={<About />} />`);
+    write("src/components/Button.tsx");
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test("walks the tree and skips dependency directories", () => {
+    const routes = extractSourceRoutes(rootDir);
+
+    expect(routes.map((route) => `${route.kind} ${route.path} ${route.file}`)).toEqual([
+      "layout / app/layout.tsx",
+      "page /settings app/settings/page.tsx",
+      "page /about src/App.jsx",
+    ]);
+  });
+});
+
+describe("routeMatchesPath", () => {
+  const route = (routePath: string, kind: "page" | "layout" = "page") => ({
+    path: routePath,
+    file: "x",
+    framework: "nextjs-app" as const,
+    kind,
+  });
+
+  test("matches dynamic segments, catch-alls, full URLs and layouts", () => {
+    expect(routeMatchesPath(route("/blog/:slug"), "/blog/hello")).toBe(true);
+    expect(routeMatchesPath(route("/blog/:slug"), "/blog")).toBe(false);
+    expect(routeMatchesPath(route("/docs/*"), "/docs/a/b")).toBe(true);
+    expect(routeMatchesPath(route("/settings"), "https://preview.example.com/settings/")).toBe(true);
+    expect(routeMatchesPath(route("/settings"), "/settings/profile")).toBe(false);
+    expect(routeMatchesPath(route("/settings", "layout"), "/settings/profile")).toBe(true);
+  });
+
+  test("matches optional segments anywhere in the route", () => {
+    expect(routeMatchesPath(route("/:lang?/about"), "/about")).toBe(true);
+    expect(routeMatchesPath(route("/:lang?/about"), "/de/about")).toBe(true);
+    expect(routeMatchesPath(route("/:lang?/about"), "/de/fr/about")).toBe(false);
+    expect(routeMatchesPath(route("/blog/:slug?/"), "/blog")).toBe(true);
+    expect(routeMatchesPath(route("/blog/:slug?"), "/blog/hello?ref=home")).toBe(true);
+    expect(routeMatchesPath(route("/users/:id/edit?"), "/users/7")).toBe(true);
+    expect(routeMatchesPath(route("/users/:id/edit?"), "/users/7/delete")).toBe(false);
+  });
+});
+
+describe("ClaudeService sitemap relevance with source routes", () => {
+  const service = new ClaudeService("test-key");
+  const prContext = (filename: string) => ({
+    pr: { title: "Change", body: null, author: "dev" },
+    files: [{ filename, status: "modified", additions: 1, deletions: 1, patch: "" }],
+    previewUrls: [],
+    repoContext: {},
+  });
+  const sitemap = { pages: [{ path: "/" }, { path: "/settings" }] };
+
+  test("maps changed route files straight onto sitemap paths", () => {
+    expect(service.fallbackSitemapRelevance(prContext("app/settings/page.tsx"), sitemap)).toBe(true);
+    expect(service.fallbackSitemapRelevance(prContext("app/billing/page.tsx"), sitemap)).toBe(false);
+  });
+
+  test("still treats shared components as potentially relevant", () => {
+    expect(service.fallbackSitemapRelevance(prContext("src/components/Button.tsx"), sitemap)).toBe(true);
+    expect(service.fallbackSitemapRelevance(prContext("server/db.py"), sitemap)).toBe(false);
+  });
+});
@@ -0,0 +1,279 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import TestExecutor from "../src/test-executor";
+import { TEST_HARNESS } from "../src/test-protocol";
+import { BlogServer, startBlogServer } from "./helpers/blog-server";
+
+jest.mock("@actions/core");
+
+const STUB_MODULES = path.join(__dirname, "fixtures", "magnitude-stub");
+const PLAYWRIGHT_STUB = path.join(__dirname, "fixtures", "playwright-stub");
+const ROOT_MODULES = path.join(__dirname, "..", "node_modules");
+
+function buildTestCode(url: string, body: string): string {
+  return `
+const { startBrowserAgent } = require("magnitude-core");
+const { z } = require("zod");
+require("dotenv").config();
+
+async function runTests() {
+  const agent = await startBrowserAgent({ url: ${JSON.stringify(url)} });
+  try {
+${body}
+  } finally {
+    await agent.stop();
+  }
+}
+
+runTests()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Test suite failed:", error.message);
+    process.exit(1);
+  });
+`;
+}
+
+describe("TestExecutor", () => {
+  let server: BlogServer;
+
+  beforeAll(async () => {
+    server = await startBlogServer();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  const createExecutor = (timeout = 30000) =>
+    new TestExecutor({
+      claudeApiKey: "test-key",
+      timeout,
+      modulePaths: [STUB_MODULES, ROOT_MODULES],
+    });
+
+  test("runs passing generated tests against the blog and reports success", async () => {
+    const report = await createExecutor().executeTestsAndGenerateReport(
+      buildTestCode(
+        server.url,
+        `    await agent.act("Navigate to /");
+    const title = await agent.extract("Get the page title", z.string());
+    if (!title.includes("My Awesome Blog")) {
+      throw new Error("Unexpected title: " + title);
+    }
+    console.log("All tests completed successfully");`
+      )
+    );
+
+    expect(report.success).toBe(true);
+    expect(report.executionSkipped).toBe(false);
+    expect(report.exitCode).toBe(0);
+    expect(report.output).toContain("All tests completed successfully");
+    expect(report.testResults).toEqual([
+      expect.objectContaining({ status: "passed" }),
+    ]);
+  });
+
+  test("reports failures with stderr and exit code", async () => {
+    const report = await createExecutor().executeTestsAndGenerateReport(
+      buildTestCode(server.url, `    await agent.act("Navigate to /missing-page");`)
+    );
+
+    expect(report.success).toBe(false);
+    expect(report.exitCode).toBe(1);
+    expect(report.errors).toContain("Failed to load");
+    expect(report.testResults[0]).toMatchObject({ status: "failed" });
+  });
+
+  test("reports one result per plan item from the result protocol", async () => {
+    const plan = `1. Home page loads with the blog title
+2. Missing page is reachable
+3. Contact form submits`;
+
+    const report = await createExecutor().executeTestsAndGenerateReport(
+      TEST_HARNESS +
+        buildTestCode(
+          server.url,
+          `    await runTest("Test 1: Home page loads", async () => {
+      const title = await agent.extract("Get the page title", z.string());
+      if (!title.includes("My Awesome Blog")) throw new Error("Wrong title");
+    });
+    await runTest("Test 2: Missing page", async () => {
+      await agent.act("Navigate to /missing-page");
+    });`
+        ),
+      plan
+    );
+
+    expect(report.success).toBe(false);
+    expect(report.output).not.toContain("##PR_TEST_RESULT##");
+    expect(report.testResults.map((test) => test.status)).toEqual([
+      "passed",
+      "failed",
+      "skipped",
+    ]);
+    expect(report.testResults[1].error).toContain("Failed to load");
+    expect(report.errors).toContain("Test 2: Missing page");
+  });
+
+  test("runs only the requested tests when re-running failures", async () => {
+    const report = await createExecutor().executeTestsAndGenerateReport(
+      TEST_HARNESS +
+        `
+(async () => {
+  await runTest("Test 1: Passes", async () => {});
+  await runTest("Test 2: Fails", async () => { throw new Error("boom"); });
+})();`,
+      null,
+      { onlyTests: ["Test 2: Fails"] }
+    );
+
+    expect(report.testResults).toEqual([
+      expect.objectContaining({ name: "Test 2: Fails", status: "failed", error: "boom" }),
+    ]);
+  });
+
+  test("terminates runs that exceed the timeout", async () => {
+    const report = await createExecutor(1000).executeTestsAndGenerateReport(
+      "setTimeout(() => {}, 60000);"
+    );
+
+    expect(report.success).toBe(false);
+    expect(report.timedOut).toBe(true);
+    expect(report.errors).toContain("timed out");
+  });
+
+  test("passes the API key to the test process", async () => {
+    const report = await createExecutor().executeTestsAndGenerateReport(
+      "console.log('key=' + process.env.ANTHROPIC_API_KEY);"
+    );
+
+    expect(report.output).toContain("key=test-key");
+  });
+
+  test("runs tests in a sandbox directory with a curated environment", async () => {
+    process.env.GITHUB_TOKEN = "ghs_secret";
+    process.env.DEPLOY_KEY = "deploy-secret";
+    process.env.FEATURE_FLAGS = "new-checkout";
+    try {
+      const executor = new TestExecutor({
+        claudeApiKey: "test-key",
+        modulePaths: [STUB_MODULES, ROOT_MODULES],
+        allowEnv: ["FEATURE_FLAGS"],
+      });
+      const report = await executor.executeTestsAndGenerateReport(
+        `require("dotenv").config();
+const { GITHUB_TOKEN, DEPLOY_KEY, FEATURE_FLAGS, PREVIEW_URL, HOME } = process.env;
+console.log("env=" + JSON.stringify({ GITHUB_TOKEN, DEPLOY_KEY, FEATURE_FLAGS, PREVIEW_URL, sandboxed: HOME === process.cwd() }));`,
+        null,
+        { previewUrls: [server.url] }
+      );
+
+      const line = report.output.split("\n").find((text) => text.startsWith("env="));
+      expect(JSON.parse(line!.slice(4))).toEqual({
+        GITHUB_TOKEN: "",
+        FEATURE_FLAGS: "new-checkout",
+        PREVIEW_URL: server.url,
+        sandboxed: true,
+      });
+    } finally {
+      delete process.env.GITHUB_TOKEN;
+      delete process.env.DEPLOY_KEY;
+      delete process.env.FEATURE_FLAGS;
+    }
+  });
+
+  test("limits browser requests to the preview and allowed hosts and reports the rest", async () => {
+    const executor = new TestExecutor({
+      claudeApiKey: "test-key",
+      modulePaths: [PLAYWRIGHT_STUB, STUB_MODULES, ROOT_MODULES],
+      allowHosts: ["*.stripe.com"],
+    });
+    const urls = [
+      `${server.url}/posts`,
+      "https://js.stripe.com/v3",
+      "https://tracker.example/pixel?id=1",
+      "https://tracker.example/pixel?id=2",
+      "data:image/png;base64,AAAA",
+    ];
+
+    const report = await executor.executeTestsAndGenerateReport(
+      `const { chromium } = require("playwright");
+(async () => {
+  const browser = await chromium.launch();
+  const page = await browser.newPage();
+  for (const url of ${JSON.stringify(urls)}) {
+    console.log(url + " -> " + (await page.context().simulateRequest(url)));
+  }
+})();`,
+      null,
+      { previewUrls: [server.url] }
+    );
+
+    expect(report.output).toContain(`${server.url}/posts -> continued`);
+    expect(report.output).toContain("https://js.stripe.com/v3 -> continued");
+    expect(report.output).toContain("https://tracker.example/pixel?id=1 -> aborted");
+    expect(report.output).toContain("data:image/png;base64,AAAA -> continued");
+    expect(report.output).not.toContain("##PR_TEST_BLOCKED##");
+    expect(report.blockedRequests).toEqual([
+      { host: "tracker.example", count: 2, url: "https://tracker.example/pixel?id=1" },
+    ]);
+  });
+
+  test("saves screenshots of each step and failure, a trace and video to the artifact directory", async () => {
+    const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), "artifacts-test-"));
+    process.env.TEST_USER_PASSWORD = "hunter2-secret";
+    try {
+      const executor = new TestExecutor({
+        claudeApiKey: "test-key",
+        modulePaths: [STUB_MODULES, ROOT_MODULES],
+        capture: { trace: true, video: true },
+      });
+      const report = await executor.executeTestsAndGenerateReport(
+        TEST_HARNESS +
+          buildTestCode(
+            server.url,
+            `    await runTest("Test 1: Home page", async () => {
+      await agent.act("Navigate to /");
+    });
+    await runTest("Test 2: Checkout", async () => {
+      await agent.act("Type password: " + process.env.TEST_USER_PASSWORD);
+      throw new Error("Checkout button is missing");
+    });`
+          ),
+        null,
+        { previewUrls: [server.url], artifactDir }
+      );
+
+      expect(report.artifacts!.map((file) => [file.path, file.kind])).toEqual([
+        ["screenshots/test-1-home-page/01-navigate-to.png", "screenshot"],
+        ["screenshots/test-2-checkout/01-type-password-redacted.png", "screenshot"],
+        ["screenshots/test-2-checkout/failure.png", "failure-screenshot"],
+        ["trace.zip", "trace"],
+        ["videos/stub-video.webm", "video"],
+      ]);
+      expect(report.testResults[1]).toMatchObject({
+        status: "failed",
+        screenshot: "screenshots/test-2-checkout/failure.png",
+      });
+      expect(report.testResults[0].screenshot).toBeUndefined();
+    } finally {
+      delete process.env.TEST_USER_PASSWORD;
+      fs.rmSync(artifactDir, { recursive: true, force: true });
+    }
+  });
+
+  test("skips execution when dependencies are missing and installs are disabled", async () => {
+    const executor = new TestExecutor({
+      claudeApiKey: "test-key",
+      skipDependencyInstall: true,
+      modulePaths: [path.join(__dirname, "fixtures", "does-not-exist")],
+    });
+
+    const report = await executor.executeTestsAndGenerateReport("process.exit(1);");
+
+    expect(report.executionSkipped).toBe(true);
+    expect(report.testResults).toEqual([]);
+  });
+});
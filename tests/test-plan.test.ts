@@ -0,0 +1,110 @@
+import ClaudeService from "../src/claude-service";
+import { createProvider } from "../src/llm-provider";
+import { TestPlanError, formatTestPlan, parseTestPlan } from "../src/test-plan";
+import { RESULT_MARKER, collectTestResults, parseTestEvents } from "../src/test-protocol";
+import { createFakeGitHubService } from "./helpers/fake-github";
+import { jsonMessagesResponse, messagesResponse, startMockLLMServer, testPlan } from "./helpers/mock-llm-server";
+
+jest.mock("@actions/core");
+
+const prContext = {
+  files: [],
+  pr: { title: "Add pay button", body: null, author: "dev" },
+  previewUrls: [],
+  repoContext: {},
+};
+
+describe("structured test plans", () => {
+  test("parses a plan, filling in optional fields", () => {
+    const plan = parseTestPlan(`Here you go:
+\`\`\`json
+{"tests": [{"id": 1, "title": "Pay button works", "route": "/checkout",
+  "steps": ["Click Pay"], "expectedOutcomes": ["Order confirmed"],
+  "sourceFiles": [{"path": "app/checkout/page.tsx", "line": 12}]}]}
+\`\`\``);
+
+    expect(plan.tests[0]).toEqual({
+      id: 1,
+      title: "Pay button works",
+      route: "/checkout",
+      preconditions: [],
+      steps: ["Click Pay"],
+      expectedOutcomes: ["Order confirmed"],
+      sourceFiles: [{ path: "app/checkout/page.tsx", line: 12 }],
+      requiresAuth: false,
+    });
+    expect(formatTestPlan(plan)).toContain("1. Pay button works\n   - Route: /checkout");
+  });
+
+  test("reports what is wrong with an invalid plan", () => {
+    expect(() => parseTestPlan("1. Pay button works")).toThrow(TestPlanError);
+
+    const duplicate = testPlan("A", "B");
+    duplicate.tests[1].id = 1;
+    let error: TestPlanError | undefined;
+    try {
+      parseTestPlan(JSON.stringify({ tests: [{ ...duplicate.tests[0], steps: [] }, duplicate.tests[1]] }));
+    } catch (e) {
+      error = e as TestPlanError;
+    }
+
+    expect(error?.issues).toEqual([
+      "tests.0.steps: Array must contain at least 1 element(s)",
+      "tests: test ids must be unique",
+    ]);
+  });
+
+  test("maps test results onto plan ids", () => {
+    const events = parseTestEvents(
+      [
+        `${RESULT_MARKER} ${JSON.stringify({ event: "test-start", name: "Test 2: Receipt shows" })}`,
+        `${RESULT_MARKER} ${JSON.stringify({ event: "test-pass", name: "Test 2: Receipt shows", duration: 3 })}`,
+      ].join("\n")
+    );
+
+    expect(collectTestResults(events, testPlan("Pay works", "Receipt shows"), "incomplete")).toEqual([
+      { name: "Test 1: Pay works", status: "skipped", error: "Not reported by the generated test run" },
+      { name: "Test 2: Receipt shows", status: "passed", duration: 3 },
+    ]);
+  });
+
+  test("asks the model to repair a plan that does not validate", async () => {
+    let calls = 0;
+    const server = await startMockLLMServer(() =>
+      calls++ === 0
+        ? { body: messagesResponse('"tests": [{"id": 1, "title": "Pay"}]}') }
+        : { body: jsonMessagesResponse(testPlan("Pay button works")) }
+    );
+
+    try {
+      const service = new ClaudeService("key", {
+        provider: createProvider({ provider: "anthropic", apiKey: "key", baseUrl: server.url }),
+      });
+
+      const plan = await service.analyzeAndPlan(prContext);
+
+      expect(plan.tests[0].title).toBe("Pay button works");
+      expect(server.requests).toHaveLength(2);
+      const repairPrompt = server.requests[1].body.messages[0].content;
+      expect(repairPrompt).toContain("- tests.0.route: Required");
+      expect(repairPrompt).toContain('{"tests": [{"id": 1, "title": "Pay"}]}');
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test("code prompt and report use the plan", () => {
+    const plan = testPlan("Pay button works");
+    const prompt = new ClaudeService("key").buildCodePrompt(plan, prContext, "");
+    expect(prompt).toContain('- "Test 1: Pay button works"');
+    expect(prompt).toContain('"expectedOutcomes": [');
+
+    const { service } = createFakeGitHubService([]);
+    const report = service.buildGeneratedReport(
+      { success: true, testResults: [{ name: "Test 1: Pay button works", status: "passed" }] },
+      { testPlan: plan }
+    );
+    expect(report).toContain("<summary>📋 Test plan (1 test)</summary>");
+    expect(report).toContain("   - Step 1: Check that pay button works");
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  RESULT_MARKER,
+  collectTestResults,
+  parsePlanItems,
+  parseTestEvents,
+  stripTestEvents,
+} from "../src/test-protocol";
+
+const line = (event: object) => `${RESULT_MARKER} ${JSON.stringify(event)}`;
+
+describe("test protocol", () => {
+  test("parses tagged event lines and ignores everything else", () => {
+    const output = [
+      "[agent] navigating",
+      line({ event: "test-start", name: "Test 1: Home" }),
+      `${RESULT_MARKER} {not json`,
+      line({ event: "test-pass", name: "Test 1: Home", duration: 42 }),
+      line({ event: "unknown", name: "x" }),
+    ].join("\n");
+
+    expect(parseTestEvents(output)).toEqual([
+      { event: "test-start", name: "Test 1: Home" },
+      { event: "test-pass", name: "Test 1: Home", duration: 42 },
+    ]);
+    expect(stripTestEvents(output)).toBe("[agent] navigating");
+  });
+
+  test("extracts top-level numbered items from a free-text plan", () => {
+    const plan = `Here is the plan:
+
+1. Navigate to the homepage and verify the title
+   1. nested step that should be ignored
+**2.** Click the "Get Started" button
+### Test 3: Submit the contact form`;
+
+    expect(parsePlanItems(plan)).toEqual([
+      { number: 1, title: "Navigate to the homepage and verify the title" },
+      { number: 2, title: 'Click the "Get Started" button' },
+      { number: 3, title: "Submit the contact form" },
+    ]);
+  });
+
+  test("reads the source reference cited anywhere in a plan item", () => {
+    const plan = `1. Settings page saves the display name (Source: app/settings/page.tsx:42)
+2. **Checkout** button opens the cart
+   - Derived from \`Source: src/components/Cart.tsx\`
+3. Footer shows the new copyright`;
+
+    expect(parsePlanItems(plan)).toEqual([
+      {
+        number: 1,
+        title: "Settings page saves the display name",
+        source: { path: "app/settings/page.tsx", line: 42 },
+      },
+      { number: 2, title: "Checkout button opens the cart", source: { path: "src/components/Cart.tsx" } },
+      { number: 3, title: "Footer shows the new copyright" },
+    ]);
+  });
+
+  test("maps events onto plan items and marks unreported items as skipped", () => {
+    const plan = "1. Home loads\n2. Menu opens\n3. Form submits";
+    const events = parseTestEvents(
+      [
+        line({ event: "test-start", name: "Test 1: Home loads" }),
+        line({ event: "test-pass", name: "Test 1: Home loads", duration: 10 }),
+        line({ event: "test-start", name: "Test 2: Menu opens" }),
+        line({ event: "test-fail", name: "Test 2: Menu opens", duration: 5, error: "Menu closed" }),
+        line({ event: "test-start", name: "Extra check" }),
+      ].join("\n")
+    );
+
+    expect(collectTestResults(events, plan, "Test did not complete")).toEqual([
+      { name: "Test 1: Home loads", status: "passed", duration: 10 },
+      { name: "Test 2: Menu opens", status: "failed", duration: 5, error: "Menu closed" },
+      {
+        name: "Test 3: Form submits",
+        status: "skipped",
+        error: "Not reported by the generated test run",
+      },
+      { name: "Extra check", status: "failed", error: "Test did not complete" },
+    ]);
+  });
+});